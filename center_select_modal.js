@@ -63,9 +63,11 @@ export class CenterSelectModal extends FuzzySuggestModal {
     });
   }
   getItems() {
+    // Same folder/tag/date filters as the cluster group open in the visualizer
+    const filter = this.plugin.get_cluster_visualizer_view?.()?.clusters_visualizer_item_filter;
     return Object.keys(this.plugin.env.smart_sources.items).filter((key) => {
       const item = this.plugin.env.smart_sources.items[key];
-      return !this.selected_items.includes(key) && item && Array.isArray(item.vec);
+      return !this.selected_items.includes(key) && item && Array.isArray(item.vec) && (!filter || filter(key));
     });
   }
   getItemText(key) {
@@ -120,17 +122,19 @@ export class CenterSelectModal extends FuzzySuggestModal {
     }
   }
   async submit() {
-    await this.env.cluster_groups.create_group(this.selected_items);
+    const cluster_group = await this.env.cluster_groups.create_group(this.selected_items);
     this.close();
   
     // Just open it. Let the view lifecycle render when ready.
     this.plugin.open_cluster_visualizer();
   
-    // Optional: if you want an immediate refresh after opening, do it on next tick
-    // so the leaf/view has time to exist.
+    // On next tick (so the leaf/view exists) switch the view to the new group
+    // instead of replacing whatever group is on screen.
     setTimeout(() => {
       const view = this.plugin.get_cluster_visualizer_view?.();
-      if (view?.render_view) {
+      if (cluster_group?.key && view?.set_cluster_group) {
+        view.set_cluster_group(cluster_group.key);
+      } else if (view?.render_view) {
         view.render_view();
       }
     }, 0);
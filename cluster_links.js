@@ -0,0 +1,124 @@
+/**
+ * @file cluster_links.js
+ * @description Cluster↔cluster links for the map: how related two clusters
+ * are, either by the similarity of their center embeddings or by the notes
+ * they share, plus the links at or above a threshold.
+ */
+
+/**
+ * How cluster links are measured, offered next to the cluster-link threshold.
+ * @type {{value: string, label: string}[]}
+ */
+export const CLUSTER_LINK_BASES = [
+  { value: 'centers', label: 'Center similarity' },
+  { value: 'members', label: 'Shared notes' },
+  { value: 'off', label: 'No cluster links' },
+];
+
+/**
+ * Similarity of every pair of clusters.
+ * - 'centers': cosine similarity of the mean center embeddings
+ * - 'members': Jaccard overlap of the notes at or above `member_threshold`
+ * Pairs without a measurable similarity are left out.
+ * @param {Object[]} clusters - snapshot clusters (with `centers` items)
+ * @param {Object[]} members - snapshot members
+ * @param {Object} [opts]
+ * @param {'centers'|'members'|'off'} [opts.basis='centers']
+ * @param {number} [opts.member_threshold=0.6]
+ * @returns {{source: string, target: string, similarity: number}[]}
+ */
+export function compute_cluster_similarities(clusters, members, opts = {}) {
+  const { basis = 'centers', member_threshold = 0.6 } = opts;
+  if (basis === 'off') return [];
+  const measure = basis === 'members'
+    ? shared_member_measure(clusters, members, member_threshold)
+    : center_vector_measure(clusters);
+  const pairs = [];
+  for (let i = 0; i < clusters.length; i++) {
+    for (let j = i + 1; j < clusters.length; j++) {
+      const similarity = measure(clusters[i], clusters[j]);
+      if (similarity === null) continue;
+      pairs.push({ source: clusters[i].key, target: clusters[j].key, similarity });
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Links between cluster nodes for pairs at or above `threshold`.
+ * @param {{source: string, target: string, similarity: number}[]} similarities
+ * @param {Object<string, Object>} node_map
+ * @param {number} threshold
+ * @returns {{source: Object, target: Object, score: number}[]}
+ */
+export function build_cluster_links(similarities, node_map, threshold) {
+  return similarities
+    .filter((pair) => pair.similarity >= threshold && node_map[pair.source] && node_map[pair.target])
+    .map((pair) => ({ source: node_map[pair.source], target: node_map[pair.target], score: pair.similarity }));
+}
+
+/**
+ * Notes at or above `threshold` for each cluster key.
+ * @param {Object[]} members
+ * @param {number} threshold
+ * @returns {Map<string, number>} cluster key → note count
+ */
+export function count_cluster_members(members, threshold) {
+  const counts = new Map();
+  members.forEach((member) => {
+    Object.entries(member.clusters || {}).forEach(([key, data]) => {
+      if (data?.score >= threshold) counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+  return counts;
+}
+
+function center_vector_measure(clusters) {
+  const vectors = new Map(clusters.map((cluster) => [cluster.key, mean_vector(cluster.centers || [])]));
+  return (a, b) => {
+    const va = vectors.get(a.key);
+    const vb = vectors.get(b.key);
+    if (!va || !vb) return null;
+    return cosine(va, vb);
+  };
+}
+
+function shared_member_measure(clusters, members, threshold) {
+  const sets = new Map(clusters.map((cluster) => [cluster.key, new Set()]));
+  members.forEach((member) => {
+    Object.entries(member.clusters || {}).forEach(([key, data]) => {
+      if (data?.score >= threshold) sets.get(key)?.add(member.item?.key);
+    });
+  });
+  return (a, b) => {
+    const sa = sets.get(a.key);
+    const sb = sets.get(b.key);
+    if (!sa.size || !sb.size) return null;
+    let shared = 0;
+    sa.forEach((key) => { if (sb.has(key)) shared++; });
+    return shared / (sa.size + sb.size - shared);
+  };
+}
+
+function mean_vector(items) {
+  const vecs = items.map((item) => item?.vec).filter((vec) => vec?.length);
+  if (!vecs.length) return null;
+  const out = new Array(vecs[0].length).fill(0);
+  vecs.forEach((vec) => {
+    for (let i = 0; i < out.length; i++) out[i] += vec[i];
+  });
+  return out;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  const len = Math.min(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
@@ -0,0 +1,157 @@
+/**
+ * @file cluster_naming.js
+ * @description Names clusters from their notes: terms from titles, headings
+ * and tags, weighted TF-IDF style so each cluster gets the words that set it
+ * apart from the other clusters of its group. Also builds the prompt used
+ * when naming goes through a chat model instead.
+ */
+
+/**
+ * Words never used in names.
+ * @type {Set<string>}
+ */
+export const NAMING_STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before',
+  'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is',
+  'it', 'its', 'me', 'more', 'my', 'new', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'over', 'so',
+  'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'this', 'to', 'up', 'us',
+  'vs', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+  'untitled', 'note', 'notes', 'md', 'todo', 'draft', 'copy',
+]);
+
+// Term weight per source field
+const FIELD_WEIGHTS = { title: 2, headings: 1, tags: 2 };
+
+/**
+ * @typedef {Object} NamingNote
+ * @property {string} title
+ * @property {string[]} [headings]
+ * @property {string[]} [tags] - with or without the leading '#'
+ * @property {number} [weight=1] - e.g. higher for centers, the score for members
+ */
+
+/**
+ * Lowercase words of `text`, without stopwords, numbers and one-letter words.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 1 && !/^\d+$/.test(word) && !NAMING_STOPWORDS.has(word));
+}
+
+/**
+ * Weighted term counts of one note.
+ * @param {NamingNote} note
+ * @returns {Map<string, number>}
+ */
+export function get_note_terms(note) {
+  const terms = new Map();
+  const add = (text, weight) => tokenize(text).forEach((term) => {
+    terms.set(term, (terms.get(term) || 0) + weight);
+  });
+  add(note.title, FIELD_WEIGHTS.title);
+  (note.headings || []).forEach((heading) => add(heading, FIELD_WEIGHTS.headings));
+  // Nested tags count each level: #project/alpha → project, alpha
+  (note.tags || []).forEach((tag) => add(String(tag).replace(/^#/, '').replace(/\//g, ' '), FIELD_WEIGHTS.tags));
+  return terms;
+}
+
+/**
+ * Terms of each cluster ranked by TF-IDF, the clusters of the group being
+ * the documents.
+ * @param {{key: string, notes: NamingNote[]}[]} docs
+ * @returns {Map<string, {term: string, weight: number}[]>}
+ */
+export function rank_cluster_terms(docs) {
+  const tfs = docs.map((doc) => {
+    const tf = new Map();
+    doc.notes.forEach((note) => {
+      const weight = note.weight ?? 1;
+      get_note_terms(note).forEach((count, term) => tf.set(term, (tf.get(term) || 0) + count * weight));
+    });
+    return tf;
+  });
+  const df = new Map();
+  tfs.forEach((tf) => tf.forEach((_, term) => df.set(term, (df.get(term) || 0) + 1)));
+  const ranked = new Map();
+  docs.forEach((doc, i) => {
+    const terms = [...tfs[i]]
+      .map(([term, count]) => ({ term, weight: count * (Math.log((1 + docs.length) / (1 + df.get(term))) + 1) }))
+      .sort((a, b) => b.weight - a.weight || a.term.localeCompare(b.term));
+    ranked.set(doc.key, terms);
+  });
+  return ranked;
+}
+
+/**
+ * Names every cluster of `docs` from its top terms, e.g. "Gardening · Tomatoes".
+ * Clusters without usable terms fall back to their first note's title.
+ * @param {{key: string, notes: NamingNote[]}[]} docs
+ * @param {Object} [opts]
+ * @param {number} [opts.max_terms=2]
+ * @returns {Map<string, string>} cluster key → name
+ */
+export function name_clusters(docs, opts = {}) {
+  const { max_terms = 2 } = opts;
+  const ranked = rank_cluster_terms(docs);
+  const names = new Map();
+  docs.forEach((doc) => {
+    const picked = [];
+    for (const { term } of ranked.get(doc.key)) {
+      if (picked.length >= max_terms) break;
+      // Skip near-duplicates such as "plant" after "plants"
+      if (picked.some((other) => other.startsWith(term) || term.startsWith(other))) continue;
+      picked.push(term);
+    }
+    const name = picked.length
+      ? picked.map((term) => term[0].toUpperCase() + term.slice(1)).join(' · ')
+      : doc.notes[0]?.title || '';
+    if (name) names.set(doc.key, name);
+  });
+  return names;
+}
+
+/**
+ * Prompt asking a chat model for a cluster name.
+ * @param {{key: string, notes: NamingNote[]}} doc
+ * @param {Object} [opts]
+ * @param {string[]} [opts.terms] - top local terms, given as hints
+ * @param {number} [opts.max_notes=25]
+ * @returns {string}
+ */
+export function build_naming_prompt(doc, opts = {}) {
+  const { terms = [], max_notes = 25 } = opts;
+  const notes = [...doc.notes]
+    .sort((a, b) => (b.weight ?? 1) - (a.weight ?? 1))
+    .slice(0, max_notes)
+    .map((note) => {
+      const tags = (note.tags || []).length ? ` [${note.tags.join(' ')}]` : '';
+      return `- ${note.title}${tags}`;
+    });
+  return [
+    'These notes were grouped together by similarity. Suggest a short, specific name (2 to 4 words) for the group.',
+    'Reply with the name only, without quotes or punctuation at the end.',
+    '',
+    'Notes:',
+    ...notes,
+    terms.length ? `\nFrequent terms: ${terms.join(', ')}` : '',
+  ].join('\n').trim();
+}
+
+/**
+ * First line of a chat reply, without quotes, "Name:" prefixes and trailing dots.
+ * @param {string} reply
+ * @param {number} [max_length=60]
+ * @returns {string}
+ */
+export function clean_chat_name(reply, max_length = 60) {
+  const line = String(reply || '').trim().split('\n')[0] || '';
+  return line
+    .replace(/^(cluster\s+)?name\s*:\s*/i, '')
+    .replace(/^["'“”*`]+|["'“”*`.]+$/g, '')
+    .trim()
+    .slice(0, max_length);
+}
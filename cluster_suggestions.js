@@ -0,0 +1,377 @@
+/**
+ * @file cluster_suggestions.js
+ * @description Suggests clusters by running k-means or a density-based
+ * clustering (DBSCAN) over source embeddings, using cosine similarity.
+ * run_suggest_clusters() does the work in a Web Worker (suggest_worker.js)
+ * and reports progress; without workers it runs here, yielding to the event
+ * loop now and then.
+ */
+
+import { escape_html } from './escape.js';
+
+/* global SUGGEST_WORKER_SOURCE */
+
+/**
+ * Clustering methods offered in the "Suggest clusters" dialog.
+ * @type {{value: string, label: string}[]}
+ */
+export const SUGGESTION_METHODS = [
+  { value: 'kmeans', label: 'K-means (fixed number of clusters)' },
+  { value: 'density', label: 'Density-based (finds the number of clusters)' },
+];
+
+/**
+ * @typedef {Object} ClusterSuggestion
+ * @property {string} id
+ * @property {string[]} members - source keys, most central first
+ * @property {string[]} centers - up to `center_count` most central members
+ * @property {number} cohesion - mean similarity of members to the centroid
+ */
+
+/**
+ * Suggests clusters for `items` (smart sources with a `vec`).
+ * @param {Object[]} items
+ * @param {Object} [opts]
+ * @param {'kmeans'|'density'} [opts.method='kmeans']
+ * @param {number} [opts.k=8] - k-means: number of clusters
+ * @param {number} [opts.min_similarity=0.8] - density: neighbors are at least this similar
+ * @param {number} [opts.min_points=4] - density: neighbors needed for a core note
+ * @param {number} [opts.center_count=3]
+ * @param {number} [opts.min_size=2] - smaller groups are dropped
+ * @param {(done: number) => void} [opts.on_progress] - fraction done, 0–1
+ * @param {AbortSignal} [opts.signal] - rejects with an AbortError when aborted
+ * @returns {Promise<ClusterSuggestion[]>} largest first
+ */
+export async function suggest_clusters(items, opts = {}) {
+  const {
+    method = 'kmeans',
+    k = 8,
+    min_similarity = 0.8,
+    min_points = 4,
+    center_count = 3,
+    min_size = 2,
+    on_progress,
+    signal,
+  } = opts;
+  const usable = items.filter((item) => item?.key && item.vec?.length);
+  if (!usable.length) return [];
+  const vectors = usable.map((item) => normalize(item.vec));
+  const labels = method === 'density'
+    ? await dbscan(vectors, { min_similarity, min_points, on_progress, signal })
+    : await kmeans(vectors, k, { on_progress, signal });
+
+  const groups = new Map();
+  labels.forEach((label, i) => {
+    if (label < 0) return; // noise
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(i);
+  });
+
+  const suggestions = [];
+  groups.forEach((indices) => {
+    if (indices.length < min_size) return;
+    const centroid = normalize(mean(indices.map((i) => vectors[i])));
+    const ranked = indices
+      .map((i) => ({ key: usable[i].key, similarity: dot(vectors[i], centroid) }))
+      .sort((a, b) => b.similarity - a.similarity);
+    suggestions.push({
+      members: ranked.map((r) => r.key),
+      centers: ranked.slice(0, center_count).map((r) => r.key),
+      cohesion: ranked.reduce((sum, r) => sum + r.similarity, 0) / ranked.length,
+    });
+  });
+  return suggestions
+    .sort((a, b) => b.members.length - a.members.length)
+    .map((suggestion, i) => ({ id: `suggestion-${i + 1}`, ...suggestion }));
+}
+
+/**
+ * suggest_clusters() off the main thread. Falls back to running it here when
+ * workers are unavailable or the worker fails to start.
+ * @param {Object[]} items - smart sources with a `vec`
+ * @param {Object} [opts] - see suggest_clusters(), including `on_progress` and `signal`
+ * @returns {Promise<ClusterSuggestion[]>}
+ */
+export function run_suggest_clusters(items, opts = {}) {
+  const worker = create_suggest_worker();
+  if (!worker) return suggest_clusters(items, opts);
+  const { on_progress, signal, ...options } = opts;
+  const usable = items.filter((item) => item?.key && item.vec?.length);
+  // One flat buffer, transferred rather than copied
+  const dim = usable.reduce((max, item) => Math.max(max, item.vec.length), 0);
+  const vectors = new Float32Array(usable.length * dim);
+  usable.forEach((item, i) => vectors.set(item.vec, i * dim));
+  return new Promise((resolve, reject) => {
+    const on_abort = () => {
+      finish();
+      reject(abort_error());
+    };
+    const finish = () => {
+      worker.terminate();
+      URL.revokeObjectURL(worker.blob_url);
+      signal?.removeEventListener('abort', on_abort);
+    };
+    if (signal?.aborted) return on_abort();
+    signal?.addEventListener('abort', on_abort);
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        on_progress?.(data.done);
+      } else if (data.type === 'result') {
+        finish();
+        resolve(data.suggestions);
+      } else if (data.type === 'error') {
+        finish();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      finish();
+      console.warn('clusters visualizer: suggestion worker failed, running on the main thread', event.message);
+      suggest_clusters(items, opts).then(resolve, reject);
+    };
+    worker.postMessage({
+      type: 'suggest',
+      keys: usable.map((item) => item.key),
+      vectors,
+      dim,
+      opts: options,
+    }, [vectors.buffer]);
+  });
+}
+
+/**
+ * Spherical k-means (cosine similarity) with k-means++ seeding.
+ * @param {number[][]} vectors - normalized
+ * @param {number} k
+ * @param {Object} [opts]
+ * @param {number} [opts.max_iter=50]
+ * @param {() => number} [opts.random=Math.random]
+ * @param {(done: number) => void} [opts.on_progress]
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<number[]>} cluster index per vector
+ */
+export async function kmeans(vectors, k, opts = {}) {
+  const { max_iter = 50, random = Math.random, on_progress, signal } = opts;
+  const n = vectors.length;
+  k = Math.max(1, Math.min(Math.floor(k), n));
+
+  // k-means++: each next centroid is picked with probability ~ distance²
+  const centroids = [vectors[Math.floor(random() * n)]];
+  const dist = new Float64Array(n).fill(Infinity);
+  while (centroids.length < k) {
+    const last = centroids[centroids.length - 1];
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+      const d = 1 - dot(vectors[i], last);
+      if (d < dist[i]) dist[i] = d;
+      total += dist[i] * dist[i];
+    }
+    let r = random() * total;
+    let next = n - 1;
+    for (let i = 0; i < n; i++) {
+      r -= dist[i] * dist[i];
+      if (r <= 0) {
+        next = i;
+        break;
+      }
+    }
+    centroids.push(vectors[next]);
+    await yield_now(signal);
+  }
+
+  const labels = new Int32Array(n).fill(-1);
+  for (let iter = 0; iter < max_iter; iter++) {
+    let changed = 0;
+    for (let i = 0; i < n; i++) {
+      let best = 0;
+      let best_sim = -Infinity;
+      for (let c = 0; c < k; c++) {
+        const sim = dot(vectors[i], centroids[c]);
+        if (sim > best_sim) {
+          best_sim = sim;
+          best = c;
+        }
+      }
+      if (labels[i] !== best) {
+        labels[i] = best;
+        changed++;
+      }
+    }
+    if (!changed) break;
+    for (let c = 0; c < k; c++) {
+      const assigned = [];
+      for (let i = 0; i < n; i++) if (labels[i] === c) assigned.push(vectors[i]);
+      if (assigned.length) centroids[c] = normalize(mean(assigned));
+    }
+    // Usually converges well before max_iter; the bar then jumps to the end
+    on_progress?.((iter + 1) / max_iter);
+    await yield_now(signal);
+  }
+  on_progress?.(1);
+  return Array.from(labels);
+}
+
+/**
+ * DBSCAN with cosine similarity; unassigned (noise) vectors get -1.
+ * Finding neighbors compares every pair, O(n²·d): run it through
+ * run_suggest_clusters() for large vaults.
+ * @param {number[][]} vectors - normalized
+ * @param {Object} opts
+ * @param {number} opts.min_similarity
+ * @param {number} opts.min_points
+ * @param {(done: number) => void} [opts.on_progress]
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<number[]>}
+ */
+export async function dbscan(vectors, opts) {
+  const { min_similarity, min_points, on_progress, signal } = opts;
+  const n = vectors.length;
+  const neighbors = Array.from({ length: n }, () => []);
+  // Similarity is symmetric: compare each pair once
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (dot(vectors[i], vectors[j]) >= min_similarity) {
+        neighbors[i].push(j);
+        neighbors[j].push(i);
+      }
+    }
+    if (i % 200 === 199) {
+      // Row i costs n - i comparisons
+      on_progress?.(1 - ((n - i - 1) / n) ** 2);
+      await yield_now(signal);
+    }
+  }
+  on_progress?.(1);
+
+  const UNVISITED = -2;
+  const NOISE = -1;
+  const labels = new Array(n).fill(UNVISITED);
+  let cluster = 0;
+  for (let i = 0; i < n; i++) {
+    if (labels[i] !== UNVISITED) continue;
+    if (neighbors[i].length + 1 < min_points) {
+      labels[i] = NOISE;
+      continue;
+    }
+    labels[i] = cluster;
+    const queue = [...neighbors[i]];
+    while (queue.length) {
+      const j = queue.pop();
+      if (labels[j] === NOISE) labels[j] = cluster; // border point
+      if (labels[j] !== UNVISITED) continue;
+      labels[j] = cluster;
+      if (neighbors[j].length + 1 >= min_points) queue.push(...neighbors[j]);
+    }
+    cluster++;
+  }
+  return labels;
+}
+
+/**
+ * Panel content while suggestions are computed.
+ * @param {number} done - fraction done, 0–1
+ * @param {Object} [opts]
+ * @param {number} [opts.item_count]
+ * @returns {string} HTML
+ */
+export function build_suggestions_progress_html(done, opts = {}) {
+  const { item_count } = opts;
+  const percent = Math.round(Math.max(0, Math.min(1, done)) * 100);
+  const meta = typeof item_count === 'number'
+    ? `Comparing ${item_count} embedded notes. You can keep using the map meanwhile.`
+    : 'You can keep using the map meanwhile.';
+  return `
+    <div class="sc-suggestions-header">
+      <span class="sc-suggestions-title">Suggesting clusters…</span>
+    </div>
+    <div class="sc-suggestions-meta">${escape_html(meta)}</div>
+    <progress class="sc-suggestions-progress" max="100" value="${percent}" aria-label="Suggesting clusters">${percent}%</progress>
+    <div class="sc-suggestions-actions">
+      <button class="sc-suggestions-cancel">Cancel</button>
+    </div>`;
+}
+
+/**
+ * Builds the review panel listing suggestions with a checkbox each.
+ * @param {ClusterSuggestion[]} suggestions
+ * @param {Object} opts
+ * @param {Set<string>} opts.accepted - ids of checked suggestions
+ * @param {(suggestion:ClusterSuggestion) => string} opts.get_label
+ * @param {string} [opts.close_icon]
+ * @returns {string} HTML
+ */
+export function build_suggestions_html(suggestions, opts) {
+  const { accepted, get_label, close_icon = '×' } = opts;
+  const rows = suggestions.map((suggestion) => `
+      <li class="sc-suggestions-row" data-suggestion-id="${escape_html(suggestion.id)}" tabindex="0" aria-label="Show ${escape_html(get_label(suggestion))} on the canvas">
+        <input type="checkbox" class="sc-suggestions-check" aria-label="Keep this cluster"${accepted.has(suggestion.id) ? ' checked' : ''} />
+        <span class="sc-suggestions-name">${escape_html(get_label(suggestion))}</span>
+        <span class="sc-suggestions-count">${suggestion.members.length}</span>
+      </li>`).join('');
+  return `
+    <div class="sc-suggestions-header">
+      <span class="sc-suggestions-title">Suggested clusters (${suggestions.length})</span>
+      <button class="sc-suggestions-dismiss clickable-icon" aria-label="Dismiss suggestions">${close_icon}</button>
+    </div>
+    <div class="sc-suggestions-meta">Click a dashed cluster on the canvas or tick it here to keep it. Centers are the notes closest to each cluster's middle.</div>
+    <ul class="sc-suggestions-list">${rows}
+    </ul>
+    <div class="sc-suggestions-actions">
+      <button class="sc-suggestions-accept mod-cta"${accepted.size ? '' : ' disabled'}>Accept ${accepted.size}</button>
+      <button class="sc-suggestions-accept-all">Accept all</button>
+      <button class="sc-suggestions-reject">Reject all</button>
+    </div>`;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  const len = Math.min(a.length, b.length);
+  for (let i = 0; i < len; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function normalize(vec) {
+  let norm = 0;
+  for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+  norm = Math.sqrt(norm) || 1;
+  return Array.from(vec, (v) => v / norm);
+}
+
+function mean(vectors) {
+  const out = new Array(vectors[0].length).fill(0);
+  vectors.forEach((vec) => {
+    for (let i = 0; i < out.length; i++) out[i] += vec[i];
+  });
+  return out.map((v) => v / vectors.length);
+}
+
+function yield_now(signal) {
+  return new Promise((resolve, reject) => setTimeout(() => {
+    if (signal?.aborted) reject(abort_error());
+    else resolve();
+  }, 0));
+}
+
+function abort_error() {
+  const err = new Error('Suggesting clusters was cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Starts suggest_worker.js from the source inlined at build time.
+ * @returns {Worker|null} null when workers are unavailable
+ */
+function create_suggest_worker() {
+  if (typeof Worker === 'undefined' || typeof SUGGEST_WORKER_SOURCE !== 'string') return null;
+  try {
+    const blob_url = URL.createObjectURL(new Blob([SUGGEST_WORKER_SOURCE], { type: 'text/javascript' }));
+    const worker = new Worker(blob_url);
+    worker.blob_url = blob_url;
+    return worker;
+  } catch (err) {
+    console.warn('clusters visualizer: could not start suggestion worker', err);
+    return null;
+  }
+}
@@ -0,0 +1,84 @@
+import test from 'ava';
+import { dbscan, kmeans, suggest_clusters } from './cluster_suggestions.js';
+
+// Deterministic pseudo-random numbers so failures reproduce
+function create_random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+}
+
+function normalize(vec) {
+  const norm = Math.hypot(...vec);
+  return vec.map((v) => v / norm);
+}
+
+// Three tight groups of four around the axes, and one note in between
+const AXES = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+const JITTER = [[0, 0, 0], [0.05, 0.02, 0], [0.02, 0, 0.05], [0, 0.04, 0.03]];
+const GROUPED = AXES.flatMap((axis) => JITTER.map((jitter) => normalize(axis.map((v, i) => v + jitter[i]))));
+const OUTLIER = normalize([1, 1, 1]);
+const VECTORS = [...GROUPED, OUTLIER];
+
+function groups_of(labels) {
+  return [0, 4, 8].map((start) => labels.slice(start, start + 4));
+}
+
+test('kmeans puts each group in its own cluster', async (t) => {
+  const labels = await kmeans(GROUPED, 3, { random: create_random(1) });
+  const groups = groups_of(labels);
+  groups.forEach((group) => t.true(group.every((label) => label === group[0])));
+  t.is(new Set(groups.map((group) => group[0])).size, 3);
+});
+
+test('kmeans gives the same assignments for the same random source', async (t) => {
+  const first = await kmeans(VECTORS, 3, { random: create_random(7) });
+  const second = await kmeans(VECTORS, 3, { random: create_random(7) });
+  t.deepEqual(first, second);
+});
+
+test('kmeans clamps k to the number of vectors and reports progress', async (t) => {
+  const progress = [];
+  const labels = await kmeans(GROUPED.slice(0, 2), 5, {
+    random: create_random(3),
+    on_progress: (done) => progress.push(done),
+  });
+  t.deepEqual([...labels].sort(), [0, 1]);
+  t.is(progress[progress.length - 1], 1);
+});
+
+test('dbscan finds the groups and leaves the outlier as noise', async (t) => {
+  const labels = await dbscan(VECTORS, { min_similarity: 0.95, min_points: 3 });
+  t.deepEqual(labels, [0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, -1]);
+});
+
+test('dbscan marks every vector as noise when no note has enough neighbors', async (t) => {
+  const labels = await dbscan(VECTORS, { min_similarity: 0.95, min_points: 6 });
+  t.true(labels.every((label) => label === -1));
+});
+
+test('suggest_clusters ranks members by centrality and drops small groups', async (t) => {
+  const items = VECTORS.map((vec, i) => ({ key: `note-${i}.md`, vec }));
+  const suggestions = await suggest_clusters(items, {
+    method: 'density',
+    min_similarity: 0.95,
+    min_points: 3,
+    center_count: 2,
+  });
+  t.deepEqual(suggestions.map((s) => s.id), ['suggestion-1', 'suggestion-2', 'suggestion-3']);
+  suggestions.forEach((suggestion) => {
+    t.is(suggestion.members.length, 4);
+    t.deepEqual(suggestion.centers, suggestion.members.slice(0, 2));
+    t.true(suggestion.cohesion > 0.95 && suggestion.cohesion <= 1);
+  });
+  t.false(suggestions.some((s) => s.members.includes('note-12.md')));
+  t.deepEqual(await suggest_clusters(items, { method: 'density', min_similarity: 0.95, min_points: 3, min_size: 5 }), []);
+});
+
+test('an aborted signal rejects with an AbortError', async (t) => {
+  const controller = new AbortController();
+  controller.abort();
+  await t.throwsAsync(kmeans(GROUPED, 3, { random: create_random(1), signal: controller.signal }), { name: 'AbortError' });
+});
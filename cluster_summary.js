@@ -0,0 +1,113 @@
+/**
+ * @file cluster_summary.js
+ * @description Generated Markdown note summarizing a cluster: its centers and
+ * its members by score. Notes are marked as generated in their frontmatter;
+ * only those are ever rewritten, and the summary folder is kept off the map.
+ */
+
+/**
+ * Folder the summary notes are written to.
+ * @type {string}
+ */
+export const CLUSTER_SUMMARY_FOLDER = 'Cluster summaries';
+
+/**
+ * Frontmatter property marking a note as a generated summary.
+ * @type {string}
+ */
+export const CLUSTER_SUMMARY_MARKER = 'smart_visualizer_summary';
+
+/**
+ * Builds the summary note.
+ * @param {Object} details - output of get_cluster_details() (inspector.js)
+ * @param {Object} opts
+ * @param {string} opts.title - cluster display name
+ * @param {string} [opts.group_name]
+ * @param {(key:string) => string} opts.get_link - note key → Markdown link
+ * @returns {string}
+ */
+export function build_cluster_summary(details, opts) {
+  const { title, group_name, get_link } = opts;
+  const threshold = details.threshold.toFixed(2);
+  const above = details.members.filter((row) => row.above);
+  const below = details.members.filter((row) => !row.above);
+  const member_line = (row) => `- ${get_link(row.key)} (${row.score.toFixed(2)})`;
+  const lines = [
+    '---',
+    `cluster: ${JSON.stringify(details.key)}`,
+    group_name ? `cluster_group: ${JSON.stringify(group_name)}` : null,
+    `threshold: ${threshold}`,
+    `generated: ${new Date().toISOString()}`,
+    `${CLUSTER_SUMMARY_MARKER}: true`,
+    '---',
+    '',
+    `# ${title}`,
+    '',
+    `${above.length} of ${details.members.length} members at or above ${threshold}.`,
+    '',
+    `## Centers (${details.centers.length})`,
+    '',
+    ...details.centers.map((row) => `- ${get_link(row.key)}`),
+    '',
+    `## Members (${above.length})`,
+    '',
+    ...above.map(member_line),
+  ];
+  if (below.length) {
+    lines.push('', `## Below threshold (${below.length})`, '', ...below.map(member_line));
+  }
+  return lines.filter((line) => line !== null).join('\n') + '\n';
+}
+
+/**
+ * Path of the summary note for a cluster.
+ * @param {string} title
+ * @param {Object} [opts]
+ * @param {string} [opts.folder=CLUSTER_SUMMARY_FOLDER]
+ * @returns {string}
+ */
+export function get_cluster_summary_path(title, opts = {}) {
+  const { folder = CLUSTER_SUMMARY_FOLDER } = opts;
+  const name = String(title || 'Cluster').replace(/[\\/:*?"<>|#^[\]]/g, '-').trim() || 'Cluster';
+  return `${folder}/${name}.md`;
+}
+
+/**
+ * Whether a path (or note key) lies in the summary folder.
+ * @param {string} path
+ * @param {string} [folder=CLUSTER_SUMMARY_FOLDER]
+ * @returns {boolean}
+ */
+export function is_cluster_summary_path(path, folder = CLUSTER_SUMMARY_FOLDER) {
+  return String(path || '').startsWith(`${folder}/`);
+}
+
+/**
+ * Whether a note's frontmatter marks it as a generated summary, which may be rewritten.
+ * @param {Object} [frontmatter]
+ * @returns {boolean}
+ */
+export function is_generated_summary(frontmatter) {
+  return frontmatter?.[CLUSTER_SUMMARY_MARKER] === true;
+}
+
+/**
+ * Creates the note at `path`. An existing note is only replaced with
+ * `overwrite`; callers check is_generated_summary() and ask first.
+ * @param {Object} vault - Obsidian Vault
+ * @param {string} path
+ * @param {string} content
+ * @param {Object} [opts]
+ * @param {boolean} [opts.overwrite=false]
+ * @returns {Promise<boolean>} whether the note was written
+ */
+export async function write_cluster_summary(vault, path, content, opts = {}) {
+  const { overwrite = false } = opts;
+  const folder = path.split('/').slice(0, -1).join('/');
+  if (folder && !vault.getAbstractFileByPath(folder)) await vault.createFolder(folder);
+  const existing = vault.getAbstractFileByPath(path);
+  if (existing && !overwrite) return false;
+  if (existing) await vault.modify(existing, content);
+  else await vault.create(path, content);
+  return true;
+}
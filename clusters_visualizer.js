@@ -6,6 +6,85 @@
  */
 
 import * as d3 from 'd3';
+import { build_graph, build_links, merge_graph } from './graph_model.js';
+import { LAYOUT_MODES, compute_layout } from './layouts.js';
+import { search_nodes } from './search.js';
+import { LABEL_MODES, order_label_candidates, place_labels } from './labels.js';
+import { create_spatial_index, find_node_at, find_nodes_in_box } from './spatial_index.js';
+import { get_distance_domain } from './forces.js';
+import { create_simulation } from './simulation.js';
+import {
+  EXPORT_FORMATS,
+  render_png,
+  build_svg,
+  build_export_data,
+  build_graphml,
+  save_export,
+  get_network_bounds,
+} from './export.js';
+import { get_cluster_details, get_note_details, build_inspector_html } from './inspector.js';
+import { ClusterEditHistory, record_cluster_edit } from './history.js';
+import { get_unclustered_by_removal, get_unclustered_by_ungroup } from './impact.js';
+import {
+  run_suggest_clusters,
+  build_suggestions_html,
+  build_suggestions_progress_html,
+} from './cluster_suggestions.js';
+import { name_clusters, rank_cluster_terms, build_naming_prompt, clean_chat_name } from './cluster_naming.js';
+import {
+  CLUSTER_LINK_BASES,
+  compute_cluster_similarities,
+  build_cluster_links,
+  count_cluster_members,
+} from './cluster_links.js';
+import { COLOR_MODES, compute_node_colors, build_legend_html } from './coloring.js';
+import { resolve_theme, get_node_colors, rgba } from './theme.js';
+import {
+  SIZE_MODES,
+  SIZE_SCALES,
+  RADIUS_LIMITS,
+  get_membership_metrics,
+  compute_node_sizes,
+} from './sizing.js';
+import {
+  ARROW_DIRECTIONS,
+  build_adjacency,
+  pick_directional_neighbor,
+  build_aria_tree_html,
+  describe_node,
+} from './keyboard_nav.js';
+import {
+  build_cluster_summary,
+  get_cluster_summary_path,
+  is_cluster_summary_path,
+  is_generated_summary,
+  write_cluster_summary,
+} from './cluster_summary.js';
+import {
+  get_saved_filters,
+  save_filters,
+  normalize_filters,
+  count_active_filters,
+  matches_filters,
+  filter_snapshot,
+  build_filters_html,
+  read_filters_form,
+} from './filters.js';
+import {
+  find_unclustered,
+  sort_unclustered,
+  compute_lane_positions,
+  build_unclustered_html,
+  UNCLUSTERED_MAX_ROWS,
+} from './unclustered.js';
+import {
+  get_saved_layout,
+  save_layout_settings,
+  save_layout_positions,
+  round_transform,
+  apply_saved_positions,
+} from './layout_persistence.js';
+import { escape_html } from './escape.js';
 
 /**
  * Builds the top-level HTML for the visualization container.
@@ -14,15 +93,106 @@ import * as d3 from 'd3';
  * @returns {Promise<string>}
  */
 export async function build_html(cluster_groups, opts = {}) {
+  const group_options = get_sorted_cluster_groups(cluster_groups)
+    .map((group) => `
+            <option value="${escape_html(group.key)}"${group.key === opts.cluster_group_key ? ' selected' : ''}>
+              ${escape_html(get_cluster_group_name(group))}
+            </option>`)
+    .join('');
+  const layout_options = LAYOUT_MODES
+    .map(({ value, label }) => `
+            <option value="${value}"${value === (opts.layout_mode || 'force') ? ' selected' : ''}>${label}</option>`)
+    .join('');
+  const label_options = LABEL_MODES
+    .map(({ value, label }) => `
+            <option value="${value}"${value === (opts.label_mode || 'clusters') ? ' selected' : ''}>${label}</option>`)
+    .join('');
+  const color_options = COLOR_MODES
+    .map(({ value, label }) => `
+            <option value="${value}"${value === (opts.color_mode || 'default') ? ' selected' : ''}>${label}</option>`)
+    .join('');
+  const size_mode = opts.size_mode || 'default';
+  const size_options = SIZE_MODES
+    .map(({ value, label }) => `
+            <option value="${value}"${value === size_mode ? ' selected' : ''}>${label}</option>`)
+    .join('');
+  const size_scale_options = SIZE_SCALES
+    .map(({ value, label }) => `
+          <option value="${value}"${value === (opts.size_scale || 'sqrt') ? ' selected' : ''}>${label}</option>`)
+    .join('');
+  const cluster_link_basis = opts.cluster_link_basis || 'centers';
+  const cluster_link_threshold = opts.cluster_link_threshold ?? 0.85;
+  const cluster_link_options = CLUSTER_LINK_BASES
+    .map(({ value, label }) => `
+          <option value="${value}"${value === cluster_link_basis ? ' selected' : ''}>${label}</option>`)
+    .join('');
+  const export_items = EXPORT_FORMATS
+    .map(({ value, label }) => `
+                <li class="sc-viz-dropdown-item" data-export-format="${value}">${label}</li>`)
+    .join('');
   return `
     <div class="sc-clusters-visualizer-view" style="width: 100%; height: 100%;">
       <div class="sc-top-bar">
+        <div class="sc-cluster-group-picker">
+          <select class="sc-cluster-group-select dropdown" aria-label="Select the cluster group to visualize">${group_options}
+          </select>
+          <button class="sc-rename-cluster-group clickable-icon" aria-label="Rename the current cluster group">
+            ${this.get_icon_html?.('pencil') || '✎'}
+          </button>
+          <button class="sc-duplicate-cluster-group clickable-icon" aria-label="Duplicate the current cluster group">
+            ${this.get_icon_html?.('copy') || '⧉'}
+          </button>
+          <button class="sc-delete-cluster-group clickable-icon" aria-label="Delete the current cluster group (can't be undone)">
+            ${this.get_icon_html?.('trash-2') || '🗑'}
+          </button>
+        </div>
+        <div class="sc-layout-picker">
+          <select class="sc-layout-select dropdown" aria-label="Layout mode">${layout_options}
+          </select>
+          <select class="sc-label-mode-select dropdown" aria-label="Label mode">${label_options}
+          </select>
+          <select class="sc-color-mode-select dropdown" aria-label="Color nodes by">${color_options}
+          </select>
+          <button class="sc-legend-toggle clickable-icon${opts.legend === false ? '' : ' is-active'}" aria-label="Show or hide the color legend" aria-pressed="${opts.legend === false ? 'false' : 'true'}">
+            ${this.get_icon_html?.('list') || '☰'}
+          </button>
+          <select class="sc-size-mode-select dropdown" aria-label="Size nodes by">${size_options}
+          </select>
+        </div>
+        <div class="sc-search">
+          <input type="search" class="sc-search-input" placeholder="Search notes and clusters" aria-label="Search notes and clusters" spellcheck="false" />
+          <span class="sc-search-count"></span>
+          <button class="sc-search-prev clickable-icon" aria-label="Previous result (Shift+Enter)">
+            ${this.get_icon_html?.('chevron-up') || '▲'}
+          </button>
+          <button class="sc-search-next clickable-icon" aria-label="Next result (Enter)">
+            ${this.get_icon_html?.('chevron-down') || '▼'}
+          </button>
+        </div>
         <div class="sc-visualizer-actions">
           <button class="sc-pin" aria-label="Pin the network in place (disable physics)">
             <span class="sc-icon-pin">${this.get_icon_html?.('pin') || '📌'}</span>
             <span class="sc-icon-pin-off" style="display:none;">${this.get_icon_html?.('pin-off') || '📍'}</span>
             <span class="sc-button-label">Pin layout</span>
           </button>
+          <button class="sc-overview${opts.overview ? ' is-active' : ''}" aria-label="Clusters only: hide notes and show how many each cluster has (O)" aria-pressed="${opts.overview ? 'true' : 'false'}">
+            ${this.get_icon_html?.('shrink') || '⊙'}
+            <span class="sc-button-label">Overview</span>
+          </button>
+          <button class="sc-filters-toggle" aria-label="Filter notes by folder, tag or modified date" aria-pressed="false">
+            ${this.get_icon_html?.('filter') || '⏷'}
+            <span class="sc-button-label">Filters</span>
+            <span class="sc-filters-count${opts.filter_count ? '' : ' hidden'}">${opts.filter_count || ''}</span>
+          </button>
+          <button class="sc-unclustered-toggle${opts.unclustered_lane ? ' is-active' : ''}" aria-label="Gather notes that are in no cluster in a lane below the map" aria-pressed="${opts.unclustered_lane ? 'true' : 'false'}">
+            ${this.get_icon_html?.('circle-dashed') || '◌'}
+            <span class="sc-button-label">Unclustered</span>
+            <span class="sc-unclustered-count hidden"></span>
+          </button>
+          <button class="sc-follow-active${opts.follow_active_file ? ' is-active' : ''}" aria-label="Follow the active note: highlight it and pan to it" aria-pressed="${opts.follow_active_file ? 'true' : 'false'}">
+            ${this.get_icon_html?.('locate-fixed') || '⌖'}
+            <span class="sc-button-label">Follow note</span>
+          </button>
           <button class="sc-create-cluster" aria-label="Create a new cluster with connections relative to the selected node(s)">
             ${this.get_icon_html?.('group') || 'group'}
             <span class="sc-button-label">Create cluster</span>
@@ -48,6 +218,20 @@ export async function build_html(cluster_groups, opts = {}) {
             ${this.get_icon_html?.('badge-x') || 'badge-x'}
             <span class="sc-button-label">Remove cluster(s)</span>
           </button>
+          <button class="sc-suggest-clusters" aria-label="Suggest clusters from note embeddings (k-means or density-based) and preview them">
+            ${this.get_icon_html?.('sparkles') || '✨'}
+            <span class="sc-button-label">Suggest clusters</span>
+          </button>
+          <div class="sc-export">
+            <button class="sc-export-toggle" aria-label="Export the map as an image or data file" aria-haspopup="menu">
+              ${this.get_icon_html?.('download') || '⤓'}
+              <span class="sc-button-label">Export</span>
+            </button>
+            <div class="sc-viz-dropdown sc-export-menu hidden">
+              <ul class="sc-viz-dropdown-menu" role="menu">${export_items}
+              </ul>
+            </div>
+          </div>
           <button class="sc-refresh" aria-label="Refresh clusters visualization">
             ${this.get_icon_html?.('refresh-cw') || '⟳'}
             <span class="sc-button-label">Refresh viz</span>
@@ -69,40 +253,167 @@ export async function build_html(cluster_groups, opts = {}) {
           value="0.4"
           data-smart-setting="threshold"
         />
+        <span class="sc-threshold-label">
+          Cluster links: <span class="sc-cluster-link-value">${cluster_link_threshold.toFixed(2)}</span>
+        </span>
+        <input
+          type="range"
+          class="sc-cluster-link-slider"
+          min="0"
+          max="1"
+          step="0.01"
+          value="${cluster_link_threshold}"
+          aria-label="Minimum similarity for links between clusters"${cluster_link_basis === 'off' ? ' disabled' : ''}
+        />
+        <select class="sc-cluster-link-basis dropdown" aria-label="How links between clusters are measured">${cluster_link_options}
+        </select>
+        <span class="sc-size-controls${size_mode === 'default' ? ' hidden' : ''}">
+          <span class="sc-threshold-label">Radius:</span>
+          <input type="number" class="sc-size-min-radius" min="${RADIUS_LIMITS.min}" max="${RADIUS_LIMITS.max}" step="1" value="${opts.size_min_radius ?? 4}" aria-label="Smallest node radius" />
+          <span class="sc-threshold-label">to</span>
+          <input type="number" class="sc-size-max-radius" min="${RADIUS_LIMITS.min}" max="${RADIUS_LIMITS.max}" step="1" value="${opts.size_max_radius ?? 30}" aria-label="Largest node radius" />
+          <select class="sc-size-scale dropdown" aria-label="Scale from the metric to the radius">${size_scale_options}
+          </select>
+        </span>
       </div>
 
       <div class="sc-visualizer-content" style="width: 100%; height: 100%;">
         <canvas
           class="clusters-visualizer-canvas"
+          tabindex="0"
+          role="application"
+          aria-roledescription="clusters map"
+          aria-label="Clusters map. Arrow keys move between connected nodes, Space toggles selection, Enter opens, Escape clears the selection."
           width="100%"
           height="100%"
           style="display:block;"
         >
         </canvas>
+        <aside class="sc-inspector hidden" aria-label="Inspector"></aside>
+        <aside class="sc-suggestions hidden" aria-label="Suggested clusters"></aside>
+        <aside class="sc-filters hidden" aria-label="Filters"></aside>
+        <aside class="sc-unclustered hidden" aria-label="Unclustered notes"></aside>
+        <div class="sc-legend hidden" aria-label="Color legend"></div>
+        <div class="sc-visually-hidden sc-aria-tree"></div>
+        <div class="sc-visually-hidden sc-live-region" aria-live="polite"></div>
       </div>
     </div>
   `;
 }
 
-// HELPER: find node at the given simulation coords (sx, sy) within radius
-function findNodeAt(sx, sy, nodes, currentZoom, expandThreshold = 3.0) {
-  for (let i = nodes.length - 1; i >= 0; i--) {
-    const node = nodes[i];
+/**
+ * Returns the non-deleted cluster groups, newest (highest key) first.
+ * @param {Object} cluster_groups
+ * @returns {Object[]}
+ */
+export function get_sorted_cluster_groups(cluster_groups) {
+  return Object.values(cluster_groups?.items || {})
+    .filter((group) => group && !group.deleted && !group.data?.deleted)
+    .sort((a, b) => b.key.localeCompare(a.key));
+}
 
-    // (Optional) skip child centers if zoom is below threshold
-    if (node.type === 'center' && currentZoom < expandThreshold) {
-      continue;
-    }
+/**
+ * Resolves the cluster group for `key`, falling back to the newest group.
+ * @param {Object} cluster_groups
+ * @param {string} [key]
+ * @returns {Object|undefined}
+ */
+export function get_cluster_group(cluster_groups, key) {
+  const groups = get_sorted_cluster_groups(cluster_groups);
+  return groups.find((group) => group.key === key) || groups[0];
+}
 
-    const dx = sx - node.x;
-    const dy = sy - node.y;
-    if (dx * dx + dy * dy <= node.radius * node.radius) {
-      return node;
-    }
+/**
+ * Display name for a cluster group (user-defined name or its key).
+ * @param {Object} cluster_group
+ * @returns {string}
+ */
+export function get_cluster_group_name(cluster_group) {
+  return cluster_group?.data?.name || cluster_group?.key || '';
+}
+
+/**
+ * Cluster edits that apply to a selection; shared by the toolbar and the context menu.
+ * - members only: create cluster
+ * - members and exactly one cluster: ungroup, add to center
+ * - centers only: remove from center, ungroup
+ * - clusters only: remove cluster(s)
+ * @param {Iterable<Object>} selected_nodes
+ * @returns {{create_cluster: boolean, ungroup: boolean, add_to_center: boolean, remove_from_center: boolean, remove_cluster: boolean}}
+ */
+export function get_selection_actions(selected_nodes) {
+  let member_count = 0;
+  let cluster_count = 0;
+  let center_count = 0;
+  for (const node of selected_nodes) {
+    if (node.type === 'member') member_count++;
+    else if (node.type === 'cluster') cluster_count++;
+    else if (node.type === 'center') center_count++;
   }
-  return null;
+  const only_members = member_count > 0 && cluster_count === 0 && center_count === 0;
+  const only_centers = center_count > 0 && member_count === 0 && cluster_count === 0;
+  const only_clusters = cluster_count > 0 && member_count === 0 && center_count === 0;
+  const members_and_one_cluster = member_count > 0 && cluster_count === 1;
+  return {
+    create_cluster: only_members,
+    ungroup: members_and_one_cluster || only_centers,
+    add_to_center: members_and_one_cluster,
+    remove_from_center: only_centers,
+    remove_cluster: only_clusters,
+  };
 }
 
+/**
+ * Transform that frames `nodes` in a `width`×`height` canvas.
+ * @param {Object[]} nodes
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [opts]
+ * @param {number} [opts.padding=0.1] - Fraction of the canvas left empty.
+ * @param {boolean} [opts.include_radius=false] - Frame node circles, not just their centers.
+ * @param {number} [opts.max_scale=Infinity]
+ * @param {number} [opts.min_scale=0]
+ * @returns {d3.ZoomTransform}
+ */
+export function compute_fit_transform(nodes, width, height, opts = {}) {
+  const { padding = 0.1, include_radius = false, max_scale = Infinity, min_scale = 0 } = opts;
+  let minX = Infinity, maxX = -Infinity;
+  let minY = Infinity, maxY = -Infinity;
+
+  nodes.forEach((d) => {
+    const r = include_radius ? (d.radius || 0) : 0;
+    if (d.x - r < minX) minX = d.x - r;
+    if (d.x + r > maxX) maxX = d.x + r;
+    if (d.y - r < minY) minY = d.y - r;
+    if (d.y + r > maxY) maxY = d.y + r;
+  });
+
+  const networkWidth = maxX - minX;
+  const networkHeight = maxY - minY;
+
+  if (!(networkWidth > 0) || !(networkHeight > 0)) {
+    // Everything is at the same point
+    if (!Number.isFinite(minX) || !Number.isFinite(minY)) {
+      return d3.zoomIdentity.translate(width / 2, height / 2).scale(1);
+    }
+    const scale = Math.min(Math.max(1, min_scale), max_scale);
+    return d3.zoomIdentity
+      .translate(width / 2, height / 2)
+      .scale(scale)
+      .translate(-(minX + maxX) / 2, -(minY + maxY) / 2);
+  }
+
+  const fit = (1 - padding) / Math.max(networkWidth / width, networkHeight / height);
+  const scale = Math.min(Math.max(fit, min_scale), max_scale);
+
+  const midX = (maxX + minX) / 2;
+  const midY = (maxY + minY) / 2;
+
+  return d3.zoomIdentity
+    .translate(width / 2, height / 2)
+    .scale(scale)
+    .translate(-midX, -midY);
+}
 
 export async function render(view, opts = {}) {
   // Let debug logging only occur if the caller sets opts.debug
@@ -111,15 +422,36 @@ export async function render(view, opts = {}) {
   if (debug) console.log('render() called with:', view.env.cluster_groups);
 
   const cluster_groups = view.env.cluster_groups;
-  const cluster_group = Object.values(cluster_groups.items).sort((a, b) => b.key.localeCompare(a.key))[0];
+  // Stop the previous render's simulation, timers and hooks (flushing its
+  // pending layout save), also when there is no group left to show
+  view.clusters_visualizer_teardown?.();
+  const cluster_group = get_cluster_group(cluster_groups, view.cluster_group_key);
   if (!cluster_group) {
     return this.create_doc_fragment('<div>No cluster group found!</div>');
   }
+  // Remember which group is on screen (persisted through the view state)
+  view.cluster_group_key = cluster_group.key;
+  // Timers and debounces register their cleanup here (run by the teardown below)
+  const cleanups = [];
+  let tornDown = false;
+
+  // Folder/tag/date filters saved for this group; the center picker uses them too
+  let filters = get_saved_filters(cluster_group);
+  function passesFilters(key) {
+    if (!count_active_filters(filters)) return true;
+    const info = view.get_note_info?.(key) || { path: String(key).split('#')[0] };
+    return matches_filters(info, filters);
+  }
 
-  const snapshot = await cluster_group.get_snapshot(
-    Object.values(cluster_groups.env.smart_sources.items)
+  const snapshot = filter_snapshot(
+    await cluster_group.get_snapshot(get_source_items(cluster_groups.env, undefined, passesFilters)),
+    filters,
+    cluster_group.settings?.threshold || 0.6
   );
-  const { clusters, members } = snapshot;
+  const { clusters } = snapshot;
+  let { members } = snapshot;
+  // Clusters of the latest full snapshot; partial refreshes score changed notes against them
+  let snapshotClusters = clusters;
 
   if (debug) {
     console.log('clusters:', clusters);
@@ -132,8 +464,34 @@ export async function render(view, opts = {}) {
   }
 
   // Build top-level HTML with <canvas> + toolbar
-  const html = await build_html.call(this, cluster_groups, opts);
+  // Positions, viewport and layout mode saved for this cluster group
+  const saved_transform = view.get_map_transform?.(cluster_group.key);
+  const saved_layout = get_saved_layout(cluster_group, { transform: saved_transform });
+  // Viewports saved on the group before the view kept them move to the view
+  if (!saved_transform && saved_layout.transform) view.save_map_transform?.(cluster_group.key, saved_layout.transform);
+
+  const html = await build_html.call(this, cluster_groups, {
+    ...opts,
+    cluster_group_key: cluster_group.key,
+    layout_mode: saved_layout.mode,
+    label_mode: saved_layout.label_mode,
+    overview: saved_layout.overview,
+    cluster_link_basis: saved_layout.cluster_link_basis,
+    cluster_link_threshold: saved_layout.cluster_link_threshold,
+    color_mode: saved_layout.color_mode,
+    legend: saved_layout.legend,
+    filter_count: count_active_filters(filters),
+    unclustered_lane: saved_layout.unclustered_lane,
+    size_mode: saved_layout.size_mode,
+    size_scale: saved_layout.size_scale,
+    size_min_radius: saved_layout.size_min_radius,
+    size_max_radius: saved_layout.size_max_radius,
+    follow_active_file: !!view.follow_active_file,
+  });
   const frag = this.create_doc_fragment(html);
+  const toFragment = (markup) => this.create_doc_fragment(markup);
+
+  bind_cluster_group_picker(view, frag, cluster_group);
 
   // Grab the "pin" button
   const pinBtn = frag.querySelector('.sc-pin');
@@ -150,65 +508,22 @@ export async function render(view, opts = {}) {
     btn.style.display = doShow ? 'inline-flex' : 'none';
   }
 
-  function updateToolbarUI() {
-    // Hide everything by default:
-    showButton(createClusterBtn, false);
-    showButton(removeFromClusterBtn, false);
-    showButton(addToClusterCenterBtn, false);
-    showButton(removeFromClusterCenterBtn, false);
-    showButton(removeClusterBtn, false);
-
-    if (debug) console.log('selectedNodes: ', selectedNodes);
-
-    // If nothing selected, we're done (pin & refresh remain visible):
-    if (selectedNodes.size === 0) {
-      return;
-    }
-
-    // Gather a count by type:
-    let memberCount = 0;
-    let clusterCount = 0;
-    let centerCount = 0;
-
-    for (const node of selectedNodes) {
-      if (node.type === 'member') memberCount++;
-      else if (node.type === 'cluster') clusterCount++;
-      else if (node.type === 'center') centerCount++;
-    }
-
-    if (debug) {
-      console.log('memberCount: ', memberCount);
-      console.log('cluster count: ', clusterCount);
-      console.log('center count: ', centerCount);
-    }
-
-    // Some short helpers:
-    const onlyMembers = (memberCount > 0 && clusterCount === 0 && centerCount === 0);
-    const onlyCenter = (centerCount > 0 && memberCount === 0 && clusterCount === 0);
-    const onlyCluster = (clusterCount > 0 && memberCount === 0 && centerCount === 0);
-
-    // 1) When node(s) of type members *only*:
-    if (onlyMembers) {
-      // Show "Create cluster"
-      showButton(createClusterBtn, true);
-    }
-
-    // 2) When node(s) of type members *AND* exactly one cluster:
-    if (memberCount > 0 && clusterCount === 1) {
-      showButton(removeFromClusterBtn, true);
-      showButton(addToClusterCenterBtn, true);
-    }
-
-    // 3) When node(s) of type center *only*:
-    if (onlyCenter) {
-      showButton(removeFromClusterCenterBtn, true);
-      showButton(removeFromClusterBtn, true);
-    }
+  // Refreshes everything that reflects the selection
+  function selectionChanged() {
+    updateToolbarUI();
+    updateInspector();
+    syncAriaSelection();
+    updateUnclusteredPanel();
+  }
 
-    // 4) When node(s) of type cluster *only*:
-    if (onlyCluster) {
-      showButton(removeClusterBtn, true);
-    }
+  function updateToolbarUI() {
+    const actions = get_selection_actions(selectedNodes);
+    if (debug) console.log('selectedNodes: ', selectedNodes, 'actions: ', actions);
+    showButton(createClusterBtn, actions.create_cluster);
+    showButton(removeFromClusterBtn, actions.ungroup);
+    showButton(addToClusterCenterBtn, actions.add_to_center);
+    showButton(removeFromClusterCenterBtn, actions.remove_from_center);
+    showButton(removeClusterBtn, actions.remove_cluster);
   }
 
   // Add any listeners for your plugin settings
@@ -234,47 +549,45 @@ export async function render(view, opts = {}) {
 
   requestAnimationFrame(() => {
     setTimeout(() => {
+      if (tornDown) return;
       resizeCanvas();
-      centerNetwork();
-      ticked();
+      // Frame the network once the (possibly async) pre-run has positioned it
+      prerun_done.then(() => {
+        if (saved_layout.transform) {
+          // Restore the saved viewport instead of re-framing the network
+          d3.select(canvas_el).call(zoom_behavior.transform, transform);
+        } else {
+          centerNetwork();
+        }
+        if (view.follow_active_file) followFile(view.app.workspace.getActiveFile?.()?.path);
+        ticked();
+      });
     }, 0);
   });
 
   function centerNetwork() {
-    let minX = Infinity, maxX = -Infinity;
-    let minY = Infinity, maxY = -Infinity;
+    transform = compute_fit_transform(nodes, canvas_el.width, canvas_el.height);
+    d3.select(canvas_el)
+      .call(zoom_behavior.transform, transform);
+  }
 
-    nodes.forEach((d) => {
-      if (d.x < minX) minX = d.x;
-      if (d.x > maxX) maxX = d.x;
-      if (d.y < minY) minY = d.y;
-      if (d.y > maxY) maxY = d.y;
+  /**
+   * Animates the viewport to frame the given nodes.
+   * @param {Object[]} targetNodes
+   */
+  function flyTo(targetNodes) {
+    if (!targetNodes.length) return;
+    // Center nodes are only drawn at zoom >= 3
+    const minScale = targetNodes.some((n) => n.type === 'center') ? 3.5 : 0;
+    const target = compute_fit_transform(targetNodes, canvas_el.width, canvas_el.height, {
+      include_radius: true,
+      max_scale: Math.max(2.5, minScale),
+      min_scale: minScale || undefined,
     });
-
-    const w = canvas_el.width;
-    const h = canvas_el.height;
-
-    const networkWidth = maxX - minX;
-    const networkHeight = maxY - minY;
-
-    if (networkWidth === 0 || networkHeight === 0) {
-      // Everything is at the same point
-      transform = d3.zoomIdentity.translate(w / 2, h / 2).scale(1);
-    } else {
-      const padding = 0.1;
-      const scale = (1 - padding) / Math.max(networkWidth / w, networkHeight / h);
-
-      const midX = (maxX + minX) / 2;
-      const midY = (maxY + minY) / 2;
-
-      transform = d3.zoomIdentity
-        .translate(w / 2, h / 2)
-        .scale(scale)
-        .translate(-midX, -midY);
-    }
-
     d3.select(canvas_el)
-      .call(zoom_behavior.transform, transform);
+      .transition()
+      .duration(750)
+      .call(zoom_behavior.transform, target);
   }
 
   // Locate the threshold slider and value elements
@@ -284,15 +597,21 @@ export async function render(view, opts = {}) {
     slider.value = cluster_group.settings?.threshold || slider.value;
 
     let debounceTimeout;
+    cleanups.push(() => clearTimeout(debounceTimeout));
     slider.addEventListener('input', (event) => {
       const threshold = parseFloat(slider.value);
       if (thresholdValueSpan) {
         thresholdValueSpan.textContent = threshold.toFixed(2);
       }
       clearTimeout(debounceTimeout);
-      debounceTimeout = setTimeout(() => {
-        updateLinks(threshold);
-        centerNetwork();
+      debounceTimeout = setTimeout(async () => {
+        // Which notes count as unclustered depends on the threshold
+        if (filters.hide_unclustered) await refreshData();
+        else updateLinks(threshold);
+        updateInspector();
+        updateAriaTree();
+        if (layoutMode === 'force') centerNetwork();
+        else applyLayout({ onEnd: centerNetwork });
         cluster_group.queue_save();
       }, 100);
     });
@@ -300,172 +619,240 @@ export async function render(view, opts = {}) {
     console.error('Slider element not found!');
   }
 
+  function currentThreshold() {
+    return slider ? parseFloat(slider.value) : (cluster_group.settings?.threshold || 0.6);
+  }
+
   function updateLinks(threshold) {
-    const newLinks = [];
-
-    members.forEach((member) => {
-      const member_key = member.item?.key || 'unknown-member';
-      Object.entries(member.clusters).forEach(([cl_id, cl_data]) => {
-        const { score } = cl_data;
-        if (score >= threshold && node_map[cl_id]) {
-          const existingLink = links.find(
-            (link) => link.source.id === cl_id && link.target.id === member_key
-          );
-
-          newLinks.push({
-            source: cl_id,
-            target: member_key,
-            score,
-            stroke: existingLink?.stroke || '#4c7787',
-            currentAlpha: existingLink?.currentAlpha || 1,
-          });
-        }
-      });
-    });
+    const newLinks = build_links(members, node_map, threshold, links)
+      .map((link) => ({ ...link, currentAlpha: link.currentAlpha || 1 }));
 
     // Replace the links array
     links.length = 0;
     links.push(...newLinks);
+    labelCandidates = null;
+    adjacency = null;
+    memberCounts = null;
+    // Shared-note similarities depend on the threshold
+    if (clusterLinkBasis === 'members') {
+      clusterSimilarities = null;
+      updateClusterLinks();
+    }
+    if (sizeMode === 'cluster_count' || sizeMode === 'member_count') applyNodeSizes();
+    updateUnclustered();
+    if (layoutMode === 'force') placeLane();
 
     // Restart the simulation with updated links
-    simulation
-      .force(
-        'link',
-        d3.forceLink(links)
-          .id((d) => d.id)
-          .distance((link) =>
-            typeof link.score === 'number' ? distance_scale(link.score) : 200
-          )
-      )
-      .force('center', d3.forceCenter(0, 0))
-      .force('radial', d3.forceRadial(100, 0, 0).strength(0.05));
+    simulation.set_links(links, { recenter: true });
 
     simulation.alpha(1).restart();
   }
 
-  const nodes = [];
-  const links = [];
-  const node_map = {};
+  // Build nodes/links; later snapshots are merged into these same arrays (see refreshData)
+  const { nodes, links, node_map } = build_graph(snapshot, {
+    threshold: cluster_group.settings?.threshold || 0.6,
+  });
 
   function getLastSegmentWithoutExtension(fullPath) {
+    if (!fullPath) return '';
     const segments = fullPath.split('/');
     const lastSegment = segments[segments.length - 1];
     return lastSegment.replace(/\.[^/.]+$/, '');
   }
 
-  clusters.forEach((cluster) => {
-    const childCount = Array.isArray(cluster.centers) ? cluster.centers.length : 0;
-    const baseRadius = 20;
-    const growthFactor = 3;
-    const maxRadius = 70;
-    const scaledRadius = Math.min(baseRadius + childCount * growthFactor, maxRadius);
-
-    const c_node = {
-      id: cluster.key,
-      type: 'cluster',
-      color: '#926ec9',
-      radius: scaledRadius,
-      cluster: cluster,
-      children: [],
-    };
-
-    nodes.push(c_node);
-    node_map[cluster.key] = c_node;
-
-    if (childCount > 0) {
-      cluster.centers.forEach((item, i) => {
-        const angle = (i / childCount) * 2 * Math.PI;
-        const dist = scaledRadius * 0.7;
-        const childNode = {
-          id: `${item.key}`,
-          type: 'center',
-          color: '#d092c9',
-          radius: 4,
-          parent: c_node,
-          cluster,
-          item,
-          offsetAngle: angle,
-          offsetDist: dist,
-        };
-        nodes.push(childNode);
-        c_node.children.push(childNode);
-      });
+  function getNodeLabel(node) {
+    if (node.type === 'cluster') {
+      // Names given on purpose are shown as-is; derived ones may be note paths
+      return node.cluster?.data?.name || getLastSegmentWithoutExtension(node.cluster?.name) || node.id;
+    } else if (node.type === 'member') {
+      return getLastSegmentWithoutExtension(node.item?.key) || node.id;
     }
-  });
+    return getLastSegmentWithoutExtension(node.id) || node.id;
+  }
 
   if (debug) console.log('clusters 2: ', clusters);
 
-  members.forEach((member) => {
-    const member_key = member.item?.key || 'unknown-member';
-    const isAlreadyInCluster = node_map[member_key] !== undefined;
-    const isAlreadyCenter = nodes.some((n) => n.id === member_key && n.type === 'center');
-
-    if (!isAlreadyInCluster && !isAlreadyCenter) {
-      node_map[member_key] = {
-        id: member_key,
-        type: 'member',
-        color: '#7c8594',
-        radius: 7,
-        item: member.item,
-      };
-      nodes.push(node_map[member_key]);
-    }
-
-    Object.entries(member.clusters).forEach(([cl_id, cl_data]) => {
-      const { score } = cl_data;
-      const threshold = cluster_group.settings?.threshold || 0.6;
-      if (score >= threshold && node_map[cl_id]) {
-        links.push({
-          source: cl_id,
-          target: member_key,
-          score,
-          stroke: '#4c7787',
-        });
+  // Restore positions saved for this cluster group (new members land near their strongest cluster)
+  const restored_nodes = apply_saved_positions(nodes, saved_layout, node_map, get_member_clusters(members));
+
+  // Runs in a Web Worker when available (main-thread fallback otherwise).
+  // Link distance domain is kept as first rendered.
+  const simulation = create_simulation(nodes, links, {
+    distance_domain: get_distance_domain(links),
+    use_worker: opts.use_worker,
+  })
+    .on('tick', () => {
+      spatialIndex = null;
+      ticked();
+    })
+    .on('end', schedulePositionsSave);
+
+  // Hold restored nodes in place while the pre-run settles any new ones
+  const held_nodes = [];
+  if (restored_nodes.size) {
+    restored_nodes.forEach((node) => {
+      if (node.fx == null) {
+        node.fx = node.x;
+        node.fy = node.y;
+        held_nodes.push(node);
       }
     });
-  });
+    const has_new_nodes = nodes.some((n) => n.type !== 'center' && !restored_nodes.has(n));
+    if (!has_new_nodes) simulation.alpha(0);
+    simulation.sync_fixed();
+  }
 
-  const all_scores = links
-    .filter((l) => typeof l.score === 'number')
-    .map((l) => l.score);
-  const min_score = d3.min(all_scores) ?? 0.6;
-  const max_score = d3.max(all_scores) ?? 1.0;
-  const distance_scale = d3
-    .scalePow()
-    .exponent(2.5)
-    .domain([min_score, max_score])
-    .range([400, 40])
-    .clamp(true);
-
-  const simulation = d3
-    .forceSimulation(nodes)
-    .velocityDecay(0.9)
-    .force('charge', d3.forceManyBody().strength(-400))
-    .force(
-      'link',
-      d3
-        .forceLink(links)
-        .id((d) => d.id)
-        .distance((link) =>
-          typeof link.score === 'number' ? distance_scale(link.score) : 200
-        )
-    )
-    .force('childToParent', d3.forceManyBody().strength(0))
-    .on('tick', ticked);
-
-  let i = 0;
+  // With a worker the pre-run is async and the UI stays responsive meanwhile;
+  // messages are handled in order, so the steps below queue up behind it.
   const max_iter = opts.max_alpha_iterations || 100;
-  while (simulation.alpha() > 0.1 && i < max_iter) {
-    simulation.tick();
-    i++;
+  const prerun_done = simulation.prerun(max_iter).then((ticks) => {
+    if (debug) {
+      console.log(`Pre-run after ${ticks} ticks, alpha=${simulation.alpha()}`);
+    }
+  });
+  if (restored_nodes.size) {
+    held_nodes.forEach((node) => {
+      node.fx = null;
+      node.fy = null;
+    });
+    simulation.sync_fixed(held_nodes);
+    // Only a gentle nudge so the saved arrangement is kept
+    simulation.alpha(saved_layout.pinned ? 0 : 0.02);
   }
   simulation.alphaTarget(0).restart();
-  if (debug) {
-    console.log(`Pre-run after ${i} ticks, alpha=${simulation.alpha()}`);
+
+  // Quadtree for hit-testing; dropped whenever positions change, rebuilt on next query
+  let spatialIndex = null;
+  function getSpatialIndex() {
+    // The overview only hit-tests clusters
+    if (!spatialIndex) spatialIndex = create_spatial_index(overview ? nodes.filter((n) => n.type === 'cluster') : nodes);
+    return spatialIndex;
+  }
+  function nodeAt(sx, sy) {
+    return find_node_at(getSpatialIndex(), sx, sy, transform.k);
   }
 
-  let transform = d3.zoomIdentity;
-  let pinned = false;
+  let transform = saved_layout.transform
+    ? d3.zoomIdentity.translate(saved_layout.transform.x, saved_layout.transform.y).scale(saved_layout.transform.k)
+    : d3.zoomIdentity;
+  let pinned = saved_layout.pinned;
+  let layoutMode = saved_layout.mode;
+  let labelMode = saved_layout.label_mode;
+  // Clusters-only overview: notes are hidden and counted on their clusters
+  let overview = saved_layout.overview;
+  let clusterLinkBasis = saved_layout.cluster_link_basis;
+  let clusterLinkThreshold = saved_layout.cluster_link_threshold;
+  // Pairwise cluster similarities; reset to null when clusters or members change
+  let clusterSimilarities = null;
+  const clusterLinks = [];
+  let memberCounts = null;
+  let colorMode = saved_layout.color_mode;
+  // Canvas colors from CSS variables; reset to null on css-change (see Theme below)
+  let theme = null;
+  let legendVisible = saved_layout.legend;
+  let sizeMode = saved_layout.size_mode;
+  let sizeScale = saved_layout.size_scale;
+  let sizeMinRadius = saved_layout.size_min_radius;
+  let sizeMaxRadius = saved_layout.size_max_radius;
+  // Notes in no cluster, gathered below the map (see Unclustered lane below)
+  let unclusteredLane = saved_layout.unclustered_lane;
+  let unclusteredSort = saved_layout.unclustered_sort;
+  let unclusteredNotes = [];
+  let laneRect = null;
+  const laneNodes = new Set();
+  // Label priority order; reset to null whenever nodes or links change
+  let labelCandidates = null;
+  const labelWidthCache = new Map();
+  let layoutTimer = null;
+
+  // Settings, positions and the viewport are saved separately: a pan only
+  // touches the viewport, and positions are written after a drag or once the
+  // layout settles
+  let layoutSaveTimeout;
+  function scheduleLayoutSave() {
+    clearTimeout(layoutSaveTimeout);
+    layoutSaveTimeout = setTimeout(saveLayoutNow, 500);
+  }
+  function saveLayoutNow() {
+    clearTimeout(layoutSaveTimeout);
+    layoutSaveTimeout = null;
+    save_layout_settings(cluster_group, {
+      // Views that can't keep the viewport themselves save it with the settings
+      transform: view.save_map_transform ? undefined : transform,
+      pinned,
+      mode: layoutMode,
+      label_mode: labelMode,
+      overview,
+      cluster_link_basis: clusterLinkBasis,
+      cluster_link_threshold: clusterLinkThreshold,
+      color_mode: colorMode,
+      legend: legendVisible,
+      size_mode: sizeMode,
+      size_scale: sizeScale,
+      size_min_radius: sizeMinRadius,
+      size_max_radius: sizeMaxRadius,
+      unclustered_lane: unclusteredLane,
+      unclustered_sort: unclusteredSort,
+    });
+  }
+  let positionsSaveTimeout;
+  function schedulePositionsSave() {
+    clearTimeout(positionsSaveTimeout);
+    positionsSaveTimeout = setTimeout(savePositionsNow, 2000);
+  }
+  function savePositionsNow() {
+    clearTimeout(positionsSaveTimeout);
+    positionsSaveTimeout = null;
+    save_layout_positions(cluster_group, nodes, {
+      // Notes hidden by filters keep their place for when they come back
+      keep_missing: count_active_filters(filters) > 0,
+    });
+  }
+  let transformSaveTimeout;
+  function scheduleTransformSave() {
+    clearTimeout(transformSaveTimeout);
+    transformSaveTimeout = setTimeout(saveTransformNow, 500);
+  }
+  function saveTransformNow() {
+    clearTimeout(transformSaveTimeout);
+    transformSaveTimeout = null;
+    if (view.save_map_transform) view.save_map_transform(cluster_group.key, round_transform(transform));
+    else saveLayoutNow();
+  }
+  view.clusters_visualizer_refresh = () => refreshData();
+  view.clusters_visualizer_follow_file = (path) => followFile(path);
+  view.clusters_visualizer_source_change = (change) => onSourceChange(change);
+  view.clusters_visualizer_sources_updated = () => onSourcesUpdated();
+  view.clusters_visualizer_suggest = () => suggestClusters();
+  view.clusters_visualizer_auto_name = () => nameUnnamedClusters();
+  view.clusters_visualizer_item_filter = (key) => !is_cluster_summary_path(key) && passesFilters(key);
+  view.clusters_visualizer_recolor = () => {
+    theme = null;
+    applyNodeColors();
+    ticked();
+  };
+  view.clusters_visualizer_teardown = () => {
+    tornDown = true;
+    view.clusters_visualizer_teardown = null;
+    simulation.dispose();
+    layoutTimer?.stop();
+    // Zoom transitions (fly-to, framing) run on d3 timers
+    d3.select(canvas_el).interrupt();
+    cleanups.forEach((cleanup) => cleanup());
+    if (layoutSaveTimeout) saveLayoutNow();
+    if (positionsSaveTimeout) savePositionsNow();
+    if (transformSaveTimeout) saveTransformNow();
+    view.clusters_visualizer_refresh = null;
+    view.clusters_visualizer_follow_file = null;
+    view.clusters_visualizer_source_change = null;
+    view.clusters_visualizer_sources_updated = null;
+    suggestAbort?.abort();
+    view.clusters_visualizer_suggest = null;
+    view.clusters_visualizer_auto_name = null;
+    view.clusters_visualizer_recolor = null;
+    view.clusters_visualizer_item_filter = null;
+    clearTimeout(sourceRefreshTimeout);
+  };
 
   const zoom_behavior = d3
     .zoom()
@@ -474,13 +861,14 @@ export async function render(view, opts = {}) {
       if (event.shiftKey) return false;
       const [mx, my] = d3.pointer(event, canvas_el);
       const [sx, sy] = transform.invert([mx, my]);
-      const node = findNodeAt(sx, sy, nodes, transform.k);
+      const node = nodeAt(sx, sy);
       return !node;
     })
     .on('zoom', (event) => {
       transform = event.transform;
       ticked();
-    });
+    })
+    .on('end', scheduleTransformSave);
 
   d3.select(canvas_el).call(zoom_behavior);
 
@@ -493,7 +881,7 @@ export async function render(view, opts = {}) {
     .subject((event) => {
       const [mx, my] = d3.pointer(event, canvas_el);
       const [sx, sy] = transform.invert([mx, my]);
-      return findNodeAt(sx, sy, nodes, transform.k) || null;
+      return nodeAt(sx, sy) || null;
     })
     .on('start', (event) => {
       const node = event.subject;
@@ -502,7 +890,7 @@ export async function render(view, opts = {}) {
       isDragging = true;
       hoveredNode = null;
 
-      if (pinned) {
+      if (isFrozen()) {
         node.fx = null;
         node.fy = null;
       }
@@ -535,6 +923,7 @@ export async function render(view, opts = {}) {
         n.fx = startPos.x + dx;
         n.fy = startPos.y + dy;
       });
+      simulation.sync_fixed(nodeStartPositions.keys());
     })
     .on('end', (event) => {
       const node = event.subject;
@@ -542,26 +931,38 @@ export async function render(view, opts = {}) {
 
       if (!event.active) simulation.alphaTarget(0);
 
-      if (pinned) {
+      if (isFrozen()) {
         nodeStartPositions.forEach((_, n) => {
           n.fx = n.x;
           n.fy = n.y;
         });
       } else {
         nodeStartPositions.forEach((_, n) => {
+          if (laneNodes.has(n)) return;
           n.fx = null;
           n.fy = null;
         });
       }
+      simulation.sync_fixed(nodeStartPositions.keys());
+      // Lane notes go back to their slot
+      if (!isFrozen() && [...nodeStartPositions.keys()].some((n) => laneNodes.has(n))) placeLane();
 
       dragStartPos = null;
       nodeStartPositions.clear();
       isDragging = false;
+      schedulePositionsSave();
     });
 
   d3.select(canvas_el).call(drag_behavior);
 
   let hoveredNode = null;
+  // Keyboard focus (see Keyboard navigation below)
+  let focusedNode = null;
+  // Active note while "follow active note" is on (see Follow active note below)
+  let followedNode = null;
+  // Suggested clusters under review, drawn as ghosts (see Suggest clusters below)
+  let suggestions = [];
+  const acceptedSuggestions = new Set();
   const selectedNodes = new Set();
   updateToolbarUI();
 
@@ -573,18 +974,7 @@ export async function render(view, opts = {}) {
     if (!selectionStart || !selectionEnd) return;
     const [x0, y0] = selectionStart;
     const [x1, y1] = selectionEnd;
-    const minX = Math.min(x0, x1);
-    const maxX = Math.max(x0, x1);
-    const minY = Math.min(y0, y1);
-    const maxY = Math.max(y0, y1);
-
-    const inBox = [];
-    nodes.forEach((node) => {
-      const { x, y } = node;
-      if (x >= minX && x <= maxX && y >= minY && y <= maxY) {
-        inBox.push(node);
-      }
-    });
+    const inBox = find_nodes_in_box(getSpatialIndex(), x0, y0, x1, y1);
 
     if (isShiftKey) {
       inBox.forEach((node) => selectedNodes.add(node));
@@ -615,8 +1005,8 @@ export async function render(view, opts = {}) {
       } else {
         const [mx, my] = d3.pointer(event, canvas_el);
         const [sx, sy] = transform.invert([mx, my]);
-        hoveredNode = findNodeAt(sx, sy, nodes, transform.k);
-        canvas_el.style.cursor = hoveredNode ? 'pointer' : 'default';
+        hoveredNode = nodeAt(sx, sy);
+        canvas_el.style.cursor = hoveredNode || suggestionAt(sx, sy) ? 'pointer' : 'default';
         ticked();
       }
     })
@@ -624,7 +1014,7 @@ export async function render(view, opts = {}) {
       if (isSelecting) {
         isSelecting = false;
         updateSelection(event.shiftKey);
-        updateToolbarUI();
+        selectionChanged();
         ticked();
       }
     })
@@ -646,7 +1036,21 @@ export async function render(view, opts = {}) {
       if (isSelecting) return;
       const [mx, my] = d3.pointer(event, canvas_el);
       const [sx, sy] = transform.invert([mx, my]);
-      const clickedNode = findNodeAt(sx, sy, nodes, transform.k);
+      const clickedNode = nodeAt(sx, sy);
+      // Clicking a suggested (ghost) cluster away from notes toggles whether it is kept
+      const ghost = !clickedNode && suggestionAt(sx, sy);
+      if (ghost) {
+        toggleSuggestion(ghost.id);
+        return;
+      }
+      if (clickedNode) focusedNode = clickedNode;
+
+      // Ctrl/Cmd-click opens the note in a new tab (Ctrl/Cmd+Alt: split) instead of selecting
+      const paneType = view.get_pane_type?.(event);
+      if (paneType && clickedNode?.item) {
+        openNote(clickedNode, paneType);
+        return;
+      }
 
       if (event.shiftKey) {
         // Multi-select mode
@@ -675,19 +1079,12 @@ export async function render(view, opts = {}) {
           }
         }
       }
-      updateToolbarUI();
+      selectionChanged();
       ticked();
     });
 
   // Utility for the main draw loop
   function ticked() {
-    const w = canvas_el.width;
-    const h = canvas_el.height;
-    context.clearRect(0, 0, w, h);
-    context.save();
-    context.translate(transform.x, transform.y);
-    context.scale(transform.k, transform.k);
-
     // Position child nodes at parent's location (or near it)
     nodes.forEach((node) => {
       if (node.type === 'center') {
@@ -698,13 +1095,16 @@ export async function render(view, opts = {}) {
       }
     });
 
-    // Determine highlights
+    // Determine highlights (hover wins over search results, which win over the followed note)
+    const followed = !hoveredNode && !searchMatches.size ? followedNode : null;
+    const highlightNode = hoveredNode || followed;
     const connectedNodes = new Set();
     const connectedLinks = new Set();
-    if (hoveredNode) {
-      connectedNodes.add(hoveredNode);
-      links.forEach((link) => {
-        if (link.source === hoveredNode || link.target === hoveredNode) {
+    if (highlightNode) {
+      connectedNodes.add(highlightNode);
+      if (highlightNode.parent) connectedNodes.add(highlightNode.parent);
+      [...links, ...clusterLinks].forEach((link) => {
+        if (link.source === highlightNode || link.target === highlightNode) {
           connectedLinks.add(link);
           connectedNodes.add(link.source);
           connectedNodes.add(link.target);
@@ -712,41 +1112,115 @@ export async function render(view, opts = {}) {
       });
     }
 
+    // Search results dim everything else while nothing is hovered
+    const searching = !hoveredNode && searchMatches.size > 0;
+
     // Animate fade for links
     links.forEach((link) => {
-      link.desiredAlpha = hoveredNode
-        ? (connectedLinks.has(link) ? 1.0 : 0.05)
-        : 1.0;
+      if (hoveredNode) {
+        link.desiredAlpha = connectedLinks.has(link) ? 1.0 : 0.05;
+      } else if (searching) {
+        link.desiredAlpha = (searchMatches.has(link.source) || searchMatches.has(link.target)) ? 0.6 : 0.05;
+      } else if (followed) {
+        link.desiredAlpha = connectedLinks.has(link) ? 1.0 : 0.15;
+      } else {
+        link.desiredAlpha = 1.0;
+      }
       link.currentAlpha = link.currentAlpha || link.desiredAlpha;
       link.currentAlpha += (link.desiredAlpha - link.currentAlpha) * 0.15;
+    });
 
-      context.beginPath();
-      context.strokeStyle = `rgba(76,119,135,${link.currentAlpha})`;
-      context.lineWidth = link.currentAlpha > 0.5 ? 1.2 : 1;
-      context.moveTo(link.source.x, link.source.y);
-      context.lineTo(link.target.x, link.target.y);
-      context.stroke();
+    clusterLinks.forEach((link) => {
+      if (highlightNode) {
+        link.desiredAlpha = connectedLinks.has(link) ? 0.9 : 0.05;
+      } else if (searching) {
+        link.desiredAlpha = 0.05;
+      } else {
+        link.desiredAlpha = 0.5;
+      }
+      link.currentAlpha = link.currentAlpha || link.desiredAlpha;
+      link.currentAlpha += (link.desiredAlpha - link.currentAlpha) * 0.15;
     });
 
     // Animate fade for nodes
     nodes.forEach((node) => {
-      node.desiredAlpha = hoveredNode
-        ? (connectedNodes.has(node) ? 1.0 : 0.1)
-        : 1.0;
+      if (hoveredNode) {
+        node.desiredAlpha = connectedNodes.has(node) ? 1.0 : 0.1;
+      } else if (searching) {
+        node.desiredAlpha = searchMatches.has(node) ? 1.0 : 0.1;
+      } else if (followed) {
+        node.desiredAlpha = connectedNodes.has(node) ? 1.0 : 0.3;
+      } else {
+        node.desiredAlpha = 1.0;
+      }
       node.currentAlpha = node.currentAlpha || node.desiredAlpha;
       node.currentAlpha += (node.desiredAlpha - node.currentAlpha) * 0.15;
+    });
+
+    drawScene(context, transform, canvas_el.width, canvas_el.height);
+  }
+
+  /**
+   * Draws links, nodes and labels onto `context`. The live canvas passes its
+   * own context/transform; exports pass an offscreen one with
+   * `interactive: false` (no fades, selection, search or hover decorations).
+   * @param {CanvasRenderingContext2D} context
+   * @param {d3.ZoomTransform} transform
+   * @param {number} w
+   * @param {number} h
+   * @param {Object} [params]
+   * @param {boolean} [params.interactive=true]
+   */
+  function drawScene(context, transform, w, h, { interactive = true } = {}) {
+    const { colors, line_scale, min_alpha } = getTheme();
+    const linkAlpha = (link) => (interactive ? Math.max(link.currentAlpha, min_alpha) : 1);
+    const nodeAlpha = (node) => (interactive ? Math.max(node.currentAlpha, min_alpha) : 1);
+    const isSelected = (node) => interactive && selectedNodes.has(node);
 
+    context.clearRect(0, 0, w, h);
+    context.save();
+    context.translate(transform.x, transform.y);
+    context.scale(transform.k, transform.k);
+
+    if (laneRect && !overview) drawLane(context, colors);
+
+    // Cluster links: thicker the further above their threshold
+    clusterLinks.forEach((link) => {
+      const alpha = interactive ? Math.max(link.currentAlpha, min_alpha) : 0.5;
+      const strength = (link.score - clusterLinkThreshold) / Math.max(1 - clusterLinkThreshold, 0.01);
+      context.beginPath();
+      context.strokeStyle = rgba(colors.cluster_link, alpha);
+      context.lineWidth = 1.5 + 4 * Math.min(Math.max(strength, 0), 1);
+      context.moveTo(link.source.x, link.source.y);
+      context.lineTo(link.target.x, link.target.y);
+      context.stroke();
+    });
+
+    // Member links are hidden in the overview
+    (overview ? [] : links).forEach((link) => {
+      const alpha = linkAlpha(link);
+      context.beginPath();
+      context.strokeStyle = rgba(colors.link, alpha);
+      context.lineWidth = (alpha > 0.5 ? 1.2 : 1) * line_scale;
+      context.moveTo(link.source.x, link.source.y);
+      context.lineTo(link.target.x, link.target.y);
+      context.stroke();
+    });
+
+    nodes.forEach((node) => {
+      if (overview && node.type !== 'cluster') return;
       context.beginPath();
       if (node.type === 'cluster') {
-        if (transform.k < 3.0) {
-          context.fillStyle = hexToRgba(node.color, node.currentAlpha);
+        if (transform.k < 3.0 || overview) {
+          context.fillStyle = hexToRgba(node.color, nodeAlpha(node));
           context.arc(node.x, node.y, node.radius, 0, 2 * Math.PI);
           context.fill();
-          if (selectedNodes.has(node)) {
-            context.lineWidth = 3;
-            context.strokeStyle = '#ff9800';
+          if (isSelected(node)) {
+            context.lineWidth = 3 * line_scale;
+            context.strokeStyle = rgba(colors.selection);
             context.stroke();
           }
+          if (overview) drawMemberCount(context, node, nodeAlpha(node));
         } else {
           // Zoomed in, fade out cluster circle
           context.fillStyle = hexToRgba(node.color, 0.5);
@@ -755,32 +1229,81 @@ export async function render(view, opts = {}) {
         }
       } else if (node.type === 'center') {
         if (transform.k >= 3.0) {
-          context.fillStyle = hexToRgba(node.color, node.currentAlpha);
+          context.fillStyle = hexToRgba(node.color, nodeAlpha(node));
           context.arc(node.x, node.y, node.radius, 0, 2 * Math.PI);
           context.fill();
-          if (selectedNodes.has(node)) {
-            context.lineWidth = 3;
-            context.strokeStyle = '#ff9800';
+          if (isSelected(node)) {
+            context.lineWidth = 3 * line_scale;
+            context.strokeStyle = rgba(colors.selection);
             context.stroke();
           }
         }
       } else {
-        context.fillStyle = hexToRgba(node.color, node.currentAlpha);
+        context.fillStyle = hexToRgba(node.color, nodeAlpha(node));
         context.arc(node.x, node.y, node.radius, 0, 2 * Math.PI);
         context.fill();
-        if (selectedNodes.has(node)) {
-          context.lineWidth = 3;
-          context.strokeStyle = '#ff9800';
+        if (isSelected(node)) {
+          context.lineWidth = 3 * line_scale;
+          context.strokeStyle = rgba(colors.selection);
           context.stroke();
         }
       }
     });
 
+    if (!interactive) {
+      context.restore();
+      drawLabels(context, transform, w, h, { interactive });
+      return;
+    }
+
+    // Search match rings; the active result gets a thicker ring and a label
+    if (searchMatches.size) {
+      searchMatches.forEach((node) => {
+        if (!isNodeVisible(node)) return;
+        const isActive = node === searchResults[searchIndex];
+        context.beginPath();
+        context.lineWidth = ((isActive ? 3 : 1.5) * line_scale) / Math.min(transform.k, 1);
+        context.strokeStyle = rgba(colors.search, isActive ? 1 : 0.6);
+        context.arc(node.x, node.y, node.radius + 3, 0, 2 * Math.PI);
+        context.stroke();
+      });
+      const activeNode = searchResults[searchIndex];
+      if (activeNode && activeNode !== hoveredNode) {
+        context.fillStyle = rgba(colors.search);
+        context.font = '10px sans-serif';
+        context.textAlign = 'center';
+        context.fillText(getNodeLabel(activeNode), activeNode.x, activeNode.y - activeNode.radius - 6);
+      }
+    }
+
+    drawSuggestions(context, transform);
+
+    // Followed (active) note
+    if (followedNode && isNodeVisible(followedNode)) {
+      context.beginPath();
+      context.lineWidth = (2.5 * line_scale) / Math.min(transform.k, 1);
+      context.strokeStyle = rgba(colors.follow);
+      context.arc(followedNode.x, followedNode.y, followedNode.radius + 3, 0, 2 * Math.PI);
+      context.stroke();
+    }
+
+    // Keyboard focus ring (only while the canvas has focus)
+    if (focusedNode && isNodeVisible(focusedNode) && document.activeElement === canvas_el) {
+      const k = Math.min(transform.k, 1);
+      context.beginPath();
+      context.setLineDash([4 / k, 3 / k]);
+      context.lineWidth = (2 * line_scale) / k;
+      context.strokeStyle = rgba(colors.focus);
+      context.arc(focusedNode.x, focusedNode.y, focusedNode.radius + 5, 0, 2 * Math.PI);
+      context.stroke();
+      context.setLineDash([]);
+    }
+
     // Selection box
     if (isSelecting && selectionStart && selectionEnd) {
       context.beginPath();
-      context.strokeStyle = '#009688';
-      context.lineWidth = 1.5;
+      context.strokeStyle = rgba(colors.selection_box);
+      context.lineWidth = 1.5 * line_scale;
       const [x0, y0] = selectionStart;
       const [x1, y1] = selectionEnd;
       context.rect(x0, y0, x1 - x0, y1 - y0);
@@ -790,17 +1313,10 @@ export async function render(view, opts = {}) {
     // Show label for hovered node
     if (hoveredNode) {
       context.beginPath();
-      context.fillStyle = '#ccc';
+      context.fillStyle = rgba(colors.label_strong);
       context.font = '10px sans-serif';
       context.textAlign = 'center';
-      let labelText = hoveredNode.id;
-      if (hoveredNode.type === 'cluster') {
-        labelText = getLastSegmentWithoutExtension(hoveredNode.cluster?.name) || hoveredNode.id;
-      } else if (hoveredNode.type === 'member') {
-        labelText = getLastSegmentWithoutExtension(hoveredNode.item?.key) || hoveredNode.id;
-      } else if (hoveredNode.type === 'center') {
-        labelText = getLastSegmentWithoutExtension(hoveredNode.id) || hoveredNode.id;
-      }
+      const labelText = getNodeLabel(hoveredNode);
       context.fillText(
         labelText,
         hoveredNode.x,
@@ -809,6 +1325,62 @@ export async function render(view, opts = {}) {
     }
 
     context.restore();
+
+    drawLabels(context, transform, w, h);
+  }
+
+  // Always-on labels, drawn in screen space so text keeps its size while zooming
+  function drawLabels(context, transform, w, h, { interactive = true } = {}) {
+    if (labelMode === 'off') return;
+    if (!labelCandidates) {
+      // Only cluster labels while notes are hidden
+      const mode = overview && labelMode === 'all' ? 'clusters' : labelMode;
+      labelCandidates = order_label_candidates(nodes, links, mode);
+    }
+    const skip = interactive
+      ? new Set([hoveredNode, searchResults[searchIndex]].filter(Boolean))
+      : new Set();
+    const placed = place_labels(labelCandidates, {
+      transform,
+      width: w,
+      height: h,
+      skip,
+      get_text: getNodeLabel,
+      measure: (text, node) => {
+        const font = labelFont(node);
+        const key = `${font}|${text}`;
+        if (!labelWidthCache.has(key)) {
+          context.font = font;
+          labelWidthCache.set(key, context.measureText(text).width);
+        }
+        return labelWidthCache.get(key);
+      },
+    });
+    const { colors, min_alpha } = getTheme();
+    context.textAlign = 'center';
+    context.textBaseline = 'alphabetic';
+    placed.forEach(({ node, text, x, y }) => {
+      context.font = labelFont(node);
+      const alpha = interactive ? Math.max(node.currentAlpha ?? 1, min_alpha) : 1;
+      context.fillStyle = rgba(node.type === 'cluster' ? colors.label_strong : colors.label, alpha);
+      context.fillText(text, x, y);
+    });
+  }
+
+  // Number of notes at or above the threshold, in the middle of the bubble
+  function drawMemberCount(context, node, alpha) {
+    if (!memberCounts) memberCounts = count_cluster_members(members, currentThreshold());
+    const count = memberCounts.get(node.id) || 0;
+    context.fillStyle = rgba(getTheme().colors.on_node, alpha);
+    context.font = `bold ${Math.max(10, Math.round(node.radius * 0.6))}px sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(String(count), node.x, node.y);
+    context.textBaseline = 'alphabetic';
+  }
+
+  function labelFont(node) {
+    return node.type === 'cluster' ? 'bold 12px sans-serif' : '10px sans-serif';
   }
 
   // Utility to apply alpha to a hex color
@@ -826,53 +1398,717 @@ export async function render(view, opts = {}) {
     return `rgba(${r},${g},${b},${alpha})`;
   }
 
-  // --- Pin button ---
-  pinBtn?.addEventListener('click', () => {
-    pinned = !pinned;
-  
-    const pinIcon = pinBtn.querySelector('.sc-icon-pin');
-    const pinOffIcon = pinBtn.querySelector('.sc-icon-pin-off');
-  
+  /**
+   * Re-reads the cluster group snapshot and merges it into the live
+   * nodes/links (no rebuild), keeping simulation, transform and selection.
+   * @param {Object} [params]
+   * @param {Map<string, string>} [params.renames] - old path -> new path, renamed notes keep their node
+   * @param {Set<string>} [params.keys] - only re-score these notes against the current clusters
+   */
+  async function refreshData({ renames, keys } = {}) {
+    const threshold = currentThreshold();
+    let next_snapshot;
+    if (keys) {
+      const items = get_source_items(cluster_groups.env, deletedPaths, passesFilters)
+        .filter((item) => keys.has(item.key));
+      const changed = items.length ? (await cluster_group.get_snapshot(items)).members : [];
+      next_snapshot = filter_snapshot({
+        clusters: snapshotClusters,
+        members: [...members.filter((member) => !keys.has(member.item?.key)), ...changed],
+      }, filters, threshold);
+    } else {
+      next_snapshot = filter_snapshot(
+        await cluster_group.get_snapshot(get_source_items(cluster_groups.env, deletedPaths, passesFilters)),
+        filters,
+        threshold
+      );
+      snapshotClusters = next_snapshot.clusters;
+    }
+    members = next_snapshot.members;
+    const next = build_graph(next_snapshot, { threshold });
+    const { added, removed } = merge_graph({ nodes, links, node_map }, next, get_member_clusters(members), { renames });
+    if (debug) console.log('refreshData added:', added, 'removed:', removed);
+    labelCandidates = null;
+    spatialIndex = null;
+    adjacency = null;
+    memberCounts = null;
+    clusterSimilarities = null;
+    updateClusterLinks();
+    // merge_graph resets node colors and sizes to the defaults
+    applyNodeColors();
+    applyNodeSizes();
+
+    removed.forEach((node) => selectedNodes.delete(node));
+    if (focusedNode && removed.includes(focusedNode)) focusedNode = null;
+    if (followedNode && removed.includes(followedNode)) followedNode = null;
+    if (removed.some((node) => searchMatches.has(node))) {
+      searchResults = searchResults.filter((node) => !removed.includes(node));
+      searchMatches = new Set(searchResults);
+      searchIndex = Math.min(searchIndex, Math.max(searchResults.length - 1, 0));
+      updateSearchUI();
+    }
+    if (hoveredNode && removed.includes(hoveredNode)) hoveredNode = null;
     if (pinned) {
-      simulation.alpha(0).alphaTarget(0);
-      nodes.forEach((n) => {
-        n.fx = n.x;
-        n.fy = n.y;
-        n.vx = 0;
-        n.vy = 0;
+      added.forEach((node) => {
+        if (node.type === 'center' || !Number.isFinite(node.x)) return;
+        node.fx = node.x;
+        node.fy = node.y;
       });
-      // Switch icon visibility
-      pinIcon.style.display = 'none';
-      pinOffIcon.style.display = 'inline';
+    }
+
+    simulation.set_graph(nodes, links);
+    updateUnclustered();
+    if (layoutMode !== 'force') {
+      applyLayout();
     } else {
-      nodes.forEach((n) => {
-        n.fx = null;
-        n.fy = null;
-        n.vx = 0;
-        n.vy = 0;
-      });
-      simulation.alpha(0.8).restart();
-      // Switch icon visibility back
-      pinIcon.style.display = 'inline';
-      pinOffIcon.style.display = 'none';
+      placeLane({ animate: false });
+      // Pinned: a small alpha only lets new, unplaced nodes find a spot
+      simulation.alpha(pinned ? 0.1 : 0.3).restart();
     }
-  });
+    selectionChanged();
+    updateAriaTree();
+    ticked();
+  }
 
-  // --- Create cluster ---
-  createClusterBtn?.addEventListener('click', async () => {
-    if (debug) console.log('Create new cluster from selection');
-    const center = Array.from(selectedNodes.values()).reduce((acc, node) => {
-      acc[node.item.key] = { weight: 1 };
-      return acc;
-    }, {});
+  // --- Live updates from the vault ---
+  // Deletes and renames are batched into one incremental refreshData(); renamed
+  // notes keep their node and deleted paths are left out even while the source
+  // lingers. Edited and created notes wait until Smart Environment has imported
+  // and embedded them, then only those notes are re-scored. Files that are not
+  // smart sources never trigger a refresh.
+  const deletedPaths = new Set();
+  const pendingRenames = new Map();
+  // Edited/created paths waiting for the environment to finish with them
+  const changedPaths = new Set();
+  // Changed smart sources to re-score on the next flush
+  const changedKeys = new Set();
+  let fullRefreshDue = false;
+  let sourceRefreshTimeout = null;
+
+  /**
+   * @param {{type: 'create'|'delete'|'rename'|'modify', path: string, old_path?: string}} change
+   */
+  function onSourceChange({ type, path, old_path }) {
+    const sources = cluster_groups.env.smart_sources?.items || {};
+    if (type === 'modify') {
+      if (sources[path]) changedPaths.add(path);
+      return;
+    }
+    if (type === 'create') {
+      // Not a smart source until it is imported; kept until then
+      deletedPaths.delete(path);
+      changedPaths.add(path);
+      return;
+    }
+    if (type === 'rename') {
+      pendingRenames.set(old_path, path);
+      deletedPaths.add(old_path);
+      deletedPaths.delete(path);
+      changedPaths.delete(old_path);
+    } else if (type === 'delete') {
+      deletedPaths.add(path);
+      changedPaths.delete(path);
+    }
+    fullRefreshDue = true;
+    scheduleSourceRefresh();
+  }
 
-    const cluster = await cluster_group.env.clusters.create_or_update({ center });
-    await cluster_group.add_cluster(cluster);
-    view.render_view();
+  /**
+   * Called when the environment has finished importing or embedding sources.
+   */
+  function onSourcesUpdated() {
+    const sources = cluster_groups.env.smart_sources?.items || {};
+    changedPaths.forEach((path) => {
+      if (!sources[path]) return;
+      changedPaths.delete(path);
+      changedKeys.add(path);
+    });
+    if (changedKeys.size) scheduleSourceRefresh();
+  }
+
+  function scheduleSourceRefresh() {
+    if (sourceRefreshTimeout) return;
+    sourceRefreshTimeout = setTimeout(flushSourceChanges, 1000);
+  }
+
+  async function flushSourceChanges() {
+    sourceRefreshTimeout = null;
+    const keys = new Set(changedKeys);
+    changedKeys.clear();
+    // A changed center moves its cluster, which changes every note's score
+    const centerChanged = nodes.some((node) => node.type === 'center' && keys.has(node.id));
+    if (fullRefreshDue || centerChanged) {
+      fullRefreshDue = false;
+      const renames = new Map(pendingRenames);
+      pendingRenames.clear();
+      await refreshData({ renames });
+    } else if (keys.size) {
+      await refreshData({ keys });
+    }
+  }
+
+  // --- Search ---
+  let searchResults = [];
+  let searchIndex = 0;
+  let searchMatches = new Set();
+  const searchInput = frag.querySelector('.sc-search-input');
+  const searchCount = frag.querySelector('.sc-search-count');
+
+  function runSearch(query) {
+    searchResults = search_nodes(nodes, query, { get_label: getNodeLabel });
+    searchMatches = new Set(searchResults);
+    searchIndex = 0;
+    updateSearchUI();
+    if (searchResults.length) flyTo([searchResults[0]]);
+    else animateFade();
+  }
+
+  function stepSearch(delta) {
+    if (!searchResults.length) return;
+    searchIndex = (searchIndex + delta + searchResults.length) % searchResults.length;
+    updateSearchUI();
+    flyTo([searchResults[searchIndex]]);
+  }
+
+  function clearSearch() {
+    if (searchInput) searchInput.value = '';
+    searchResults = [];
+    searchMatches = new Set();
+    updateSearchUI();
+    animateFade();
+  }
+
+  function updateSearchUI() {
+    if (!searchCount) return;
+    if (!searchInput?.value.trim()) searchCount.textContent = '';
+    else if (!searchResults.length) searchCount.textContent = 'No results';
+    else searchCount.textContent = `${searchIndex + 1} / ${searchResults.length}`;
+  }
+
+  // Drive a few frames so alpha fades finish while the simulation is idle
+  let fadeTimer = null;
+  function animateFade(duration = 600) {
+    fadeTimer?.stop();
+    fadeTimer = d3.timer((elapsed) => {
+      ticked();
+      if (elapsed > duration) fadeTimer.stop();
+    });
+  }
+
+  let searchDebounce;
+  cleanups.push(() => {
+    fadeTimer?.stop();
+    clearTimeout(searchDebounce);
+  });
+  searchInput?.addEventListener('input', () => {
+    clearTimeout(searchDebounce);
+    searchDebounce = setTimeout(() => runSearch(searchInput.value), 150);
+  });
+  searchInput?.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      clearTimeout(searchDebounce);
+      if (searchMatches.size === 0) runSearch(searchInput.value);
+      else stepSearch(event.shiftKey ? -1 : 1);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      clearSearch();
+    }
+  });
+  frag.querySelector('.sc-search-prev')?.addEventListener('click', () => stepSearch(-1));
+  frag.querySelector('.sc-search-next')?.addEventListener('click', () => stepSearch(1));
+
+  // --- Layout modes ---
+  // Nodes stay where they are dropped in static layouts and when pinned
+  function isFrozen() {
+    return pinned || layoutMode !== 'force';
+  }
+
+  /**
+   * Moves every cluster/member node to the current static layout's positions
+   * (radial or grid) and fixes them there. No-op in force mode.
+   * @param {Object} [params]
+   * @param {boolean} [params.animate=true]
+   * @param {Function} [params.onEnd]
+   */
+  function applyLayout({ animate = true, onEnd } = {}) {
+    const targets = compute_layout(layoutMode, nodes, links);
+    if (!targets) return;
+    getLaneTargets(targets).forEach((target, node) => targets.set(node, target));
+    simulation.stop();
+    if (!animate) {
+      targets.forEach((target, node) => {
+        node.x = node.fx = target.x;
+        node.y = node.fy = target.y;
+        node.vx = node.vy = 0;
+      });
+      simulation.sync_fixed();
+      spatialIndex = null;
+      ticked();
+      onEnd?.();
+      return;
+    }
+    animateNodesTo(targets, { onEnd });
+  }
+
+  function animateNodesTo(targets, { duration = 750, onEnd } = {}) {
+    layoutTimer?.stop();
+    const starts = new Map();
+    targets.forEach((target, node) => {
+      starts.set(node, {
+        x: Number.isFinite(node.x) ? node.x : target.x,
+        y: Number.isFinite(node.y) ? node.y : target.y,
+      });
+    });
+    layoutTimer = d3.timer((elapsed) => {
+      const t = d3.easeCubicInOut(Math.min(1, elapsed / duration));
+      targets.forEach((target, node) => {
+        const start = starts.get(node);
+        node.x = node.fx = start.x + (target.x - start.x) * t;
+        node.y = node.fy = start.y + (target.y - start.y) * t;
+        node.vx = node.vy = 0;
+      });
+      spatialIndex = null;
+      ticked();
+      if (t >= 1) {
+        layoutTimer.stop();
+        layoutTimer = null;
+        simulation.sync_fixed();
+        onEnd?.();
+        schedulePositionsSave();
+      }
+    });
+  }
+
+  function setLayoutMode(mode) {
+    layoutMode = mode;
+    showButton(pinBtn, layoutMode === 'force');
+    if (layoutMode === 'force') {
+      layoutTimer?.stop();
+      layoutTimer = null;
+      if (!pinned) {
+        nodes.forEach((n) => {
+          if (laneNodes.has(n)) return;
+          n.fx = null;
+          n.fy = null;
+        });
+        simulation.sync_fixed();
+      }
+      placeLane();
+      simulation.alpha(0.8).restart();
+    } else {
+      applyLayout({ onEnd: centerNetwork });
+    }
+    saveLayoutNow();
+  }
+
+  const labelModeSelect = frag.querySelector('.sc-label-mode-select');
+  labelModeSelect?.addEventListener('change', () => {
+    labelMode = labelModeSelect.value;
+    labelCandidates = null;
+    ticked();
+    saveLayoutNow();
   });
 
+  const layoutSelect = frag.querySelector('.sc-layout-select');
+  layoutSelect?.addEventListener('change', () => setLayoutMode(layoutSelect.value));
+  showButton(pinBtn, layoutMode === 'force');
+  if (layoutMode !== 'force') applyLayout({ animate: false });
+
+  // --- Pin button ---
+  if (pinned && pinBtn) {
+    // Restored pinned layout: show the matching icon
+    pinBtn.querySelector('.sc-icon-pin').style.display = 'none';
+    pinBtn.querySelector('.sc-icon-pin-off').style.display = 'inline';
+  }
+  pinBtn?.addEventListener('click', () => {
+    pinned = !pinned;
+  
+    const pinIcon = pinBtn.querySelector('.sc-icon-pin');
+    const pinOffIcon = pinBtn.querySelector('.sc-icon-pin-off');
+  
+    if (pinned) {
+      simulation.alpha(0).alphaTarget(0);
+      nodes.forEach((n) => {
+        n.fx = n.x;
+        n.fy = n.y;
+        n.vx = 0;
+        n.vy = 0;
+      });
+      simulation.sync_fixed();
+      // Switch icon visibility
+      pinIcon.style.display = 'none';
+      pinOffIcon.style.display = 'inline';
+    } else {
+      nodes.forEach((n) => {
+        if (laneNodes.has(n)) return;
+        n.fx = null;
+        n.fy = null;
+        n.vx = 0;
+        n.vy = 0;
+      });
+      simulation.sync_fixed();
+      simulation.alpha(0.8).restart();
+      // Switch icon visibility back
+      pinIcon.style.display = 'inline';
+      pinOffIcon.style.display = 'none';
+    }
+    saveLayoutNow();
+  });
+
+  // --- Follow active note ---
+  const followBtn = frag.querySelector('.sc-follow-active');
+
+  /**
+   * Highlights the node of the note at `path` with its clusters and links and
+   * pans to it; null/unknown paths clear the highlight.
+   * @param {string|null} path
+   */
+  function followFile(path) {
+    const node = path
+      ? (node_map[path] || nodes.find((n) => n.type === 'center' && n.id === path) || null)
+      : null;
+    const changed = node !== followedNode;
+    followedNode = node;
+    if (node && changed && Number.isFinite(node.x)) {
+      d3.select(canvas_el)
+        .transition()
+        .duration(750)
+        .call(zoom_behavior.translateTo, node.x, node.y);
+    }
+    animateFade();
+  }
+
+  followBtn?.addEventListener('click', () => {
+    const following = !view.follow_active_file;
+    followBtn.classList.toggle('is-active', following);
+    followBtn.setAttribute('aria-pressed', following ? 'true' : 'false');
+    if (view.set_follow_active_file) view.set_follow_active_file(following);
+    else view.follow_active_file = following;
+  });
+
+  // --- Cluster links & overview ---
+  const overviewBtn = frag.querySelector('.sc-overview');
+  const clusterLinkSlider = frag.querySelector('.sc-cluster-link-slider');
+  const clusterLinkValue = frag.querySelector('.sc-cluster-link-value');
+  const clusterLinkBasisSelect = frag.querySelector('.sc-cluster-link-basis');
+
+  function updateClusterLinks() {
+    if (!clusterSimilarities) {
+      const clusterList = nodes.filter((node) => node.type === 'cluster').map((node) => node.cluster);
+      clusterSimilarities = compute_cluster_similarities(clusterList, members, {
+        basis: clusterLinkBasis,
+        member_threshold: currentThreshold(),
+      });
+    }
+    const previous = new Map(clusterLinks.map((link) => [`${link.source.id}|${link.target.id}`, link]));
+    const next = build_cluster_links(clusterSimilarities, node_map, clusterLinkThreshold).map((link) => ({
+      ...link,
+      currentAlpha: previous.get(`${link.source.id}|${link.target.id}`)?.currentAlpha,
+    }));
+    clusterLinks.length = 0;
+    clusterLinks.push(...next);
+  }
+  updateClusterLinks();
+
+  /**
+   * Switches the clusters-only overview on or off.
+   * @param {boolean} value
+   */
+  function setOverview(value) {
+    overview = value;
+    overviewBtn?.classList.toggle('is-active', overview);
+    overviewBtn?.setAttribute('aria-pressed', overview ? 'true' : 'false');
+    spatialIndex = null;
+    labelCandidates = null;
+    hoveredNode = null;
+    if (overview) {
+      // Hidden notes can't stay selected or focused
+      const hidden = [...selectedNodes].filter((node) => node.type !== 'cluster');
+      hidden.forEach((node) => selectedNodes.delete(node));
+      if (hidden.length) selectionChanged();
+      if (focusedNode && !isNodeVisible(focusedNode)) focusedNode = null;
+    }
+    announce(overview ? 'Overview: clusters only' : 'Showing all notes');
+    scheduleLayoutSave();
+    ticked();
+  }
+  overviewBtn?.addEventListener('click', () => setOverview(!overview));
+
+  let clusterLinkDebounce;
+  cleanups.push(() => clearTimeout(clusterLinkDebounce));
+  clusterLinkSlider?.addEventListener('input', () => {
+    const value = parseFloat(clusterLinkSlider.value);
+    if (clusterLinkValue) clusterLinkValue.textContent = value.toFixed(2);
+    clearTimeout(clusterLinkDebounce);
+    clusterLinkDebounce = setTimeout(() => {
+      clusterLinkThreshold = value;
+      updateClusterLinks();
+      adjacency = null;
+      scheduleLayoutSave();
+      ticked();
+    }, 100);
+  });
+  clusterLinkBasisSelect?.addEventListener('change', () => {
+    clusterLinkBasis = clusterLinkBasisSelect.value;
+    if (clusterLinkSlider) clusterLinkSlider.disabled = clusterLinkBasis === 'off';
+    clusterSimilarities = null;
+    updateClusterLinks();
+    adjacency = null;
+    scheduleLayoutSave();
+    ticked();
+  });
+
+  // --- Theme ---
+  // Resolved lazily: a canvas that isn't attached yet only gets the fallbacks
+  function getTheme() {
+    if (theme) return theme;
+    const resolved = resolve_theme(canvas_el, { high_contrast: !!view.get_setting?.('high_contrast') });
+    if (canvas_el.isConnected) theme = resolved;
+    return resolved;
+  }
+
+  // --- Color by ---
+  const colorModeSelect = frag.querySelector('.sc-color-mode-select');
+  const legendToggle = frag.querySelector('.sc-legend-toggle');
+  const legendEl = frag.querySelector('.sc-legend');
+
+  /**
+   * Sets node.color for the current color mode and user rules, and redraws the legend.
+   */
+  function applyNodeColors() {
+    const { colors, legend } = compute_node_colors(nodes, {
+      mode: colorMode,
+      get_note_info: (key) => view.get_note_info?.(key) || { path: String(key).split('#')[0] },
+      member_clusters: get_member_clusters(members),
+      get_cluster_label: getNodeLabel,
+      property: view.get_setting?.('color_property') || '',
+      rules: view.get_setting?.('color_rules') || [],
+      node_colors: get_node_colors(getTheme()),
+    });
+    colors.forEach((color, node) => { node.color = color; });
+    if (!legendEl) return;
+    const title = colorMode === 'property'
+      ? `Color by ${view.get_setting?.('color_property') || 'property'}`
+      : COLOR_MODES.find((mode) => mode.value === colorMode)?.label || 'Legend';
+    legendEl.replaceChildren(toFragment(build_legend_html(legend, { title })));
+    legendEl.classList.toggle('hidden', !legendVisible);
+  }
+  applyNodeColors();
+
+  colorModeSelect?.addEventListener('change', async () => {
+    const mode = colorModeSelect.value;
+    if (mode === 'property' && !view.get_setting?.('color_property') && view.set_setting) {
+      const property = await view.prompt_text?.({
+        title: 'Color by property',
+        placeholder: 'Frontmatter key, e.g. status',
+        submit_text: 'Color',
+      });
+      if (!property) {
+        colorModeSelect.value = colorMode;
+        return;
+      }
+      await view.set_setting('color_property', property);
+    }
+    colorMode = mode;
+    applyNodeColors();
+    scheduleLayoutSave();
+    ticked();
+  });
+
+  legendToggle?.addEventListener('click', () => {
+    legendVisible = !legendVisible;
+    legendToggle.classList.toggle('is-active', legendVisible);
+    legendToggle.setAttribute('aria-pressed', legendVisible ? 'true' : 'false');
+    legendEl?.classList.toggle('hidden', !legendVisible);
+    scheduleLayoutSave();
+  });
+
+  // --- Size by ---
+  const sizeModeSelect = frag.querySelector('.sc-size-mode-select');
+  const sizeControls = frag.querySelector('.sc-size-controls');
+  const sizeMinInput = frag.querySelector('.sc-size-min-radius');
+  const sizeMaxInput = frag.querySelector('.sc-size-max-radius');
+  const sizeScaleSelect = frag.querySelector('.sc-size-scale');
+  let sizeRequest = 0;
+
+  /**
+   * Metric values by node id for the current size mode.
+   * @returns {Promise<Map<string, number>>}
+   */
+  async function getSizeMetrics() {
+    if (sizeMode === 'member_count') return count_cluster_members(members, currentThreshold());
+    if (sizeMode === 'cluster_count' || sizeMode === 'max_score') {
+      return get_membership_metrics(members, sizeMode, currentThreshold());
+    }
+    const memberIds = nodes.filter((node) => node.type === 'member').map((node) => node.id);
+    if (sizeMode === 'backlinks') {
+      const counts = view.get_backlink_counts?.() || new Map();
+      return new Map(memberIds.map((id) => [id, counts.get(String(id).split('#')[0]) || 0]));
+    }
+    if (sizeMode === 'word_count') return (await view.get_word_counts?.(memberIds)) || new Map();
+    return new Map();
+  }
+
+  /**
+   * Sets node.radius for the current size mode and radius range. Centers
+   * stay at 0.7 of their cluster's radius.
+   */
+  async function applyNodeSizes() {
+    const request = ++sizeRequest;
+    const metrics = sizeMode === 'default' ? new Map() : await getSizeMetrics();
+    // A newer mode, range or refresh superseded this one while word counts loaded
+    if (request !== sizeRequest) return;
+    const sizes = compute_node_sizes(nodes, {
+      mode: sizeMode,
+      metrics,
+      scale: sizeScale,
+      min_radius: sizeMinRadius,
+      max_radius: sizeMaxRadius,
+    });
+    let clustersResized = false;
+    sizes.forEach((radius, node) => {
+      if (node.radius === radius) return;
+      node.radius = radius;
+      if (node.type !== 'cluster') return;
+      clustersResized = true;
+      node.children?.forEach((child) => { child.offsetDist = radius * 0.7; });
+    });
+    spatialIndex = null;
+    labelCandidates = null;
+    // The simulation keeps its own copy of center offsets
+    if (clustersResized) simulation.set_graph(nodes, links);
+    ticked();
+  }
+  applyNodeSizes();
+
+  sizeModeSelect?.addEventListener('change', () => {
+    sizeMode = sizeModeSelect.value;
+    sizeControls?.classList.toggle('hidden', sizeMode === 'default');
+    applyNodeSizes();
+    scheduleLayoutSave();
+  });
+  sizeScaleSelect?.addEventListener('change', () => {
+    sizeScale = sizeScaleSelect.value;
+    applyNodeSizes();
+    scheduleLayoutSave();
+  });
+  [sizeMinInput, sizeMaxInput].forEach((input) => input?.addEventListener('change', () => {
+    const min = Math.min(RADIUS_LIMITS.max, Math.max(RADIUS_LIMITS.min, parseFloat(sizeMinInput.value) || sizeMinRadius));
+    const max = Math.min(RADIUS_LIMITS.max, Math.max(min, parseFloat(sizeMaxInput.value) || sizeMaxRadius));
+    sizeMinRadius = min;
+    sizeMaxRadius = max;
+    sizeMinInput.value = String(min);
+    sizeMaxInput.value = String(max);
+    applyNodeSizes();
+    scheduleLayoutSave();
+  }));
+
+  // --- Filters ---
+  const filtersToggle = frag.querySelector('.sc-filters-toggle');
+  const filtersCount = frag.querySelector('.sc-filters-count');
+  const filtersEl = frag.querySelector('.sc-filters');
+
+  function updateFiltersPanel() {
+    if (!filtersEl || filtersEl.classList.contains('hidden')) return;
+    filtersEl.replaceChildren(toFragment(build_filters_html(filters, {
+      shown: new Set(nodes.filter((node) => node.type !== 'cluster').map((node) => node.id)).size,
+      total: get_source_items(cluster_groups.env, deletedPaths).length,
+      close_icon: closeIcon,
+    })));
+  }
+
+  function setFiltersOpen(open) {
+    filtersEl?.classList.toggle('hidden', !open);
+    filtersToggle?.classList.toggle('is-active', open);
+    filtersToggle?.setAttribute('aria-pressed', open ? 'true' : 'false');
+    updateFiltersPanel();
+  }
+
+  /**
+   * Saves new filters on the cluster group and rebuilds the map from the notes that pass.
+   * @param {import('./filters.js').NoteFilters} next
+   */
+  async function applyFilters(next) {
+    filters = normalize_filters(next);
+    save_filters(cluster_group, filters);
+    const count = count_active_filters(filters);
+    if (filtersCount) {
+      filtersCount.textContent = count ? String(count) : '';
+      filtersCount.classList.toggle('hidden', !count);
+    }
+    await refreshData();
+    updateFiltersPanel();
+    announce(count ? `${count} filters applied` : 'Filters cleared');
+  }
+
+  filtersToggle?.addEventListener('click', () => setFiltersOpen(filtersEl?.classList.contains('hidden')));
+  filtersEl?.addEventListener('change', (event) => {
+    if (event.target.closest('[data-filter]')) applyFilters(read_filters_form(filtersEl));
+  });
+  filtersEl?.addEventListener('click', (event) => {
+    if (event.target.closest('.sc-filters-close')) setFiltersOpen(false);
+    else if (event.target.closest('.sc-filters-clear')) applyFilters({});
+  });
+
+  // Undo/redo stacks live on the view so they survive re-renders
+  const history = view.get_cluster_history?.(cluster_group.key) || new ClusterEditHistory();
+
+  /**
+   * Runs a cluster mutation, records it for undo/redo and refreshes the graph.
+   * @param {string} label
+   * @param {() => Promise<any>} action
+   */
+  async function editClusters(label, action) {
+    await record_cluster_edit(history, cluster_group.env, cluster_group, label, action);
+    await refreshData();
+  }
+
+  /**
+   * Asks the view to confirm a destructive edit (skipped when turned off in
+   * settings, or with "Don't ask again" for its kind, unless `required`).
+   * @param {Object} confirmOpts - See ConfirmModal and the view's confirm_action().
+   * @returns {Promise<boolean>}
+   */
+  async function confirmDestructive(confirmOpts) {
+    if (!view.confirm_action) return true;
+    return view.confirm_action({
+      message: 'You can undo this with Ctrl/Cmd+Z.',
+      ...confirmOpts,
+    });
+  }
+
+  function groupClusterKeys() {
+    return nodes.filter((node) => node.type === 'cluster').map((node) => node.id);
+  }
+
+  function noteLabel(key) {
+    return getLastSegmentWithoutExtension(key) || key;
+  }
+
+  function unclusteredWarning(count, threshold) {
+    if (!count) return '';
+    return `${count} note${count === 1 ? '' : 's'} will no longer be in any cluster at threshold ${threshold.toFixed(2)}.`;
+  }
+
+  // --- Create cluster ---
+  async function createClusterFromSelection(sourceNodes = Array.from(selectedNodes.values())) {
+    if (debug) console.log('Create new cluster from selection');
+    const center = sourceNodes.reduce((acc, node) => {
+      acc[node.item.key] = { weight: 1 };
+      return acc;
+    }, {});
+
+    await editClusters('create cluster', async () => {
+      const cluster = await cluster_group.env.clusters.create_or_update({ center });
+      await cluster_group.add_cluster(cluster);
+      await autoNameNewClusters([cluster]);
+    });
+  }
+  createClusterBtn?.addEventListener('click', () => createClusterFromSelection());
+
   // Add to cluster center
-  addToClusterCenterBtn?.addEventListener('click', async () => {
+  async function addSelectionToCenter() {
     if (debug) console.log('Move node(s) to cluster center');
     const { items, cluster } = Array.from(selectedNodes.values()).reduce(
       (acc, node) => {
@@ -887,12 +2123,12 @@ export async function render(view, opts = {}) {
     );
 
     if (debug) console.log('items:', items);
-    await cluster.add_centers(items);
-    view.render_view();
-  });
+    await editClusters('add to center', () => cluster.add_centers(items));
+  }
+  addToClusterCenterBtn?.addEventListener('click', addSelectionToCenter);
 
   // Remove from cluster center
-  removeFromClusterCenterBtn?.addEventListener('click', async () => {
+  async function removeSelectionFromCenter() {
     if (debug) console.log('Remove node(s) from cluster center');
     const nodesArr = Array.from(selectedNodes.values());
     if (!nodesArr.length) return;
@@ -905,40 +2141,1172 @@ export async function render(view, opts = {}) {
     }
 
     const centerItems = nodesArr.map((node) => node.item);
-    await parentCluster.remove_centers(centerItems);
-    view.render_view();
-  });
+    await editClusters('remove from center', () => parentCluster.remove_centers(centerItems));
+  }
+  removeFromClusterCenterBtn?.addEventListener('click', removeSelectionFromCenter);
 
   // Remove entire cluster
-  removeClusterBtn?.addEventListener('click', async () => {
+  async function removeSelectedClusters() {
     if (debug) console.log('Remove node(s) from cluster(s)');
     const clArr = Array.from(selectedNodes.values()).map((node) => node.cluster);
     if (debug) console.log('clusters removed:', clArr);
-    await cluster_group.remove_clusters(clArr);
-    view.render_view();
-  });
+    const threshold = currentThreshold();
+    const unclustered = get_unclustered_by_removal(
+      members,
+      clArr.map((cluster) => cluster.key),
+      groupClusterKeys(),
+      threshold
+    );
+    const confirmed = await confirmDestructive({
+      kind: 'remove_cluster',
+      title: clArr.length === 1 ? 'Remove cluster?' : `Remove ${clArr.length} clusters?`,
+      sections: [
+        { title: 'Clusters', items: clArr.map((cluster) => getNodeLabel(node_map[cluster.key] || { id: cluster.key })) },
+        { title: 'Notes left without a cluster', items: unclustered.map(noteLabel) },
+      ],
+      warning: unclusteredWarning(unclustered.length, threshold),
+      confirm_text: 'Remove',
+    });
+    if (!confirmed) return;
+    await editClusters('remove cluster(s)', () => cluster_group.remove_clusters(clArr));
+  }
+  removeClusterBtn?.addEventListener('click', removeSelectedClusters);
 
-  // Ungroup from cluster
-  removeFromClusterBtn?.addEventListener('click', async (e) => {
+  // Ungroup from cluster (members + their cluster, or centers from their parent cluster)
+  async function ungroupSelection() {
     if (debug) console.log('Ungroup selected node(s) from cluster');
-    const { items, cluster } = Array.from(selectedNodes.values()).reduce(
+    const { items, cluster, parent } = Array.from(selectedNodes.values()).reduce(
       (acc, node) => {
         if (node.type === 'member') {
           acc.items.push(node.item);
         } else if (node.type === 'cluster') {
           acc.cluster = node.cluster;
+        } else if (node.type === 'center') {
+          acc.items.push(node.item);
+          acc.parent = acc.parent || node.parent?.cluster;
         }
         return acc;
       },
-      { items: [], cluster: null }
+      { items: [], cluster: null, parent: null }
     );
-    await cluster.remove_members(items);
-    view.render_view();
+    const targetCluster = cluster || parent;
+    if (!targetCluster) return;
+    const threshold = currentThreshold();
+    const unclustered = get_unclustered_by_ungroup(
+      members,
+      targetCluster.key,
+      items.map((item) => item.key),
+      groupClusterKeys(),
+      threshold
+    );
+    const confirmed = await confirmDestructive({
+      kind: 'ungroup',
+      title: `Ungroup ${items.length} note${items.length === 1 ? '' : 's'} from cluster?`,
+      sections: [
+        { title: 'Cluster', items: [getNodeLabel(node_map[targetCluster.key] || { id: targetCluster.key })] },
+        { title: 'Notes', items: items.map((item) => noteLabel(item.key)) },
+        { title: 'Notes left without a cluster', items: unclustered.map(noteLabel) },
+      ],
+      warning: unclusteredWarning(unclustered.length, threshold),
+      confirm_text: 'Ungroup',
+    });
+    if (!confirmed) return;
+    await editClusters('ungroup from cluster', () => targetCluster.remove_members(items));
+  }
+  removeFromClusterBtn?.addEventListener('click', ungroupSelection);
+
+  async function renameCluster(node) {
+    const name = await view.prompt_text?.({
+      title: 'Rename cluster',
+      value: getNodeLabel(node),
+      submit_text: 'Rename',
+    });
+    if (!name) return;
+    await editClusters('rename cluster', async () => {
+      node.cluster.data.name = name;
+      node.cluster.queue_save();
+    });
+  }
+
+  // --- Cluster names ---
+  // Local names come from the titles, headings and tags of each cluster's
+  // centers and members above the threshold, ranked against the group's other
+  // clusters (cluster_naming.js). The chat model is only asked when chosen in
+  // the settings.
+  function clusterNamingDocs(clusterList, snapshotMembers) {
+    const threshold = currentThreshold();
+    const outline = (key) => view.get_note_outline?.(key) || { title: noteLabel(key) };
+    return clusterList.map((cluster) => {
+      const details = get_cluster_details(cluster, snapshotMembers, threshold);
+      const notes = [
+        ...details.centers.map((row) => ({ ...outline(row.key), weight: 2 })),
+        ...details.members
+          .filter((row) => row.above)
+          .slice(0, 100)
+          .map((row) => ({ ...outline(row.key), weight: row.score })),
+      ];
+      return { key: cluster.key, notes };
+    });
+  }
+
+  /**
+   * Names `targets` (cluster items) in place. Call from inside an editClusters() action.
+   * Works from the clusters and members already on the map; clusters created
+   * since the last refresh have no member scores yet and are named from their centers.
+   * @param {Object[]} targets
+   * @returns {Promise<number>} how many clusters got a name
+   */
+  async function nameClusters(targets) {
+    if (!targets.length) return 0;
+    const onMap = nodes.filter((node) => node.type === 'cluster' && node.cluster).map((node) => node.cluster);
+    const onMapKeys = new Set(onMap.map((cluster) => cluster.key));
+    const clusterList = [...onMap, ...targets.filter((cluster) => !onMapKeys.has(cluster.key))];
+    const docs = clusterNamingDocs(clusterList, members);
+    const names = name_clusters(docs);
+    const targetKeys = new Set(targets.map((cluster) => cluster.key));
+    if (view.get_setting?.('cluster_naming') === 'chat' && view.complete_chat) {
+      const ranked = rank_cluster_terms(docs);
+      try {
+        for (const doc of docs) {
+          if (!targetKeys.has(doc.key) || !doc.notes.length) continue;
+          const terms = ranked.get(doc.key).slice(0, 8).map(({ term }) => term);
+          const name = clean_chat_name(await view.complete_chat(build_naming_prompt(doc, { terms })));
+          if (name) names.set(doc.key, name);
+        }
+      } catch (err) {
+        console.error('clusters visualizer: chat naming failed', err);
+        view.notify?.(`Chat naming failed, using local names: ${err.message}`);
+      }
+    }
+    let named = 0;
+    targets.forEach((cluster) => {
+      const name = names.get(cluster.key);
+      if (!name) return;
+      cluster.data.name = name;
+      cluster.queue_save();
+      named++;
+    });
+    return named;
+  }
+
+  async function autoNameNewClusters(created) {
+    if (view.get_setting?.('auto_name_clusters') === false) return;
+    await nameClusters(created);
+  }
+
+  async function autoNameClusters(targets) {
+    let named = 0;
+    await editClusters(targets.length === 1 ? 'name cluster' : 'name clusters', async () => {
+      named = await nameClusters(targets);
+    });
+    view.notify?.(named ? `Named ${named} cluster${named === 1 ? '' : 's'}` : 'No names found for the selected clusters.');
+  }
+
+  async function nameUnnamedClusters() {
+    const unnamed = nodes
+      .filter((node) => node.type === 'cluster' && !node.cluster?.data?.name)
+      .map((node) => node.cluster);
+    if (!unnamed.length) {
+      view.notify?.('Every cluster already has a name.');
+      return;
+    }
+    await autoNameClusters(unnamed);
+  }
+
+  function openNote(node, newLeaf = false) {
+    const path = node.item?.path || node.item?.key || node.id;
+    view.app.workspace.openLinkText(path, '', newLeaf);
+  }
+
+  function noteLink(path, sourcePath = '') {
+    const file = view.app.vault.getAbstractFileByPath(path);
+    return file ? view.app.fileManager.generateMarkdownLink(file, sourcePath) : `[[${path}]]`;
+  }
+
+  async function copyNoteLinks(noteNodes) {
+    const markdownLinks = noteNodes.map((node) => noteLink(node.item?.path || node.item?.key || node.id));
+    await navigator.clipboard.writeText(markdownLinks.join('\n'));
+    view.notify?.(`Copied ${markdownLinks.length} link${markdownLinks.length === 1 ? '' : 's'}`);
+  }
+
+  /**
+   * Writes (or rewrites) the summary note of a cluster and opens it.
+   * @param {Object} node - cluster node
+   * @param {boolean|string} [newLeaf=false]
+   */
+  async function openClusterSummary(node, newLeaf = false) {
+    const title = getNodeLabel(node);
+    const groupName = get_cluster_group_name(cluster_group);
+    const path = get_cluster_summary_path(`${groupName} - ${title}`);
+    const existing = view.app.vault.getAbstractFileByPath(path);
+    // Never rewrite a note we didn't generate; rewrite our own only when asked to
+    const generated = existing && is_generated_summary(view.app.metadataCache.getFileCache(existing)?.frontmatter);
+    if (existing && !generated) {
+      view.notify?.(`${path} was not generated by the visualizer; opening it unchanged.`);
+    }
+    // Always asked: "Don't ask again" and the settings can't turn this into a silent rewrite
+    const overwrite = generated && !!view.confirm_action && await view.confirm_action({
+      required: true,
+      title: 'Update cluster summary?',
+      message: `"${path}" will be rewritten with the cluster's current centers and members. Changes made to it will be lost. Cancel opens it as it is.`,
+      confirm_text: 'Update',
+    });
+    try {
+      if (!existing || overwrite) {
+        const details = get_cluster_details(node.cluster, members, currentThreshold());
+        const content = build_cluster_summary(details, {
+          title,
+          group_name: groupName,
+          get_link: (key) => noteLink(key, path),
+        });
+        await write_cluster_summary(view.app.vault, path, content, { overwrite });
+      }
+    } catch (err) {
+      console.error('clusters visualizer: could not write cluster summary', err);
+      view.notify?.(`Could not write ${path}: ${err.message}`);
+      return;
+    }
+    view.app.workspace.openLinkText(path, '', newLeaf);
+  }
+
+  // Double-click opens notes, and a generated summary note for clusters (modifiers pick the pane)
+  d3.select(canvas_el).on('dblclick', (event) => {
+    const [mx, my] = d3.pointer(event, canvas_el);
+    const [sx, sy] = transform.invert([mx, my]);
+    const node = nodeAt(sx, sy);
+    if (!node) return;
+    event.preventDefault();
+    const paneType = view.get_pane_type?.(event) || false;
+    if (node.type === 'cluster') openClusterSummary(node, paneType);
+    else if (node.item) openNote(node, paneType);
   });
 
+  // --- Context menu ---
+  // Offers the same cluster edits as the toolbar (get_selection_actions) plus note actions.
+  function getContextMenuItems() {
+    const selected = [...selectedNodes];
+    const actions = get_selection_actions(selected);
+    const notes = selected.filter((node) => node.type !== 'cluster' && node.item);
+    const noteItems = [];
+    if (selected.length === 1 && notes.length === 1) {
+      noteItems.push({ title: 'Open note', icon: 'file-text', action: () => openNote(notes[0]) });
+      noteItems.push({ title: 'Open in new pane', icon: 'split-square-horizontal', action: () => openNote(notes[0], 'split') });
+    }
+    if (notes.length) {
+      noteItems.push({
+        title: notes.length === 1 ? 'Copy link' : `Copy ${notes.length} links`,
+        icon: 'link',
+        action: () => copyNoteLinks(notes),
+      });
+    }
+    const editItems = [];
+    if (actions.create_cluster) editItems.push({ title: 'Create cluster', icon: 'group', action: createClusterFromSelection });
+    if (actions.add_to_center) editItems.push({ title: 'Add to center', icon: 'badge-plus', action: addSelectionToCenter });
+    if (actions.remove_from_center) editItems.push({ title: 'Remove from center', icon: 'badge-minus', action: removeSelectionFromCenter });
+    if (actions.ungroup) editItems.push({ title: 'Ungroup from cluster', icon: 'ungroup', action: ungroupSelection });
+    if (selected.length === 1 && selected[0].type === 'cluster') {
+      noteItems.push({ title: 'Open cluster summary', icon: 'file-text', action: () => openClusterSummary(selected[0]) });
+      editItems.push({ title: 'Rename cluster', icon: 'pencil', action: () => renameCluster(selected[0]) });
+    }
+    if (actions.remove_cluster) {
+      editItems.push({
+        title: selected.length === 1 ? 'Name automatically' : `Name ${selected.length} clusters automatically`,
+        icon: 'wand',
+        action: () => autoNameClusters(selected.map((node) => node.cluster)),
+      });
+    }
+    if (actions.remove_cluster) editItems.push({ title: 'Remove cluster(s)', icon: 'badge-x', action: removeSelectedClusters });
+    if (noteItems.length && editItems.length) noteItems.push(null);
+    return [...noteItems, ...editItems];
+  }
+
+  d3.select(canvas_el).on('contextmenu', (event) => {
+    const [mx, my] = d3.pointer(event, canvas_el);
+    const [sx, sy] = transform.invert([mx, my]);
+    const node = nodeAt(sx, sy);
+    if (!node) return;
+    event.preventDefault();
+    // Right-clicking outside the selection acts on that node alone
+    if (!selectedNodes.has(node)) {
+      selectedNodes.clear();
+      selectedNodes.add(node);
+      selectionChanged();
+      ticked();
+    }
+    const items = getContextMenuItems();
+    if (items.length) view.show_context_menu?.(event, items);
+  });
+
+  // --- Inspector ---
+  const inspectorEl = frag.querySelector('.sc-inspector');
+  const openIcon = this.get_icon_html?.('external-link') || '↗';
+  const closeIcon = this.get_icon_html?.('x') || '×';
+
+  function inspectorLabel(row) {
+    if (row.type === 'cluster') {
+      return node_map[row.key] ? getNodeLabel(node_map[row.key]) : getLastSegmentWithoutExtension(row.name) || row.key;
+    }
+    return getLastSegmentWithoutExtension(row.key) || row.key;
+  }
+
+  /**
+   * Shows details for the selection: one cluster or note, or a count for several nodes.
+   */
+  function updateInspector() {
+    if (!inspectorEl) return;
+    if (!selectedNodes.size) {
+      inspectorEl.classList.add('hidden');
+      inspectorEl.replaceChildren();
+      return;
+    }
+    const node = selectedNodes.size === 1 ? [...selectedNodes][0] : null;
+    const threshold = currentThreshold();
+    let details = null;
+    if (node?.type === 'cluster') {
+      details = get_cluster_details(node.cluster, members, threshold);
+    } else if (node) {
+      const clusterList = nodes.filter((n) => n.type === 'cluster').map((n) => n.cluster);
+      details = get_note_details(node.item?.key || node.id, members, clusterList, threshold);
+    }
+    inspectorEl.replaceChildren(toFragment(build_inspector_html(details, {
+      get_label: inspectorLabel,
+      open_icon: openIcon,
+      close_icon: closeIcon,
+      selected_count: selectedNodes.size,
+    })));
+    inspectorEl.classList.remove('hidden');
+  }
+
+  // Canvas node for an inspector row (notes that are centers have no member node)
+  function findRowNode(row) {
+    const { key, type, clusterKey } = row.dataset;
+    if (type === 'cluster') return node_map[key] || null;
+    if (type === 'center') {
+      return nodes.find((n) => n.type === 'center' && n.id === key && n.parent?.id === clusterKey) || null;
+    }
+    return node_map[key] || nodes.find((n) => n.type === 'center' && n.id === key) || null;
+  }
+
+  function selectInspectorRow(row) {
+    const node = findRowNode(row);
+    if (!node) {
+      view.notify?.('This note is not on the canvas.');
+      return;
+    }
+    selectedNodes.clear();
+    selectedNodes.add(node);
+    selectionChanged();
+    flyTo([node]);
+    ticked();
+  }
+
+  inspectorEl?.addEventListener('click', (event) => {
+    if (event.target.closest('.sc-inspector-close')) {
+      selectedNodes.clear();
+      selectionChanged();
+      ticked();
+      return;
+    }
+    const row = event.target.closest('.sc-inspector-row');
+    if (!row) return;
+    if (event.target.closest('.sc-inspector-open')) {
+      view.app.workspace.openLinkText(row.dataset.key, '', event.ctrlKey || event.metaKey);
+      return;
+    }
+    selectInspectorRow(row);
+  });
+  inspectorEl?.addEventListener('keydown', (event) => {
+    const row = event.target.closest('.sc-inspector-row');
+    if (row && event.key === 'Enter') selectInspectorRow(row);
+  });
+
+  // --- Keyboard navigation & screen readers ---
+  let adjacency = null; // rebuilt lazily after links change
+  const ariaTreeEl = frag.querySelector('.sc-aria-tree');
+  const liveRegionEl = frag.querySelector('.sc-live-region');
+  const treeIdPrefix = `sc-viz-${Math.random().toString(36).slice(2, 8)}`;
+  // node → (id of the cluster it's listed under, '' at the top level) → item id
+  const treeItemIds = new WeakMap();
+  const treeItemNodes = new Map();
+  let nextTreeItemId = 0;
+
+  function getAdjacency() {
+    if (!adjacency) adjacency = build_adjacency(nodes, [...links, ...clusterLinks]);
+    return adjacency;
+  }
+
+  // Centers are only drawn (and reachable) at zoom >= 3
+  function isNodeVisible(node) {
+    if (overview) return node.type === 'cluster';
+    return node.type !== 'center' || transform.k >= 3.0;
+  }
+
+  function treeItemId(node, parent = null) {
+    if (!treeItemIds.has(node)) treeItemIds.set(node, new Map());
+    const ids = treeItemIds.get(node);
+    const parentKey = parent?.id ?? '';
+    if (!ids.has(parentKey)) ids.set(parentKey, `${treeIdPrefix}-${nextTreeItemId++}`);
+    const id = ids.get(parentKey);
+    treeItemNodes.set(id, node);
+    return id;
+  }
+
+  function updateAriaTree() {
+    if (!ariaTreeEl) return;
+    treeItemNodes.clear();
+    ariaTreeEl.replaceChildren(toFragment(build_aria_tree_html(nodes, getAdjacency(), {
+      get_label: getNodeLabel,
+      get_item_id: treeItemId,
+      is_selected: (node) => selectedNodes.has(node),
+    })));
+  }
+
+  function syncAriaSelection() {
+    if (!ariaTreeEl) return;
+    // A note listed under several clusters has one item per cluster
+    ariaTreeEl.querySelectorAll('[role="treeitem"]').forEach((el) => {
+      const node = treeItemNodes.get(el.id);
+      el.setAttribute('aria-selected', node && selectedNodes.has(node) ? 'true' : 'false');
+    });
+  }
+
+  function announce(text) {
+    if (liveRegionEl) liveRegionEl.textContent = text;
+  }
+
+  /**
+   * Moves keyboard focus to `node`, panning it into view and announcing it.
+   * @param {Object|null} node
+   */
+  function setFocus(node) {
+    focusedNode = node;
+    if (node) {
+      const sx = transform.applyX(node.x);
+      const sy = transform.applyY(node.y);
+      if (sx < 0 || sy < 0 || sx > canvas_el.width || sy > canvas_el.height) {
+        d3.select(canvas_el)
+          .transition()
+          .duration(300)
+          .call(zoom_behavior.translateTo, node.x, node.y);
+      }
+      announce(describe_node(node, getAdjacency(), getNodeLabel));
+    }
+    ticked();
+  }
+
+  function nodeNearestViewportCenter() {
+    const [cx, cy] = transform.invert([canvas_el.width / 2, canvas_el.height / 2]);
+    let best = null;
+    let bestDist = Infinity;
+    nodes.forEach((node) => {
+      if (!isNodeVisible(node) || !Number.isFinite(node.x)) return;
+      const dist = (node.x - cx) ** 2 + (node.y - cy) ** 2;
+      if (dist < bestDist) {
+        best = node;
+        bestDist = dist;
+      }
+    });
+    return best;
+  }
+
+  // Connected nodes first; any node in that direction otherwise
+  function moveFocus(direction) {
+    if (!focusedNode || !isNodeVisible(focusedNode)) {
+      setFocus(nodeNearestViewportCenter());
+      return;
+    }
+    const neighbors = getAdjacency().get(focusedNode) || [];
+    const next = pick_directional_neighbor(focusedNode, neighbors, direction, isNodeVisible)
+      || pick_directional_neighbor(focusedNode, nodes, direction, isNodeVisible);
+    if (next) setFocus(next);
+  }
+
+  // Notes open; clusters are selected (showing the inspector)
+  function activateNode(node) {
+    if (node.item) {
+      openNote(node);
+      return;
+    }
+    selectedNodes.clear();
+    selectedNodes.add(node);
+    selectionChanged();
+    ticked();
+  }
+
+  function toggleFocusedSelection() {
+    if (selectedNodes.has(focusedNode)) selectedNodes.delete(focusedNode);
+    else selectedNodes.add(focusedNode);
+    selectionChanged();
+    announce(`${getNodeLabel(focusedNode)} ${selectedNodes.has(focusedNode) ? 'selected' : 'deselected'}, ${selectedNodes.size} selected`);
+    ticked();
+  }
+
+  // Single-key shortcuts for toolbar actions (only when the action applies)
+  function getShortcutAction(key) {
+    const actions = get_selection_actions(selectedNodes);
+    const shortcuts = {
+      c: actions.create_cluster && createClusterFromSelection,
+      a: actions.add_to_center && addSelectionToCenter,
+      r: actions.remove_from_center && removeSelectionFromCenter,
+      u: actions.ungroup && ungroupSelection,
+      Delete: actions.remove_cluster && removeSelectedClusters,
+      Backspace: actions.remove_cluster && removeSelectedClusters,
+      F2: selectedNodes.size === 1 && actions.remove_cluster && (() => renameCluster([...selectedNodes][0])),
+      p: () => pinBtn?.click(),
+      o: () => setOverview(!overview),
+      f: centerNetwork,
+      '/': () => searchInput?.focus(),
+    };
+    return shortcuts[key] || null;
+  }
+
+  canvas_el.addEventListener('keydown', (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    const direction = ARROW_DIRECTIONS[event.key];
+    if (direction) {
+      event.preventDefault();
+      moveFocus(direction);
+      return;
+    }
+    if (event.key === 'Enter' && focusedNode) {
+      event.preventDefault();
+      activateNode(focusedNode);
+    } else if (event.key === ' ' && focusedNode) {
+      event.preventDefault();
+      toggleFocusedSelection();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      if (selectedNodes.size) {
+        selectedNodes.clear();
+        selectionChanged();
+        announce('Selection cleared');
+        ticked();
+      } else {
+        setFocus(null);
+      }
+    } else {
+      const action = getShortcutAction(event.key);
+      if (!action) return;
+      event.preventDefault();
+      action();
+    }
+  });
+  canvas_el.addEventListener('focus', () => ticked());
+  canvas_el.addEventListener('blur', () => ticked());
+
+  // Activating an item of the offscreen tree focuses that node on the canvas
+  ariaTreeEl?.addEventListener('click', (event) => {
+    const itemEl = event.target.closest('[role="treeitem"]');
+    const node = itemEl && treeItemNodes.get(itemEl.id);
+    if (!node) return;
+    event.stopPropagation();
+    canvas_el.focus();
+    setFocus(node);
+  });
+  updateAriaTree();
+
+  // --- Export ---
+  const exportToggle = frag.querySelector('.sc-export-toggle');
+  const exportMenu = frag.querySelector('.sc-export-menu');
+  exportToggle?.addEventListener('click', (event) => {
+    event.stopPropagation();
+    exportMenu?.classList.toggle('hidden');
+  });
+  // Close on clicks anywhere else (the fragment itself gets no events once mounted)
+  const closeExportMenu = (event) => {
+    if (exportMenu?.contains(event.target) || exportToggle?.contains(event.target)) return;
+    exportMenu?.classList.add('hidden');
+  };
+  const exportDocument = canvas_el.ownerDocument;
+  exportDocument.addEventListener('click', closeExportMenu);
+  cleanups.push(() => exportDocument.removeEventListener('click', closeExportMenu));
+  exportMenu?.querySelectorAll('[data-export-format]').forEach((item) => {
+    item.addEventListener('click', async (event) => {
+      event.stopPropagation();
+      exportMenu.classList.add('hidden');
+      try {
+        const path = await exportMap(item.dataset.exportFormat);
+        view.notify?.(`Exported clusters map to ${path}`);
+      } catch (err) {
+        console.error('clusters visualizer: export failed', err);
+        view.notify?.(`Export failed: ${err.message}`);
+      }
+    });
+  });
+
+  /**
+   * Saves the current map in `format` (see EXPORT_FORMATS) into the vault.
+   * @param {string} format
+   * @returns {Promise<string>} path of the saved file
+   */
+  async function exportMap(format) {
+    const name = get_cluster_group_name(cluster_group);
+    const vault = view.app.vault;
+    // Images frame what the map shows (e.g. only clusters in the overview)
+    const shownNodes = nodes.filter((node) => node.type !== 'center' && isNodeVisible(node));
+    const shown = new Set(shownNodes.map((node) => node.id));
+    const endId = (end) => (typeof end === 'object' ? end?.id : end);
+    const shownLinks = links.filter((link) => shown.has(endId(link.source)) && shown.has(endId(link.target)));
+    if (format === 'png') {
+      const png = await render_png(shownNodes, (ctx, t, w, h) => drawScene(ctx, t, w, h, { interactive: false }), {
+        theme: getTheme(),
+      });
+      return save_export(vault, name, 'png', png);
+    }
+    if (format === 'svg') {
+      const svg = build_svg(shownNodes, shownLinks, {
+        get_label: getNodeLabel,
+        label_mode: labelMode,
+        theme: getTheme(),
+      });
+      return save_export(vault, name, 'svg', svg);
+    }
+    const threshold = currentThreshold();
+    const data = build_export_data(cluster_group, nodes, links, { name, threshold });
+    if (format === 'graphml') return save_export(vault, name, 'graphml', build_graphml(data));
+    return save_export(vault, name, 'json', JSON.stringify(data, null, 2));
+  }
+
+  // --- Suggest clusters ---
+  // Proposals are only drawn (dashed, at the middle of their notes) until accepted;
+  // accepting creates one cluster per proposal, centered on its most central notes.
+  const suggestBtn = frag.querySelector('.sc-suggest-clusters');
+  const suggestionsEl = frag.querySelector('.sc-suggestions');
+  let suggesting = false;
+  // Aborts the running suggestion (Cancel button, teardown)
+  let suggestAbort = null;
+
+  async function suggestClusters() {
+    if (suggesting) return;
+    const items = get_source_items(cluster_groups.env, deletedPaths, passesFilters).filter((item) => item.vec?.length);
+    if (!items.length) {
+      view.notify?.('No embedded notes to cluster yet.');
+      return;
+    }
+    const options = view.prompt_suggestion_options
+      ? await view.prompt_suggestion_options({ item_count: items.length })
+      : {};
+    if (!options) return;
+    suggesting = true;
+    suggestBtn?.setAttribute('disabled', '');
+    suggestAbort = new AbortController();
+    // Earlier proposals make way for the progress panel
+    suggestions = [];
+    acceptedSuggestions.clear();
+    ticked();
+    showSuggestionProgress(0, items.length);
+    try {
+      const next = await run_suggest_clusters(items, {
+        ...options,
+        signal: suggestAbort.signal,
+        on_progress: (done) => showSuggestionProgress(done, items.length),
+      });
+      if (!next.length) {
+        updateSuggestionsPanel();
+        view.notify?.('No clusters found. Try other settings.');
+        return;
+      }
+      showSuggestions(next);
+    } catch (err) {
+      updateSuggestionsPanel();
+      if (err.name === 'AbortError') return;
+      console.error('clusters visualizer: suggesting clusters failed', err);
+      view.notify?.(`Suggesting clusters failed: ${err.message}`);
+    } finally {
+      suggesting = false;
+      suggestAbort = null;
+      suggestBtn?.removeAttribute('disabled');
+    }
+  }
+
+  function showSuggestionProgress(done, itemCount) {
+    if (!suggestionsEl || !suggestAbort || suggestAbort.signal.aborted) return;
+    const bar = suggestionsEl.querySelector('.sc-suggestions-progress');
+    if (bar) {
+      bar.value = Math.round(done * 100);
+      return;
+    }
+    suggestionsEl.replaceChildren(toFragment(build_suggestions_progress_html(done, { item_count: itemCount })));
+    suggestionsEl.classList.remove('hidden');
+  }
+  suggestBtn?.addEventListener('click', suggestClusters);
+
+  function showSuggestions(next) {
+    suggestions = next;
+    acceptedSuggestions.clear();
+    next.forEach((suggestion) => acceptedSuggestions.add(suggestion.id));
+    updateSuggestionsPanel();
+    announce(`${next.length} suggested clusters`);
+    ticked();
+  }
+
+  function clearSuggestions() {
+    suggestions = [];
+    acceptedSuggestions.clear();
+    updateSuggestionsPanel();
+    ticked();
+  }
+
+  function suggestionLabel(suggestion) {
+    return suggestion.centers.slice(0, 2).map(noteLabel).join(', ');
+  }
+
+  function updateSuggestionsPanel() {
+    if (!suggestionsEl) return;
+    if (!suggestions.length) {
+      suggestionsEl.classList.add('hidden');
+      suggestionsEl.replaceChildren();
+      return;
+    }
+    suggestionsEl.replaceChildren(toFragment(build_suggestions_html(suggestions, {
+      accepted: acceptedSuggestions,
+      get_label: suggestionLabel,
+      close_icon: closeIcon,
+    })));
+    suggestionsEl.classList.remove('hidden');
+  }
+
+  function toggleSuggestion(id) {
+    if (acceptedSuggestions.has(id)) acceptedSuggestions.delete(id);
+    else acceptedSuggestions.add(id);
+    updateSuggestionsPanel();
+    ticked();
+  }
+
+  // Canvas nodes of a suggestion's notes (members, or centers for notes shown only as centers)
+  function suggestionNodes(suggestion) {
+    return suggestion.members
+      .map((key) => node_map[key] || nodes.find((n) => n.type === 'center' && n.id === key))
+      .filter((node) => node && Number.isFinite(node.x));
+  }
+
+  // Ghost position and size, from where its notes currently are
+  function suggestionGhost(suggestion) {
+    const placed = suggestionNodes(suggestion);
+    if (!placed.length) return null;
+    return {
+      suggestion,
+      placed,
+      x: d3.mean(placed, (node) => node.x),
+      y: d3.mean(placed, (node) => node.y),
+      radius: Math.min(20 + Math.sqrt(suggestion.members.length) * 3, 70),
+    };
+  }
+
+  function suggestionAt(sx, sy) {
+    for (const suggestion of suggestions) {
+      const ghost = suggestionGhost(suggestion);
+      if (ghost && Math.hypot(ghost.x - sx, ghost.y - sy) <= ghost.radius) return suggestion;
+    }
+    return null;
+  }
+
+  function drawSuggestions(context, transform) {
+    if (!suggestions.length) return;
+    const k = Math.min(transform.k, 1);
+    const { colors } = getTheme();
+    suggestions.forEach((suggestion) => {
+      const ghost = suggestionGhost(suggestion);
+      if (!ghost) return;
+      const accepted = acceptedSuggestions.has(suggestion.id);
+      const color = accepted ? colors.suggestion : colors.muted;
+      context.setLineDash([4 / k, 4 / k]);
+      context.lineWidth = 1 / k;
+      context.strokeStyle = rgba(color, accepted ? 0.35 : 0.15);
+      ghost.placed.slice(0, 200).forEach((node) => {
+        context.beginPath();
+        context.moveTo(ghost.x, ghost.y);
+        context.lineTo(node.x, node.y);
+        context.stroke();
+      });
+      context.beginPath();
+      context.arc(ghost.x, ghost.y, ghost.radius, 0, 2 * Math.PI);
+      context.fillStyle = rgba(color, accepted ? 0.25 : 0.1);
+      context.fill();
+      context.setLineDash([6 / k, 4 / k]);
+      context.lineWidth = 2 / k;
+      context.strokeStyle = rgba(color, accepted ? 0.9 : 0.5);
+      context.stroke();
+      context.setLineDash([]);
+      context.fillStyle = rgba(color);
+      context.font = `bold ${12 / k}px sans-serif`;
+      context.textAlign = 'center';
+      context.fillText(`${suggestionLabel(suggestion)} (${suggestion.members.length})`, ghost.x, ghost.y - ghost.radius - 6 / k);
+    });
+  }
+
+  /**
+   * Adds the chosen suggestions to the cluster group as one undoable edit.
+   * @param {Object[]} chosen
+   */
+  async function acceptSuggestions(chosen) {
+    if (!chosen.length) return;
+    await editClusters(`add ${chosen.length} suggested cluster${chosen.length === 1 ? '' : 's'}`, async () => {
+      const created = [];
+      for (const suggestion of chosen) {
+        const center = suggestion.centers.reduce((acc, key) => {
+          acc[key] = { weight: 1 };
+          return acc;
+        }, {});
+        const cluster = await cluster_group.env.clusters.create_or_update({ center });
+        await cluster_group.add_cluster(cluster);
+        created.push(cluster);
+      }
+      await autoNameNewClusters(created);
+    });
+    view.notify?.(`Added ${chosen.length} cluster${chosen.length === 1 ? '' : 's'}`);
+    clearSuggestions();
+  }
+
+  function focusSuggestion(id) {
+    const suggestion = suggestions.find((s) => s.id === id);
+    const placed = suggestion ? suggestionNodes(suggestion) : [];
+    if (placed.length) flyTo(placed);
+  }
+
+  suggestionsEl?.addEventListener('click', (event) => {
+    if (event.target.closest('.sc-suggestions-cancel')) {
+      suggestAbort?.abort();
+      return;
+    }
+    if (event.target.closest('.sc-suggestions-dismiss, .sc-suggestions-reject')) {
+      clearSuggestions();
+      return;
+    }
+    if (event.target.closest('.sc-suggestions-accept-all')) {
+      acceptSuggestions(suggestions);
+      return;
+    }
+    if (event.target.closest('.sc-suggestions-accept')) {
+      acceptSuggestions(suggestions.filter((s) => acceptedSuggestions.has(s.id)));
+      return;
+    }
+    const row = event.target.closest('.sc-suggestions-row');
+    if (!row) return;
+    if (event.target.closest('.sc-suggestions-check')) toggleSuggestion(row.dataset.suggestionId);
+    else focusSuggestion(row.dataset.suggestionId);
+  });
+  suggestionsEl?.addEventListener('keydown', (event) => {
+    const row = event.target.closest('.sc-suggestions-row');
+    if (!row || event.target !== row) return;
+    if (event.key === 'Enter') focusSuggestion(row.dataset.suggestionId);
+    else if (event.key === ' ') {
+      event.preventDefault();
+      toggleSuggestion(row.dataset.suggestionId);
+    }
+  });
+
+  // --- Unclustered lane ---
+  // Notes under the threshold for every cluster have no links and would just
+  // drift at the edge; with the lane on they're fixed in a band below the map.
+  const unclusteredToggle = frag.querySelector('.sc-unclustered-toggle');
+  const unclusteredCount = frag.querySelector('.sc-unclustered-count');
+  const unclusteredEl = frag.querySelector('.sc-unclustered');
+
+  /**
+   * Re-finds the unclustered notes and updates the toolbar count and panel.
+   */
+  function updateUnclustered() {
+    unclusteredNotes = sort_unclustered(
+      find_unclustered(members, currentThreshold(), groupClusterKeys()),
+      unclusteredSort,
+      noteLabel
+    ).filter((note) => node_map[note.key]?.type === 'member');
+    if (unclusteredCount) {
+      unclusteredCount.textContent = unclusteredNotes.length ? String(unclusteredNotes.length) : '';
+      unclusteredCount.classList.toggle('hidden', !unclusteredNotes.length);
+    }
+    updateUnclusteredPanel();
+  }
+
+  function updateUnclusteredPanel() {
+    if (!unclusteredEl) return;
+    unclusteredEl.classList.toggle('hidden', !unclusteredLane);
+    if (!unclusteredLane) {
+      unclusteredEl.replaceChildren();
+      return;
+    }
+    const selected = new Set([...selectedNodes].map((node) => node.id));
+    unclusteredEl.replaceChildren(toFragment(build_unclustered_html(unclusteredNotes, {
+      sort: unclusteredSort,
+      get_label: noteLabel,
+      get_cluster_label: (key) => getNodeLabel(node_map[key] || { id: key }),
+      selected,
+      close_icon: closeIcon,
+    })));
+  }
+
+  /**
+   * Lane slots for the unclustered notes, below the other nodes (at their
+   * `baseTargets` when a static layout is being applied). Notes that left the
+   * lane are released unless the map is frozen.
+   * @param {Map<Object, {x:number, y:number}>} [baseTargets]
+   * @returns {Map<Object, {x:number, y:number}>}
+   */
+  function getLaneTargets(baseTargets) {
+    const next = unclusteredLane ? unclusteredNotes.map((note) => node_map[note.key]).filter(Boolean) : [];
+    const nextSet = new Set(next);
+    const released = [...laneNodes].filter((node) => !nextSet.has(node));
+    laneNodes.clear();
+    next.forEach((node) => laneNodes.add(node));
+    if (released.length && !isFrozen()) {
+      released.forEach((node) => {
+        node.fx = null;
+        node.fy = null;
+      });
+      simulation.sync_fixed(released);
+    }
+    const others = nodes
+      .filter((node) => node.type !== 'center' && !nextSet.has(node))
+      .map((node) => ({ ...(baseTargets?.get(node) || { x: node.x, y: node.y }), radius: node.radius }));
+    const { targets, rect } = compute_lane_positions(next, get_network_bounds(others));
+    laneRect = rect;
+    return targets;
+  }
+
+  /**
+   * Moves the unclustered notes into their lane slots (force layout; static
+   * layouts place them in applyLayout).
+   * @param {Object} [opts]
+   * @param {boolean} [opts.animate=true]
+   */
+  function placeLane({ animate = true } = {}) {
+    const targets = getLaneTargets();
+    if (!targets.size) {
+      ticked();
+      return;
+    }
+    if (!animate) {
+      targets.forEach((target, node) => {
+        node.x = node.fx = target.x;
+        node.y = node.fy = target.y;
+        node.vx = node.vy = 0;
+      });
+      simulation.sync_fixed(targets.keys());
+      spatialIndex = null;
+      ticked();
+      return;
+    }
+    animateNodesTo(targets);
+  }
+
+  function drawLane(context, colors) {
+    const { x, y, width, height } = laneRect;
+    context.beginPath();
+    if (context.roundRect) context.roundRect(x, y, width, height, 8);
+    else context.rect(x, y, width, height);
+    context.fillStyle = rgba(colors.muted, 0.08);
+    context.fill();
+    context.setLineDash([6, 4]);
+    context.lineWidth = 1;
+    context.strokeStyle = rgba(colors.muted, 0.5);
+    context.stroke();
+    context.setLineDash([]);
+    context.font = 'bold 12px sans-serif';
+    context.textAlign = 'left';
+    context.textBaseline = 'middle';
+    context.fillStyle = rgba(colors.label);
+    context.fillText(`Unclustered (${laneNodes.size})`, x + 10, y + 14);
+  }
+
+  /**
+   * Turns the lane (and its panel) on or off.
+   * @param {boolean} value
+   */
+  function setUnclusteredLane(value) {
+    unclusteredLane = value;
+    unclusteredToggle?.classList.toggle('is-active', unclusteredLane);
+    unclusteredToggle?.setAttribute('aria-pressed', unclusteredLane ? 'true' : 'false');
+    updateUnclustered();
+    if (layoutMode === 'force') placeLane();
+    else applyLayout();
+    announce(unclusteredLane ? `${unclusteredNotes.length} unclustered notes` : 'Unclustered lane hidden');
+    scheduleLayoutSave();
+  }
+
+  /**
+   * Adds each note to the center of the cluster it comes closest to, after a
+   * preview of the clusters that change and the notes each one gets.
+   * @param {import('./unclustered.js').UnclusteredNote[]} notes
+   */
+  async function addToNearestClusters(notes) {
+    const byCluster = new Map();
+    notes.forEach((note) => {
+      const cluster = node_map[note.nearest]?.cluster;
+      if (!cluster) return;
+      if (!byCluster.has(cluster)) byCluster.set(cluster, []);
+      byCluster.get(cluster).push(note.item);
+    });
+    if (!byCluster.size) return;
+    const count = [...byCluster.values()].reduce((sum, items) => sum + items.length, 0);
+    // A preview rather than a warning: shown even with confirmations turned off
+    const confirmed = await confirmDestructive({
+      required: true,
+      title: `Add ${count} note${count === 1 ? '' : 's'} to the center of ${byCluster.size === 1 ? 'its nearest cluster' : `${byCluster.size} clusters`}?`,
+      sections: [...byCluster].map(([cluster, items]) => ({
+        title: getNodeLabel(node_map[cluster.key] || { id: cluster.key }),
+        items: items.map((item) => noteLabel(item.key)),
+      })),
+      warning: 'The notes become centers of these clusters. This moves each cluster and can change which other notes belong to it.',
+      confirm_text: 'Add to centers',
+    });
+    if (!confirmed) return;
+    await editClusters('add to nearest cluster', async () => {
+      for (const [cluster, items] of byCluster) await cluster.add_centers(items);
+    });
+  }
+
+  unclusteredToggle?.addEventListener('click', () => setUnclusteredLane(!unclusteredLane));
+  unclusteredEl?.addEventListener('change', (event) => {
+    if (event.target.closest('.sc-unclustered-sort')) {
+      unclusteredSort = event.target.value;
+      updateUnclustered();
+      if (layoutMode === 'force') placeLane();
+      else applyLayout();
+      scheduleLayoutSave();
+      return;
+    }
+    const row = event.target.closest('.sc-unclustered-row');
+    const node = row && node_map[row.dataset.noteKey];
+    if (!node || !event.target.closest('.sc-unclustered-check')) return;
+    if (event.target.checked) selectedNodes.add(node);
+    else selectedNodes.delete(node);
+    selectionChanged();
+    ticked();
+  });
+  unclusteredEl?.addEventListener('click', (event) => {
+    if (event.target.closest('.sc-unclustered-close')) {
+      setUnclusteredLane(false);
+      return;
+    }
+    if (event.target.closest('.sc-unclustered-add-all')) {
+      // Only the notes the panel lists, so nothing changes that wasn't shown
+      addToNearestClusters(unclusteredNotes.slice(0, UNCLUSTERED_MAX_ROWS));
+      return;
+    }
+    if (event.target.closest('.sc-unclustered-create')) {
+      const selected = unclusteredNotes.map((note) => node_map[note.key]).filter((node) => selectedNodes.has(node));
+      if (selected.length) createClusterFromSelection(selected);
+      return;
+    }
+    const row = event.target.closest('.sc-unclustered-row');
+    if (!row || event.target.closest('.sc-unclustered-check')) return;
+    const note = unclusteredNotes.find((n) => n.key === row.dataset.noteKey);
+    if (event.target.closest('.sc-unclustered-add')) {
+      if (note) addToNearestClusters([note]);
+      return;
+    }
+    const node = node_map[row.dataset.noteKey];
+    if (node) flyTo([node]);
+  });
+  unclusteredEl?.addEventListener('keydown', (event) => {
+    const row = event.target.closest('.sc-unclustered-row');
+    if (!row || event.target !== row || event.key !== 'Enter') return;
+    const node = node_map[row.dataset.noteKey];
+    if (node) flyTo([node]);
+  });
+
+  updateUnclustered();
+  if (unclusteredLane) {
+    if (layoutMode === 'force') placeLane({ animate: false });
+    else applyLayout({ animate: false });
+  }
+
   return await post_process.call(this, view, frag, opts);
 }
 
+/**
+ * Smart sources to build the snapshot from, leaving out deleted ones, the
+ * generated cluster summaries and those rejected by `filter`.
+ * @param {Object} env
+ * @param {Set<string>} [deleted_paths] - vault paths (files or folders) deleted since the first render
+ * @param {(key:string) => boolean} [filter]
+ * @returns {Object[]}
+ */
+function get_source_items(env, deleted_paths = new Set(), filter = null) {
+  return Object.values(env.smart_sources?.items || {}).filter((item) => {
+    if (!item || item.deleted) return false;
+    // Generated summaries list a cluster's notes; as nodes they'd only add noise
+    if (is_cluster_summary_path(item.key)) return false;
+    if (filter && !filter(item.key)) return false;
+    if (!deleted_paths.size) return true;
+    const path = String(item.key || '').split('#')[0];
+    for (const deleted of deleted_paths) {
+      if (path === deleted || path.startsWith(`${deleted}/`)) return false;
+    }
+    return true;
+  });
+}
+
+function get_member_clusters(members) {
+  return members.reduce((acc, member) => {
+    if (member.item?.key) acc[member.item.key] = member.clusters;
+    return acc;
+  }, {});
+}
+
+/**
+ * Wires the cluster group dropdown and its rename/duplicate/delete buttons.
+ * Switching groups goes through `view.set_cluster_group()` so the choice is
+ * stored in the leaf's view state.
+ * @param {Object} view
+ * @param {DocumentFragment} frag
+ * @param {Object} cluster_group - The group currently on screen.
+ */
+function bind_cluster_group_picker(view, frag, cluster_group) {
+  const cluster_groups = cluster_group.collection || view.env.cluster_groups;
+  const select_el = frag.querySelector('.sc-cluster-group-select');
+  const rename_btn = frag.querySelector('.sc-rename-cluster-group');
+  const duplicate_btn = frag.querySelector('.sc-duplicate-cluster-group');
+  const delete_btn = frag.querySelector('.sc-delete-cluster-group');
+
+  select_el?.addEventListener('change', () => {
+    view.set_cluster_group(select_el.value);
+  });
+
+  rename_btn?.addEventListener('click', async () => {
+    const name = await view.prompt_text?.({
+      title: 'Rename cluster group',
+      value: get_cluster_group_name(cluster_group),
+      submit_text: 'Rename',
+    });
+    if (!name) return;
+    const rename = async () => {
+      cluster_group.data.name = name;
+      cluster_group.queue_save();
+    };
+    const history = view.get_cluster_history?.(cluster_group.key);
+    if (history) await record_cluster_edit(history, view.env, cluster_group, 'rename cluster group', rename);
+    else await rename();
+    view.render_view();
+  });
+
+  duplicate_btn?.addEventListener('click', async () => {
+    const data = JSON.parse(JSON.stringify(cluster_group.data));
+    delete data.deleted;
+    data.key = String(Date.now());
+    data.name = `${get_cluster_group_name(cluster_group)} (copy)`;
+    const copy = await cluster_groups.create_or_update(data);
+    view.set_cluster_group(copy?.key || data.key);
+    // Undo history is per group and doesn't cover creating or deleting groups
+    view.notify?.(`Created "${data.name}". Undo doesn't remove group copies; delete it to revert.`);
+  });
+
+  delete_btn?.addEventListener('click', async () => {
+    const confirmed = !view.confirm_action || await view.confirm_action({
+      kind: 'delete_group',
+      title: 'Delete cluster group?',
+      message: `"${get_cluster_group_name(cluster_group)}" will be deleted. This can't be undone.`,
+      confirm_text: 'Delete',
+    });
+    if (!confirmed) return;
+    const remaining = get_sorted_cluster_groups(cluster_groups)
+      .filter((group) => group.key !== cluster_group.key);
+    cluster_group.delete();
+    view.set_cluster_group(remaining[0]?.key || null);
+  });
+}
+
 /**
  * Post-process function: binds refresh/help buttons, etc.
  * @param {Object} view
@@ -962,4 +3330,11 @@ export async function post_process(view, frag, opts = {}) {
   return frag;
 }
 
-export default { build_html, render, post_process };
\ No newline at end of file
+export default {
+  build_html,
+  render,
+  post_process,
+  get_sorted_cluster_groups,
+  get_cluster_group,
+  get_cluster_group_name,
+};
\ No newline at end of file
@@ -3,7 +3,18 @@
  * @description Defines an Obsidian View for the Clusters Visualizer, akin to existing directories.obsidian.js or clusters.obsidian.js
  */
 
+import { Keymap, Menu, Notice, getAllTags } from "obsidian";
 import { SmartObsidianView } from "./smart_view.obsidian.js"; // copied from sc-obsidian
+import { TextInputModal } from "./text_input_modal.js";
+import { ClusterEditHistory } from "./history.js";
+import { ConfirmModal } from "./confirm_modal.js";
+import { SuggestClustersModal } from "./suggest_clusters_modal.js";
+
+/**
+ * Smart Environment events after which edited notes have fresh data.
+ * @type {string[]}
+ */
+const SOURCE_UPDATE_EVENTS = ["sources:import_completed", "embedding:completed"];
 
 /**
  * @class ClustersVisualizerView
@@ -21,6 +32,391 @@ export class ClustersVisualizerView extends SmartObsidianView {
    */
   main_component_key = "clusters_visualizer";
 
+  /**
+   * Key of the cluster group shown in this leaf. Stored in the view state so
+   * each leaf remembers its own group across reloads.
+   * @type {string|null}
+   */
+  cluster_group_key = null;
+
+  /**
+   * Undo/redo history per cluster group key (kept across re-renders).
+   * @type {Object<string, ClusterEditHistory>}
+   */
+  cluster_histories = {};
+
+  /**
+   * Whether the map highlights and pans to the note open in the editor.
+   * Stored in the view state.
+   * @type {boolean}
+   */
+  follow_active_file = false;
+
+  /**
+   * Options last used for "Suggest clusters" (kept for the session).
+   * @type {Object}
+   */
+  suggestion_options = {};
+
+  /**
+   * Word counts by note path, with the mtime they were counted at.
+   * @type {Map<string, {mtime: number, words: number}>}
+   */
+  word_counts = new Map();
+
+  getState() {
+    return {
+      ...super.getState(),
+      cluster_group_key: this.cluster_group_key,
+      follow_active_file: this.follow_active_file,
+    };
+  }
+
+  async setState(state, result) {
+    const next_key = state?.cluster_group_key;
+    const changed = !!next_key && next_key !== this.cluster_group_key;
+    if (next_key) this.cluster_group_key = next_key;
+    if (typeof state?.follow_active_file === "boolean") this.follow_active_file = state.follow_active_file;
+    await super.setState(state, result);
+    if (changed && this.env?.collections_loaded) this.render_view();
+  }
+
+  /**
+   * Switches the visualized cluster group and saves it in the view state.
+   * @param {string|null} key
+   */
+  set_cluster_group(key) {
+    this.cluster_group_key = key;
+    this.app.workspace.requestSaveLayout();
+    this.render_view();
+  }
+
+  /**
+   * Asks the user for a line of text.
+   * @param {Object} opts - See TextInputModal.
+   * @returns {Promise<string|null>}
+   */
+  prompt_text(opts) {
+    return new TextInputModal(this.app, opts).prompt();
+  }
+
+  /**
+   * Asks to confirm a destructive action, unless turned off in the plugin
+   * settings or skipped for its kind. Checking "Don't ask again" skips only
+   * that kind (see the `skipped_confirmations` setting).
+   * @param {Object} opts - See ConfirmModal.
+   * @param {string} [opts.kind] - e.g. "remove_cluster"; without one, "Don't ask again" isn't offered
+   * @param {boolean} [opts.required=false] - always ask, whatever the settings
+   * @returns {Promise<boolean>}
+   */
+  async confirm_action(opts) {
+    const { kind, required = false, ...modal_opts } = opts;
+    const settings = this.plugin.settings;
+    if (!required && settings) {
+      if (settings.confirm_destructive_actions === false) return true;
+      if (kind && settings.skipped_confirmations?.includes(kind)) return true;
+    }
+    const { confirmed, dont_ask_again } = await new ConfirmModal(this.app, {
+      allow_skip: !required && !!kind && !!settings,
+      ...modal_opts,
+    }).prompt();
+    if (confirmed && dont_ask_again) {
+      settings.skipped_confirmations = [...(settings.skipped_confirmations || []), kind];
+      await this.plugin.save_settings();
+    }
+    return confirmed;
+  }
+
+  /**
+   * Zoom and pan last used for a cluster group on this device. Kept in local
+   * storage rather than on the group, which would be rewritten on every pan.
+   * @param {string} cluster_group_key
+   * @returns {{x:number, y:number, k:number}|null}
+   */
+  get_map_transform(cluster_group_key) {
+    return this.app.loadLocalStorage(`smart-visualizer-transform:${cluster_group_key}`) || null;
+  }
+
+  /**
+   * @param {string} cluster_group_key
+   * @param {{x:number, y:number, k:number}} transform
+   */
+  save_map_transform(cluster_group_key, transform) {
+    this.app.saveLocalStorage(`smart-visualizer-transform:${cluster_group_key}`, transform);
+  }
+
+  /**
+   * @param {string} key - plugin setting, see settings_tab.js
+   * @returns {*}
+   */
+  get_setting(key) {
+    return this.plugin.settings?.[key];
+  }
+
+  /**
+   * Changes a plugin setting and saves it.
+   * @param {string} key
+   * @param {*} value
+   */
+  async set_setting(key, value) {
+    this.plugin.settings[key] = value;
+    await this.plugin.save_settings();
+  }
+
+  /**
+   * Title, headings and tags of a note, from the metadata cache (for cluster naming).
+   * @param {string} key - source key (path, optionally with a #block suffix)
+   * @returns {{title: string, headings: string[], tags: string[]}}
+   */
+  get_note_outline(key) {
+    const path = String(key).split("#")[0];
+    const file = this.app.vault.getAbstractFileByPath(path);
+    const cache = file ? this.app.metadataCache.getFileCache(file) : null;
+    return {
+      title: file?.basename || path.split("/").pop().replace(/\.[^/.]+$/, ""),
+      headings: (cache?.headings || []).map((heading) => heading.heading),
+      tags: cache ? (getAllTags(cache) || []) : [],
+    };
+  }
+
+  /**
+   * Path, tags, frontmatter and modified time of a note (for "color by").
+   * @param {string} key - source key (path, optionally with a #block suffix)
+   * @returns {import("./coloring.js").NoteInfo}
+   */
+  get_note_info(key) {
+    const path = String(key).split("#")[0];
+    const file = this.app.vault.getAbstractFileByPath(path);
+    const cache = file ? this.app.metadataCache.getFileCache(file) : null;
+    return {
+      path,
+      tags: cache ? (getAllTags(cache) || []) : [],
+      properties: cache?.frontmatter || {},
+      mtime: file?.stat?.mtime,
+    };
+  }
+
+  /**
+   * Resolved links pointing at each note.
+   * @returns {Map<string, number>} path → backlink count
+   */
+  get_backlink_counts() {
+    const counts = new Map();
+    Object.values(this.app.metadataCache.resolvedLinks || {}).forEach((targets) => {
+      Object.keys(targets).forEach((path) => counts.set(path, (counts.get(path) || 0) + 1));
+    });
+    return counts;
+  }
+
+  /**
+   * Word counts of the given notes. Counts are cached until a note's mtime changes.
+   * @param {string[]} keys - source keys (block keys count their whole note)
+   * @returns {Promise<Map<string, number>>} key → words
+   */
+  async get_word_counts(keys) {
+    const counts = new Map();
+    for (const key of keys) {
+      const path = String(key).split("#")[0];
+      const file = this.app.vault.getAbstractFileByPath(path);
+      if (!file?.stat) continue;
+      let cached = this.word_counts.get(path);
+      if (cached?.mtime !== file.stat.mtime) {
+        try {
+          const text = await this.app.vault.cachedRead(file);
+          cached = { mtime: file.stat.mtime, words: text.split(/\s+/).filter(Boolean).length };
+          this.word_counts.set(path, cached);
+        } catch (err) {
+          console.warn(`clusters visualizer: could not read ${path}`, err);
+          continue;
+        }
+      }
+      counts.set(key, cached.words);
+    }
+    return counts;
+  }
+
+  /**
+   * Asks the chat model configured in the plugin settings.
+   * @param {string} prompt
+   * @returns {Promise<string>}
+   */
+  complete_chat(prompt) {
+    return this.plugin.complete_chat(prompt);
+  }
+
+  /**
+   * Asks for the clustering method and parameters, starting from the last used ones.
+   * @param {Object} [opts] - See SuggestClustersModal.
+   * @returns {Promise<Object|null>}
+   */
+  async prompt_suggestion_options(opts = {}) {
+    const options = await new SuggestClustersModal(this.app, {
+      ...opts,
+      values: this.suggestion_options,
+    }).prompt();
+    if (options) this.suggestion_options = options;
+    return options;
+  }
+
+  /**
+   * Runs "Suggest clusters" on the rendered map.
+   * @returns {boolean} false when the map is not ready
+   */
+  suggest_clusters() {
+    if (!this.clusters_visualizer_suggest) return false;
+    this.clusters_visualizer_suggest();
+    return true;
+  }
+
+  /**
+   * @param {string} [key=this.cluster_group_key]
+   * @returns {ClusterEditHistory}
+   */
+  get_cluster_history(key = this.cluster_group_key) {
+    if (!this.cluster_histories[key]) this.cluster_histories[key] = new ClusterEditHistory();
+    return this.cluster_histories[key];
+  }
+
+  /**
+   * Reverts the last cluster edit made in this view's cluster group.
+   * @returns {Promise<boolean>} false when there was nothing to undo
+   */
+  async undo_cluster_edit() {
+    const edit = await this.get_cluster_history().undo(this.env);
+    if (!edit) return false;
+    await this.refresh_after_edit(edit);
+    this.notify(`Undo: ${edit.label}`);
+    return true;
+  }
+
+  /**
+   * Re-applies the last undone cluster edit.
+   * @returns {Promise<boolean>} false when there was nothing to redo
+   */
+  async redo_cluster_edit() {
+    const edit = await this.get_cluster_history().redo(this.env);
+    if (!edit) return false;
+    await this.refresh_after_edit(edit);
+    this.notify(`Redo: ${edit.label}`);
+    return true;
+  }
+
+  async refresh_after_edit(edit) {
+    // The group name is in the toolbar, which only a full render rebuilds
+    const renamed = edit?.change?.group && 'name' in edit.change.group;
+    if (this.clusters_visualizer_refresh && !renamed) await this.clusters_visualizer_refresh();
+    else await this.render_view();
+  }
+
+  /**
+   * Turns "follow active note" on or off and saves it in the view state.
+   * @param {boolean} value
+   */
+  set_follow_active_file(value) {
+    this.follow_active_file = value;
+    this.app.workspace.requestSaveLayout();
+    if (value) this.on_active_file(this.app.workspace.getActiveFile());
+    else this.clusters_visualizer_follow_file?.(null);
+  }
+
+  /**
+   * @param {import("obsidian").TFile|null} file
+   */
+  on_active_file(file) {
+    if (!this.follow_active_file || !file) return;
+    this.clusters_visualizer_follow_file?.(file.path);
+  }
+
+  /**
+   * Forwards vault changes to the rendered map for incremental updates.
+   * @param {{type: string, path: string, old_path?: string}} change
+   */
+  on_vault_change(change) {
+    this.clusters_visualizer_source_change?.(change);
+  }
+
+  /**
+   * Tells the rendered map that Smart Environment finished importing or
+   * embedding sources, so edited notes can be re-scored.
+   */
+  on_sources_updated() {
+    this.clusters_visualizer_sources_updated?.();
+  }
+
+  register_plugin_events() {
+    const { vault } = this.app;
+    this.registerEvent(vault.on("create", (file) => this.on_vault_change({ type: "create", path: file.path })));
+    this.registerEvent(vault.on("delete", (file) => this.on_vault_change({ type: "delete", path: file.path })));
+    this.registerEvent(vault.on("rename", (file, old_path) => this.on_vault_change({ type: "rename", path: file.path, old_path })));
+    this.registerEvent(vault.on("modify", (file) => this.on_vault_change({ type: "modify", path: file.path })));
+    SOURCE_UPDATE_EVENTS.forEach((event_key) => {
+      const off = this.env.events?.on(event_key, () => this.on_sources_updated());
+      if (typeof off === "function") this.register(off);
+    });
+    this.registerEvent(this.app.workspace.on("file-open", (file) => this.on_active_file(file)));
+    this.registerEvent(this.app.workspace.on("active-leaf-change", () => {
+      this.on_active_file(this.app.workspace.getActiveFile());
+    }));
+    // Theme or snippet changes: re-read the canvas colors
+    this.registerEvent(this.app.workspace.on("css-change", () => this.clusters_visualizer_recolor?.()));
+    // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z while focus is in the view (inputs keep their own undo)
+    this.registerDomEvent(this.containerEl, "keydown", (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== "z") return;
+      if (event.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      event.preventDefault();
+      if (event.shiftKey) this.redo_cluster_edit();
+      else this.undo_cluster_edit();
+    });
+  }
+
+  /**
+   * Pane to open a note in for a click: false (current tab) without modifiers,
+   * "tab" with Ctrl/Cmd, "split" with Ctrl/Cmd+Alt.
+   * @param {MouseEvent|KeyboardEvent} event
+   * @returns {false|"tab"|"split"|"window"}
+   */
+  get_pane_type(event) {
+    return Keymap.isModEvent(event);
+  }
+
+  /**
+   * Shows a menu at the mouse position.
+   * @param {MouseEvent} event
+   * @param {({title: string, icon?: string, action: Function}|null)[]} items - null adds a separator
+   */
+  show_context_menu(event, items) {
+    const menu = new Menu();
+    items.forEach((item) => {
+      if (!item) {
+        menu.addSeparator();
+        return;
+      }
+      menu.addItem((menu_item) => {
+        menu_item.setTitle(item.title).onClick(() => item.action());
+        if (item.icon) menu_item.setIcon(item.icon);
+      });
+    });
+    menu.showAtMouseEvent(event);
+  }
+
+  /**
+   * Shows a short message to the user.
+   * @param {string} message
+   */
+  notify(message) {
+    new Notice(message);
+  }
+
+  /**
+   * Stops the rendered map when the leaf closes or the plugin unloads: its
+   * force worker, animation timers and pending refreshes, flushing any
+   * queued layout save.
+   */
+  async onClose() {
+    this.clusters_visualizer_teardown?.();
+    await super.onClose?.();
+  }
+
   /**
    * Renders the clusters in an interactive D3 visualization.
    * @param {HTMLElement} [container=this.container]
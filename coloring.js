@@ -0,0 +1,304 @@
+/**
+ * @file coloring.js
+ * @description "Color by" modes for the map: node colors from the dominant
+ * cluster, top-level folder, first tag, a frontmatter property or the
+ * last-modified age, user color rules on top, and the matching legend.
+ */
+
+import * as d3 from 'd3';
+import { DEFAULT_NODE_COLORS } from './graph_model.js';
+import { escape_html } from './escape.js';
+
+/**
+ * Color modes offered in the top bar.
+ * @type {{value: string, label: string}[]}
+ */
+export const COLOR_MODES = [
+  { value: 'default', label: 'Default colors' },
+  { value: 'cluster', label: 'Color by cluster' },
+  { value: 'folder', label: 'Color by folder' },
+  { value: 'tag', label: 'Color by tag' },
+  { value: 'property', label: 'Color by property' },
+  { value: 'age', label: 'Color by age' },
+];
+
+/**
+ * Rule kinds for user color rules (settings).
+ * @type {{value: string, label: string}[]}
+ */
+export const COLOR_RULE_TYPES = [
+  { value: 'folder', label: 'Folder' },
+  { value: 'tag', label: 'Tag' },
+  { value: 'property', label: 'Property (key or key=value)' },
+];
+
+/**
+ * Categorical palette; categories past its length share the "Other" color.
+ * @type {string[]}
+ */
+export const CATEGORICAL_COLORS = [...d3.schemeTableau10, '#8dd3c7', '#bebada', '#80b1d3', '#fdb462', '#b3de69', '#fccde5'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} NoteInfo
+ * @property {string} path
+ * @property {string[]} [tags] - with or without the leading '#'
+ * @property {Object} [properties] - frontmatter
+ * @property {number} [mtime] - last modified, ms since epoch
+ */
+
+/**
+ * @typedef {Object} ColorRule
+ * @property {'folder'|'tag'|'property'} type
+ * @property {string} value - folder path, tag, or "key" / "key=value"
+ * @property {string} color - hex color
+ */
+
+/**
+ * @typedef {Object} Legend
+ * @property {'categorical'|'sequential'} type
+ * @property {{label: string, color: string, count?: number}[]} entries - categories, or the two ends of the scale
+ * @property {string[]} [gradient] - sequential: colors from the first entry to the last
+ * @property {{label: string, color: string}[]} rules - user rules that matched at least one note
+ */
+
+/**
+ * Colors for every node in `mode`, with user rules applied on top, and the legend.
+ * @param {Object[]} nodes
+ * @param {Object} opts
+ * @param {string} opts.mode - see COLOR_MODES
+ * @param {(key:string) => NoteInfo|null} opts.get_note_info
+ * @param {Object<string, Object>} [opts.member_clusters] - member key → member.clusters
+ * @param {(node:Object) => string} [opts.get_cluster_label]
+ * @param {string} [opts.property] - frontmatter key for 'property' mode
+ * @param {ColorRule[]} [opts.rules]
+ * @param {{cluster: string, center: string, member: string}} [opts.node_colors=DEFAULT_NODE_COLORS] - fills
+ *   for 'default' mode and uncolored nodes, e.g. from the theme (see theme.js get_node_colors())
+ * @param {number} [opts.max_categories=CATEGORICAL_COLORS.length]
+ * @param {number} [opts.now=Date.now()]
+ * @returns {{colors: Map<Object, string>, legend: Legend}}
+ */
+export function compute_node_colors(nodes, opts) {
+  const {
+    mode,
+    get_note_info,
+    member_clusters = {},
+    get_cluster_label = (node) => node.id,
+    property = '',
+    rules = [],
+    node_colors = DEFAULT_NODE_COLORS,
+    max_categories = CATEGORICAL_COLORS.length,
+    now = Date.now(),
+  } = opts;
+  const other_color = node_colors.member;
+  const colors = new Map();
+  const notes = nodes.filter((node) => node.type !== 'cluster');
+  const infos = new Map(notes.map((node) => [node, get_note_info(node.item?.key || node.id)]));
+  let legend;
+
+  if (mode === 'cluster') {
+    const clusters = nodes.filter((node) => node.type === 'cluster');
+    const cluster_colors = new Map(clusters.map((node, i) => [node.id, CATEGORICAL_COLORS[i % CATEGORICAL_COLORS.length]]));
+    const counts = new Map();
+    clusters.forEach((node) => colors.set(node, cluster_colors.get(node.id)));
+    notes.forEach((node) => {
+      const key = node.type === 'center' ? node.parent?.id : dominant_cluster(member_clusters[node.id], cluster_colors);
+      if (!key) return;
+      colors.set(node, cluster_colors.get(key));
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    legend = {
+      type: 'categorical',
+      entries: clusters.map((node) => ({ label: get_cluster_label(node), color: cluster_colors.get(node.id), count: counts.get(node.id) || 0 })),
+    };
+  } else if (mode === 'age') {
+    const ages = new Map();
+    infos.forEach((info, node) => {
+      if (Number.isFinite(info?.mtime)) ages.set(node, Math.max(0, (now - info.mtime) / DAY));
+    });
+    const max_age = Math.max(1, ...ages.values());
+    // Log scale so recent weeks stay distinguishable next to years-old notes
+    const scale = (age) => d3.color(d3.interpolateViridis(1 - Math.log1p(age) / Math.log1p(max_age))).formatHex();
+    ages.forEach((age, node) => colors.set(node, scale(age)));
+    legend = {
+      type: 'sequential',
+      entries: [
+        { label: 'Modified today', color: scale(0) },
+        { label: `${format_age(max_age)} ago`, color: scale(max_age) },
+      ],
+      gradient: d3.range(0, 1.01, 0.25).map((t) => scale(Math.expm1(t * Math.log1p(max_age)))),
+    };
+  } else if (mode === 'folder' || mode === 'tag' || mode === 'property') {
+    const categories = new Map();
+    infos.forEach((info, node) => {
+      const category = info ? get_note_category(info, mode, property) : null;
+      if (category !== null) categories.set(node, category);
+    });
+    const counts = d3.rollup([...categories.values()], (v) => v.length, (d) => d);
+    const ranked = [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    const palette = new Map(ranked.slice(0, max_categories).map(([category], i) => [category, CATEGORICAL_COLORS[i]]));
+    categories.forEach((category, node) => colors.set(node, palette.get(category) || other_color));
+    const other = ranked.slice(max_categories).reduce((sum, [, count]) => sum + count, 0);
+    legend = {
+      type: 'categorical',
+      entries: [
+        ...ranked.slice(0, max_categories).map(([category, count]) => ({ label: category, color: palette.get(category), count })),
+        ...(other ? [{ label: 'Other', color: other_color, count: other }] : []),
+      ],
+    };
+  } else {
+    legend = {
+      type: 'categorical',
+      entries: [
+        { label: 'Cluster', color: node_colors.cluster },
+        { label: 'Center', color: node_colors.center },
+        { label: 'Note', color: node_colors.member },
+      ],
+    };
+  }
+
+  // User rules win over the mode's colors
+  const matched = new Set();
+  infos.forEach((info, node) => {
+    if (!info) return;
+    const rule = rules.find((r) => matches_color_rule(r, info));
+    if (!rule) return;
+    colors.set(node, rule.color);
+    matched.add(rule);
+  });
+  legend.rules = rules
+    .filter((rule) => matched.has(rule))
+    .map((rule) => ({ label: describe_color_rule(rule), color: rule.color }));
+
+  nodes.forEach((node) => {
+    if (!colors.has(node)) colors.set(node, node_colors[node.type] || other_color);
+  });
+  return { colors, legend };
+}
+
+/**
+ * Category of a note: its top-level folder, first tag or the value of `property`.
+ * @param {NoteInfo} info
+ * @param {'folder'|'tag'|'property'} mode
+ * @param {string} [property]
+ * @returns {string|null} null when the note has none
+ */
+export function get_note_category(info, mode, property = '') {
+  if (mode === 'folder') {
+    const segments = info.path.split('/');
+    return segments.length > 1 ? segments[0] : '(vault root)';
+  }
+  if (mode === 'tag') {
+    const tag = (info.tags || [])[0];
+    return tag ? `#${normalize_tag(tag)}` : null;
+  }
+  if (mode === 'property') {
+    if (!property) return null;
+    let value = info.properties?.[property];
+    if (Array.isArray(value)) value = value[0];
+    if (value === undefined || value === null || value === '') return null;
+    return String(value);
+  }
+  return null;
+}
+
+/**
+ * Whether a note matches a color rule. Folders match their subfolders, tags
+ * their nested tags; property rules are "key" (any value) or "key=value".
+ * @param {ColorRule} rule
+ * @param {NoteInfo} info
+ * @returns {boolean}
+ */
+export function matches_color_rule(rule, info) {
+  const value = String(rule?.value || '').trim();
+  if (!value || !rule.color) return false;
+  if (rule.type === 'folder') {
+    const folder = value.replace(/^\/+|\/+$/g, '');
+    return info.path.startsWith(`${folder}/`);
+  }
+  if (rule.type === 'tag') {
+    const tag = normalize_tag(value);
+    return (info.tags || []).some((t) => {
+      const note_tag = normalize_tag(t);
+      return note_tag === tag || note_tag.startsWith(`${tag}/`);
+    });
+  }
+  if (rule.type === 'property') {
+    const [key, expected] = value.split('=').map((part) => part.trim());
+    const actual = info.properties?.[key];
+    if (actual === undefined || actual === null) return false;
+    if (expected === undefined) return true;
+    const values = Array.isArray(actual) ? actual : [actual];
+    return values.some((v) => String(v).toLowerCase() === expected.toLowerCase());
+  }
+  return false;
+}
+
+/**
+ * Short legend label for a rule, e.g. "Folder: Projects".
+ * @param {ColorRule} rule
+ * @returns {string}
+ */
+export function describe_color_rule(rule) {
+  const type = COLOR_RULE_TYPES.find((t) => t.value === rule.type)?.label.split(' ')[0] || rule.type;
+  return `${type}: ${rule.value}`;
+}
+
+/**
+ * Legend overlay markup.
+ * @param {Legend} legend
+ * @param {Object} [opts]
+ * @param {string} [opts.title]
+ * @param {number} [opts.max_entries=12]
+ * @returns {string} HTML
+ */
+export function build_legend_html(legend, opts = {}) {
+  const { title = 'Legend', max_entries = 12 } = opts;
+  const swatch = (color) => `<span class="sc-legend-swatch" style="background-color: ${escape_html(color)};"></span>`;
+  const row = ({ label, color, count }) => `
+      <li class="sc-legend-row">${swatch(color)}<span class="sc-legend-label">${escape_html(label)}</span>${typeof count === 'number' ? `<span class="sc-legend-count">${count}</span>` : ''}</li>`;
+  let body;
+  if (legend.type === 'sequential') {
+    const [start, end] = legend.entries;
+    body = `
+    <div class="sc-legend-gradient" style="background: linear-gradient(to right, ${legend.gradient.map(escape_html).join(', ')});"></div>
+    <div class="sc-legend-scale"><span>${escape_html(start.label)}</span><span>${escape_html(end.label)}</span></div>`;
+  } else {
+    const more = legend.entries.length - max_entries;
+    body = `
+    <ul class="sc-legend-list">${legend.entries.slice(0, max_entries).map(row).join('')}${more > 0 ? `
+      <li class="sc-legend-more">and ${more} more</li>` : ''}
+    </ul>`;
+  }
+  const rules = legend.rules?.length ? `
+    <div class="sc-legend-section-title">Color rules</div>
+    <ul class="sc-legend-list">${legend.rules.map(row).join('')}
+    </ul>` : '';
+  return `
+    <div class="sc-legend-title">${escape_html(title)}</div>${body}${rules}`;
+}
+
+function dominant_cluster(clusters = {}, known) {
+  let best = null;
+  let best_score = -Infinity;
+  Object.entries(clusters).forEach(([key, data]) => {
+    if (!known.has(key) || typeof data?.score !== 'number') return;
+    if (data.score > best_score) {
+      best = key;
+      best_score = data.score;
+    }
+  });
+  return best;
+}
+
+function normalize_tag(tag) {
+  return String(tag).replace(/^#/, '').toLowerCase();
+}
+
+function format_age(days) {
+  if (days < 1) return 'under a day';
+  if (days < 60) return `${Math.round(days)} days`;
+  if (days < 730) return `${Math.round(days / 30)} months`;
+  return `${Math.round(days / 365)} years`;
+}
@@ -0,0 +1,145 @@
+import test from 'ava';
+import {
+  CATEGORICAL_COLORS,
+  compute_node_colors,
+  get_note_category,
+  matches_color_rule,
+} from './coloring.js';
+
+const NODE_COLORS = { cluster: '#111111', center: '#222222', member: '#333333' };
+
+const member = (key) => ({ id: key, type: 'member', item: { key } });
+
+function color_notes(infos, opts) {
+  const nodes = Object.keys(infos).map(member);
+  const { colors, legend } = compute_node_colors(nodes, {
+    get_note_info: (key) => infos[key] || null,
+    node_colors: NODE_COLORS,
+    ...opts,
+  });
+  const by_key = Object.fromEntries(nodes.map((node) => [node.id, colors.get(node)]));
+  return { colors: by_key, legend };
+}
+
+test('get_note_category reads the top-level folder, first tag or a property', (t) => {
+  const info = { path: 'Projects/Active/plan.md', tags: ['#Work/Client', '#todo'], properties: { status: ['Done', 'x'] } };
+  t.is(get_note_category(info, 'folder'), 'Projects');
+  t.is(get_note_category({ path: 'inbox.md' }, 'folder'), '(vault root)');
+  t.is(get_note_category(info, 'tag'), '#work/client');
+  t.is(get_note_category({ path: 'a.md', tags: [] }, 'tag'), null);
+  t.is(get_note_category(info, 'property', 'status'), 'Done');
+  t.is(get_note_category(info, 'property', 'missing'), null);
+  t.is(get_note_category(info, 'property', ''), null);
+});
+
+test('folder rules match the folder and its subfolders only', (t) => {
+  const rule = { type: 'folder', value: '/Projects/', color: '#ff0000' };
+  t.true(matches_color_rule(rule, { path: 'Projects/plan.md' }));
+  t.true(matches_color_rule(rule, { path: 'Projects/Active/plan.md' }));
+  t.false(matches_color_rule(rule, { path: 'ProjectsArchive/plan.md' }));
+  t.false(matches_color_rule(rule, { path: 'Projects.md' }));
+});
+
+test('tag rules match nested tags, with or without #', (t) => {
+  const rule = { type: 'tag', value: '#Work', color: '#ff0000' };
+  t.true(matches_color_rule(rule, { path: 'a.md', tags: ['#work'] }));
+  t.true(matches_color_rule(rule, { path: 'a.md', tags: ['work/client'] }));
+  t.false(matches_color_rule(rule, { path: 'a.md', tags: ['#workshop'] }));
+  t.false(matches_color_rule(rule, { path: 'a.md' }));
+});
+
+test('property rules match a key or key=value', (t) => {
+  const any = { type: 'property', value: 'status', color: '#ff0000' };
+  const done = { type: 'property', value: 'status = done', color: '#00ff00' };
+  t.true(matches_color_rule(any, { path: 'a.md', properties: { status: 'open' } }));
+  t.false(matches_color_rule(any, { path: 'a.md', properties: {} }));
+  t.true(matches_color_rule(done, { path: 'a.md', properties: { status: 'Done' } }));
+  t.true(matches_color_rule(done, { path: 'a.md', properties: { status: ['open', 'done'] } }));
+  t.false(matches_color_rule(done, { path: 'a.md', properties: { status: 'open' } }));
+});
+
+test('rules without a value or color never match', (t) => {
+  t.false(matches_color_rule({ type: 'folder', value: '', color: '#ff0000' }, { path: 'a/b.md' }));
+  t.false(matches_color_rule({ type: 'folder', value: 'a', color: '' }, { path: 'a/b.md' }));
+});
+
+test('folder mode gives each folder a palette color, most notes first', (t) => {
+  const { colors, legend } = color_notes({
+    'B/1.md': { path: 'B/1.md' },
+    'B/2.md': { path: 'B/2.md' },
+    'A/1.md': { path: 'A/1.md' },
+  }, { mode: 'folder' });
+  t.is(colors['B/1.md'], CATEGORICAL_COLORS[0]);
+  t.is(colors['B/2.md'], CATEGORICAL_COLORS[0]);
+  t.is(colors['A/1.md'], CATEGORICAL_COLORS[1]);
+  t.deepEqual(legend.entries, [
+    { label: 'B', color: CATEGORICAL_COLORS[0], count: 2 },
+    { label: 'A', color: CATEGORICAL_COLORS[1], count: 1 },
+  ]);
+});
+
+test('tag and property modes leave notes without a category in the default color', (t) => {
+  const infos = {
+    'a.md': { path: 'a.md', tags: ['#x'], properties: { status: 'open' } },
+    'b.md': { path: 'b.md', tags: [], properties: {} },
+  };
+  const by_tag = color_notes(infos, { mode: 'tag' });
+  t.is(by_tag.colors['a.md'], CATEGORICAL_COLORS[0]);
+  t.is(by_tag.colors['b.md'], NODE_COLORS.member);
+  t.deepEqual(by_tag.legend.entries.map((entry) => entry.label), ['#x']);
+
+  const by_property = color_notes(infos, { mode: 'property', property: 'status' });
+  t.is(by_property.colors['a.md'], CATEGORICAL_COLORS[0]);
+  t.is(by_property.colors['b.md'], NODE_COLORS.member);
+  t.deepEqual(by_property.legend.entries.map((entry) => entry.label), ['open']);
+});
+
+test('categories past max_categories share the "Other" entry', (t) => {
+  const infos = {};
+  ['A', 'A', 'A', 'B', 'B', 'C', 'D'].forEach((folder, i) => {
+    infos[`${folder}/${i}.md`] = { path: `${folder}/${i}.md` };
+  });
+  const { colors, legend } = color_notes(infos, { mode: 'folder', max_categories: 2 });
+  t.is(colors['C/5.md'], NODE_COLORS.member);
+  t.is(colors['D/6.md'], NODE_COLORS.member);
+  t.deepEqual(legend.entries, [
+    { label: 'A', color: CATEGORICAL_COLORS[0], count: 3 },
+    { label: 'B', color: CATEGORICAL_COLORS[1], count: 2 },
+    { label: 'Other', color: NODE_COLORS.member, count: 2 },
+  ]);
+});
+
+test('the first matching rule wins over the mode and is listed in the legend', (t) => {
+  const rules = [
+    { type: 'tag', value: 'urgent', color: '#ff0000' },
+    { type: 'folder', value: 'A', color: '#00ff00' },
+    { type: 'folder', value: 'Unused', color: '#0000ff' },
+  ];
+  const { colors, legend } = color_notes({
+    'A/1.md': { path: 'A/1.md', tags: ['#urgent/today'] },
+    'A/2.md': { path: 'A/2.md', tags: [] },
+    'B/3.md': { path: 'B/3.md', tags: [] },
+  }, { mode: 'folder', rules });
+  t.is(colors['A/1.md'], '#ff0000');
+  t.is(colors['A/2.md'], '#00ff00');
+  t.not(colors['B/3.md'], '#00ff00');
+  t.deepEqual(legend.rules, [
+    { label: 'Tag: urgent', color: '#ff0000' },
+    { label: 'Folder: A', color: '#00ff00' },
+  ]);
+});
+
+test('default mode uses the node colors per type', (t) => {
+  const cluster = { id: 'c', type: 'cluster' };
+  const center = { id: 'x.md', type: 'center', parent: cluster, item: { key: 'x.md' } };
+  const note = member('y.md');
+  const { colors, legend } = compute_node_colors([cluster, center, note], {
+    mode: 'default',
+    get_note_info: () => null,
+    node_colors: NODE_COLORS,
+  });
+  t.is(colors.get(cluster), NODE_COLORS.cluster);
+  t.is(colors.get(center), NODE_COLORS.center);
+  t.is(colors.get(note), NODE_COLORS.member);
+  t.deepEqual(legend.entries.map((entry) => entry.color), [NODE_COLORS.cluster, NODE_COLORS.center, NODE_COLORS.member]);
+});
@@ -0,0 +1,92 @@
+/**
+ * @file confirm_modal.js
+ * @description Modal asking to confirm a destructive action, listing what it affects.
+ */
+
+import { Modal } from 'obsidian';
+
+/**
+ * Confirmation modal with an impact preview and an optional "don't ask again" checkbox.
+ * Use `prompt()` to open it and await the answer.
+ */
+export class ConfirmModal extends Modal {
+  /**
+   * @param {import('obsidian').App} app
+   * @param {Object} [opts]
+   * @param {string} [opts.title]
+   * @param {string} [opts.message]
+   * @param {{title: string, items: string[]}[]} [opts.sections] - Lists of affected clusters/notes.
+   * @param {string} [opts.warning] - Highlighted line, e.g. how many notes become unclustered.
+   * @param {string} [opts.confirm_text]
+   * @param {boolean} [opts.allow_skip=false] - Show the "don't ask again" checkbox.
+   * @param {number} [opts.max_items=20] - Items listed per section before "and N more".
+   */
+  constructor(app, opts = {}) {
+    super(app);
+    this.opts = opts;
+    this.result = { confirmed: false, dont_ask_again: false };
+  }
+
+  /**
+   * Opens the modal.
+   * @returns {Promise<{confirmed: boolean, dont_ask_again: boolean}>}
+   */
+  prompt() {
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+      this.open();
+    });
+  }
+
+  onOpen() {
+    const {
+      title = 'Are you sure?',
+      message = '',
+      sections = [],
+      warning = '',
+      confirm_text = 'Confirm',
+      allow_skip = false,
+      max_items = 20,
+    } = this.opts;
+    this.titleEl.setText(title);
+    if (message) this.contentEl.createEl('p', { text: message });
+
+    sections.forEach(({ title: section_title, items }) => {
+      if (!items.length) return;
+      this.contentEl.createEl('div', {
+        text: `${section_title} (${items.length})`,
+        cls: 'sc-confirm-modal-section-title',
+      });
+      const list_el = this.contentEl.createEl('ul', { cls: 'sc-confirm-modal-list' });
+      items.slice(0, max_items).forEach((item) => list_el.createEl('li', { text: item }));
+      if (items.length > max_items) {
+        list_el.createEl('li', { text: `and ${items.length - max_items} more`, cls: 'sc-confirm-modal-more' });
+      }
+    });
+
+    if (warning) this.contentEl.createEl('p', { text: warning, cls: 'mod-warning' });
+
+    let skip_input = null;
+    if (allow_skip) {
+      const label_el = this.contentEl.createEl('label', { cls: 'sc-confirm-modal-skip' });
+      skip_input = label_el.createEl('input', { type: 'checkbox' });
+      label_el.appendText(" Don't ask again");
+    }
+
+    const buttons_el = this.contentEl.createDiv('modal-button-container');
+    const confirm_btn = buttons_el.createEl('button', { text: confirm_text, cls: 'mod-warning' });
+    confirm_btn.addEventListener('click', () => {
+      this.result = { confirmed: true, dont_ask_again: !!skip_input?.checked };
+      this.close();
+    });
+    const cancel_btn = buttons_el.createEl('button', { text: 'Cancel' });
+    cancel_btn.addEventListener('click', () => this.close());
+    cancel_btn.focus();
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    this.resolve?.(this.result);
+    this.resolve = null;
+  }
+}
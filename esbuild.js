@@ -10,6 +10,28 @@ if(!fs.existsSync(path.join(process.cwd(), 'dist'))) {
 }
 (async () => {
 
+  // Bundle the force simulation worker to a string; simulation.js starts it from a Blob
+  const force_worker_build = await esbuild.build({
+    entryPoints: ['./force_worker.js'],
+    bundle: true,
+    format: 'iife',
+    platform: 'browser',
+    minify: true,
+    write: false,
+  });
+  const force_worker_source = force_worker_build.outputFiles[0].text;
+
+  // Same for the cluster suggestion worker; cluster_suggestions.js starts it from a Blob
+  const suggest_worker_build = await esbuild.build({
+    entryPoints: ['./suggest_worker.js'],
+    bundle: true,
+    format: 'iife',
+    platform: 'browser',
+    minify: true,
+    write: false,
+  });
+  const suggest_worker_source = suggest_worker_build.outputFiles[0].text;
+
   await esbuild.build({
     entryPoints: ['./clusters_visualizer.js'],
     outfile: './dist/clusters_visualizer.js',
@@ -20,6 +42,10 @@ if(!fs.existsSync(path.join(process.cwd(), 'dist'))) {
     external: ['obsidian'], 
     // ^ if you want to load d3 from a CDN or external script. 
     //   Otherwise remove from external and `npm install d3` to bundle it fully.
+    define: {
+      FORCE_WORKER_SOURCE: JSON.stringify(force_worker_source),
+      SUGGEST_WORKER_SOURCE: JSON.stringify(suggest_worker_source),
+    },
   
     // watch: true, // if you want watch mode
   });
@@ -0,0 +1,20 @@
+/**
+ * @file escape.js
+ * @description Escaping for text interpolated into the HTML panels and the
+ * SVG/GraphML exports.
+ */
+
+/**
+ * Escapes `&`, `<`, `>` and both quote characters, so the result is safe in
+ * HTML and XML text and in single- or double-quoted attributes.
+ * @param {*} value - converted with String(); null/undefined give ''
+ * @returns {string}
+ */
+export function escape_html(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,290 @@
+/**
+ * @file export.js
+ * @description Exports the current clusters map: a high-resolution PNG drawn
+ * offscreen, an SVG re-rendered from the `nodes`/`links` data, and JSON or
+ * GraphML dumps of clusters, members, scores and positions. Files are saved
+ * into the vault.
+ */
+
+import * as d3 from 'd3';
+import { escape_html } from './escape.js';
+import { default_theme, get_node_colors, to_hex } from './theme.js';
+
+/**
+ * Export formats offered in the top bar.
+ * @type {{value: string, label: string}[]}
+ */
+export const EXPORT_FORMATS = [
+  { value: 'png', label: 'Image (PNG)' },
+  { value: 'svg', label: 'Vector (SVG)' },
+  { value: 'json', label: 'Data (JSON)' },
+  { value: 'graphml', label: 'Graph (GraphML)' },
+];
+
+/**
+ * Bounds of the drawn network in simulation coordinates, node radii included.
+ * Center nodes ride inside their cluster and are left out.
+ * @param {Object[]} nodes
+ * @returns {{x0:number, y0:number, x1:number, y1:number}|null} null when nothing is positioned
+ */
+export function get_network_bounds(nodes) {
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  nodes.forEach((node) => {
+    if (node.type === 'center') return;
+    if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) return;
+    const r = node.radius || 0;
+    if (node.x - r < x0) x0 = node.x - r;
+    if (node.y - r < y0) y0 = node.y - r;
+    if (node.x + r > x1) x1 = node.x + r;
+    if (node.y + r > y1) y1 = node.y + r;
+  });
+  if (!Number.isFinite(x0)) return null;
+  return { x0, y0, x1, y1 };
+}
+
+/**
+ * Renders the network to an offscreen canvas at a fixed scale, so the output
+ * size depends on the network and not on the window.
+ * @param {Object[]} nodes - the nodes shown on the map; the image is framed around them
+ * @param {(context:CanvasRenderingContext2D, transform:d3.ZoomTransform, width:number, height:number) => void} draw
+ * @param {Object} [opts]
+ * @param {number} [opts.scale=1] - simulation units to CSS px
+ * @param {number} [opts.pixel_ratio=2]
+ * @param {number} [opts.padding=40] - in CSS px
+ * @param {number} [opts.max_size=8192] - longest side of the bitmap in device px
+ * @param {import('./theme.js').CanvasTheme} [opts.theme] - background color; the fallback theme by default
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function render_png(nodes, draw, opts = {}) {
+  const {
+    scale = 1,
+    pixel_ratio = 2,
+    padding = 40,
+    max_size = 8192,
+    theme = default_theme(),
+  } = opts;
+  const bounds = get_network_bounds(nodes) || { x0: 0, y0: 0, x1: 0, y1: 0 };
+  let k = scale;
+  let width = (bounds.x1 - bounds.x0) * k + padding * 2;
+  let height = (bounds.y1 - bounds.y0) * k + padding * 2;
+  const fit = Math.min(1, max_size / (Math.max(width, height) * pixel_ratio));
+  k *= fit;
+  width = Math.ceil((bounds.x1 - bounds.x0) * k + padding * 2);
+  height = Math.ceil((bounds.y1 - bounds.y0) * k + padding * 2);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width * pixel_ratio;
+  canvas.height = height * pixel_ratio;
+  const context = canvas.getContext('2d');
+  context.scale(pixel_ratio, pixel_ratio);
+  const transform = d3.zoomIdentity
+    .translate(padding - bounds.x0 * k, padding - bounds.y0 * k)
+    .scale(k);
+  draw(context, transform, width, height);
+
+  // Background goes underneath whatever was drawn (draw() clears the canvas)
+  context.save();
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  context.globalCompositeOperation = 'destination-over';
+  context.fillStyle = to_hex(theme.colors.background);
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.restore();
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob((result) => (result ? resolve(result) : reject(new Error('PNG encoding failed'))), 'image/png');
+  });
+  return blob.arrayBuffer();
+}
+
+/**
+ * Builds a standalone SVG of the network from the same data the canvas draws.
+ * @param {Object[]} nodes - the nodes shown on the map
+ * @param {Object[]} links - links between shown nodes
+ * @param {Object} opts
+ * @param {(node:Object) => string} opts.get_label
+ * @param {string} [opts.label_mode='clusters'] - 'off' | 'clusters' | 'all'
+ * @param {number} [opts.padding=40]
+ * @param {import('./theme.js').CanvasTheme} [opts.theme] - background, link, label and default node
+ *   colors, and high-contrast line widths; the fallback theme by default
+ * @returns {string}
+ */
+export function build_svg(nodes, links, opts) {
+  const { get_label, label_mode = 'clusters', padding = 40, theme = default_theme() } = opts;
+  const { colors, line_scale } = theme;
+  const node_colors = get_node_colors(theme);
+  const bounds = get_network_bounds(nodes) || { x0: 0, y0: 0, x1: 0, y1: 0 };
+  const x = bounds.x0 - padding;
+  const y = bounds.y0 - padding;
+  const width = bounds.x1 - bounds.x0 + padding * 2;
+  const height = bounds.y1 - bounds.y0 + padding * 2;
+  const drawn = nodes.filter((node) => node.type !== 'center' && Number.isFinite(node.x) && Number.isFinite(node.y));
+
+  const link_lines = links
+    .filter((link) => Number.isFinite(link.source?.x) && Number.isFinite(link.target?.x))
+    .map((link) => `    <line x1="${fmt(link.source.x)}" y1="${fmt(link.source.y)}" x2="${fmt(link.target.x)}" y2="${fmt(link.target.y)}"/>`)
+    .join('\n');
+  const node_circles = drawn
+    .map((node) => `    <circle class="${node.type}" cx="${fmt(node.x)}" cy="${fmt(node.y)}" r="${fmt(node.radius || 0)}" fill="${escape_html(node.color || node_colors[node.type] || node_colors.member)}"/>`)
+    .join('\n');
+  const labelled = drawn.filter((node) => (
+    label_mode === 'all' || (label_mode === 'clusters' && node.type === 'cluster')
+  ));
+  const label_texts = labelled
+    .map((node) => {
+      const text = get_label(node);
+      if (!text) return '';
+      const size = node.type === 'cluster' ? 12 : 10;
+      const strong = node.type === 'cluster' ? ` font-weight="bold" fill="${to_hex(colors.label_strong)}"` : '';
+      return `    <text x="${fmt(node.x)}" y="${fmt(node.y - (node.radius || 0) - 4)}" font-size="${size}"${strong}>${escape_html(text)}</text>`;
+    })
+    .filter(Boolean)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(width)}" height="${fmt(height)}" viewBox="${fmt(x)} ${fmt(y)} ${fmt(width)} ${fmt(height)}">
+  <rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(width)}" height="${fmt(height)}" fill="${to_hex(colors.background)}"/>
+  <g class="links" stroke="${to_hex(colors.link)}" stroke-width="${fmt(1.2 * line_scale)}">
+${link_lines}
+  </g>
+  <g class="nodes">
+${node_circles}
+  </g>
+  <g class="labels" fill="${to_hex(colors.label)}" font-family="sans-serif" text-anchor="middle">
+${label_texts}
+  </g>
+</svg>
+`;
+}
+
+/**
+ * Plain data dump of the visualized cluster group.
+ * @param {Object} cluster_group
+ * @param {Object[]} nodes
+ * @param {Object[]} links
+ * @param {Object} [opts]
+ * @param {string} [opts.name] - display name of the group
+ * @param {number} [opts.threshold]
+ * @returns {Object}
+ */
+export function build_export_data(cluster_group, nodes, links, opts = {}) {
+  const position = (node) => (
+    Number.isFinite(node.x) && Number.isFinite(node.y) ? { x: round(node.x), y: round(node.y) } : null
+  );
+  const clusters = nodes
+    .filter((node) => node.type === 'cluster')
+    .map((node) => ({
+      key: node.id,
+      name: node.cluster?.name || null,
+      centers: (node.children || []).map((child) => child.id),
+      position: position(node),
+    }));
+  const scores = new Map();
+  links.forEach((link) => {
+    const member_key = typeof link.target === 'object' ? link.target.id : link.target;
+    const cluster_key = typeof link.source === 'object' ? link.source.id : link.source;
+    if (!scores.has(member_key)) scores.set(member_key, {});
+    scores.get(member_key)[cluster_key] = round(link.score, 4);
+  });
+  const members = nodes
+    .filter((node) => node.type === 'member')
+    .map((node) => ({
+      key: node.id,
+      scores: scores.get(node.id) || {},
+      position: position(node),
+    }));
+  return {
+    cluster_group: {
+      key: cluster_group.key,
+      name: opts.name || cluster_group.key,
+      threshold: opts.threshold ?? null,
+    },
+    exported_at: new Date().toISOString(),
+    clusters,
+    members,
+    links: links.map((link) => ({
+      cluster: typeof link.source === 'object' ? link.source.id : link.source,
+      member: typeof link.target === 'object' ? link.target.id : link.target,
+      score: round(link.score, 4),
+    })),
+  };
+}
+
+/**
+ * GraphML version of build_export_data() output (for Gephi, yEd, Cytoscape).
+ * @param {Object} data - output of build_export_data
+ * @returns {string}
+ */
+export function build_graphml(data) {
+  const node_xml = (id, type, label, position) => [
+    `    <node id="${escape_html(id)}">`,
+    `      <data key="type">${type}</data>`,
+    `      <data key="label">${escape_html(label || id)}</data>`,
+    position ? `      <data key="x">${position.x}</data>` : '',
+    position ? `      <data key="y">${position.y}</data>` : '',
+    '    </node>',
+  ].filter(Boolean).join('\n');
+  const nodes = [
+    ...data.clusters.map((cluster) => node_xml(`cluster:${cluster.key}`, 'cluster', cluster.name, cluster.position)),
+    ...data.members.map((member) => node_xml(`member:${member.key}`, 'member', member.key, member.position)),
+  ].join('\n');
+  const member_keys = new Set(data.members.map((member) => member.key));
+  const edges = data.links
+    .filter((link) => member_keys.has(link.member))
+    .map((link, i) => [
+      `    <edge id="e${i}" source="${escape_html(`cluster:${link.cluster}`)}" target="${escape_html(`member:${link.member}`)}">`,
+      `      <data key="score">${link.score}</data>`,
+      '    </edge>',
+    ].join('\n'))
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="type" for="node" attr.name="type" attr.type="string"/>
+  <key id="label" for="node" attr.name="label" attr.type="string"/>
+  <key id="x" for="node" attr.name="x" attr.type="double"/>
+  <key id="y" for="node" attr.name="y" attr.type="double"/>
+  <key id="score" for="edge" attr.name="score" attr.type="double"/>
+  <graph id="${escape_html(data.cluster_group.key)}" edgedefault="undirected">
+${nodes}
+${edges}
+  </graph>
+</graphml>
+`;
+}
+
+/**
+ * Writes an export into `folder` in the vault without overwriting existing files.
+ * @param {Object} vault - Obsidian Vault
+ * @param {string} base_name - file name without extension
+ * @param {string} extension
+ * @param {string|ArrayBuffer} content
+ * @param {Object} [opts]
+ * @param {string} [opts.folder='Clusters exports']
+ * @returns {Promise<string>} path of the created file
+ */
+export async function save_export(vault, base_name, extension, content, opts = {}) {
+  const { folder = 'Clusters exports' } = opts;
+  if (!vault.getAbstractFileByPath(folder)) await vault.createFolder(folder);
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const safe_name = `${sanitize_file_name(base_name) || 'clusters'} ${stamp}`;
+  let path = `${folder}/${safe_name}.${extension}`;
+  for (let i = 2; vault.getAbstractFileByPath(path); i++) {
+    path = `${folder}/${safe_name} ${i}.${extension}`;
+  }
+  if (typeof content === 'string') await vault.create(path, content);
+  else await vault.createBinary(path, content);
+  return path;
+}
+
+function sanitize_file_name(name) {
+  return String(name || '').replace(/[\\/:*?"<>|#^[\]]/g, '-').trim();
+}
+
+function fmt(value) {
+  return String(round(value, 2));
+}
+
+function round(value, digits = 2) {
+  if (!Number.isFinite(value)) return value;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
@@ -0,0 +1,235 @@
+/**
+ * @file filters.js
+ * @description Note filters for a cluster group: include/exclude folder
+ * globs, tags, a modified-date range and hiding notes that belong to no
+ * cluster. Stored on the cluster group (`cluster_group.data.filters`) and
+ * applied to the map and to the center picker.
+ */
+
+import { escape_html } from './escape.js';
+
+/**
+ * @typedef {Object} NoteFilters
+ * @property {string[]} include_folders - globs; empty = the whole vault
+ * @property {string[]} exclude_folders - globs
+ * @property {string[]} include_tags - notes need at least one (nested tags match)
+ * @property {string[]} exclude_tags
+ * @property {string} modified_after - 'YYYY-MM-DD' (inclusive) or ''
+ * @property {string} modified_before - 'YYYY-MM-DD' (inclusive) or ''
+ * @property {boolean} hide_unclustered - hide notes under the threshold for every cluster
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the filters saved on the cluster group.
+ * @param {Object} cluster_group
+ * @returns {NoteFilters}
+ */
+export function get_saved_filters(cluster_group) {
+  return normalize_filters(cluster_group?.data?.filters);
+}
+
+/**
+ * Writes the filters onto the cluster group and queues a save.
+ * @param {Object} cluster_group
+ * @param {NoteFilters} filters
+ */
+export function save_filters(cluster_group, filters) {
+  if (!cluster_group?.data) return;
+  cluster_group.data.filters = normalize_filters(filters);
+  cluster_group.queue_save();
+}
+
+/**
+ * Fills in missing fields and drops empty list entries; `{}` gives "no filters".
+ * @param {Object} [filters]
+ * @returns {NoteFilters}
+ */
+export function normalize_filters(filters = {}) {
+  const list = (value) => (Array.isArray(value) ? value : parse_list(value))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+  const date = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : '');
+  return {
+    include_folders: list(filters?.include_folders),
+    exclude_folders: list(filters?.exclude_folders),
+    include_tags: list(filters?.include_tags),
+    exclude_tags: list(filters?.exclude_tags),
+    modified_after: date(filters?.modified_after),
+    modified_before: date(filters?.modified_before),
+    hide_unclustered: !!filters?.hide_unclustered,
+  };
+}
+
+/**
+ * Splits a comma- or newline-separated list.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parse_list(text) {
+  return String(text || '').split(/[,\n]/).map((entry) => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Number of filters in use (for the toolbar badge).
+ * @param {NoteFilters} filters
+ * @returns {number}
+ */
+export function count_active_filters(filters) {
+  return [
+    filters.include_folders.length,
+    filters.exclude_folders.length,
+    filters.include_tags.length,
+    filters.exclude_tags.length,
+    filters.modified_after || filters.modified_before,
+    filters.hide_unclustered,
+  ].filter(Boolean).length;
+}
+
+/**
+ * Whether a path matches a folder glob. `*` and `?` stay within one folder,
+ * `**` spans folders. The glob is tested against the path and each of its
+ * parent folders, so "Templates" or "Archive*" cover everything inside.
+ * @param {string} path
+ * @param {string} glob
+ * @returns {boolean}
+ */
+export function matches_glob(path, glob) {
+  const pattern = String(glob || '').trim().replace(/^\/+|\/+$/g, '');
+  if (!pattern) return false;
+  const regex = glob_to_regex(pattern);
+  const segments = String(path).split('/');
+  for (let i = segments.length; i > 0; i--) {
+    if (regex.test(segments.slice(0, i).join('/'))) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether a note passes the folder, tag and date filters. `hide_unclustered`
+ * depends on the snapshot; see filter_snapshot().
+ * @param {import('./coloring.js').NoteInfo} info
+ * @param {NoteFilters} filters
+ * @returns {boolean}
+ */
+export function matches_filters(info, filters) {
+  const { path } = info;
+  if (filters.include_folders.length && !filters.include_folders.some((glob) => matches_glob(path, glob))) return false;
+  if (filters.exclude_folders.some((glob) => matches_glob(path, glob))) return false;
+  const tags = (info.tags || []).map(normalize_tag);
+  const has_tag = (tag) => {
+    const wanted = normalize_tag(tag);
+    return tags.some((t) => t === wanted || t.startsWith(`${wanted}/`));
+  };
+  if (filters.include_tags.length && !filters.include_tags.some(has_tag)) return false;
+  if (filters.exclude_tags.some(has_tag)) return false;
+  if (filters.modified_after || filters.modified_before) {
+    if (!Number.isFinite(info.mtime)) return false;
+    if (filters.modified_after && info.mtime < parse_date(filters.modified_after)) return false;
+    if (filters.modified_before && info.mtime >= parse_date(filters.modified_before) + DAY) return false;
+  }
+  return true;
+}
+
+/**
+ * Drops members under `threshold` for every cluster when `hide_unclustered` is on.
+ * @param {{clusters: Object[], members: Object[]}} snapshot
+ * @param {NoteFilters} filters
+ * @param {number} threshold
+ * @returns {{clusters: Object[], members: Object[]}}
+ */
+export function filter_snapshot(snapshot, filters, threshold) {
+  if (!filters.hide_unclustered) return snapshot;
+  const members = snapshot.members.filter((member) => (
+    Object.values(member.clusters || {}).some((data) => data?.score >= threshold)
+  ));
+  return { ...snapshot, members };
+}
+
+/**
+ * Filter panel markup.
+ * @param {NoteFilters} filters
+ * @param {Object} [opts]
+ * @param {number} [opts.shown] - notes on the map
+ * @param {number} [opts.total] - notes in the vault
+ * @param {string} [opts.close_icon='×']
+ * @returns {string} HTML
+ */
+export function build_filters_html(filters, opts = {}) {
+  const { shown, total, close_icon = '×' } = opts;
+  const text_field = (name, label, placeholder) => `
+    <label class="sc-filters-field">
+      <span class="sc-filters-label">${label}</span>
+      <input type="text" class="sc-filters-input" data-filter="${name}" value="${escape_html(filters[name].join(', '))}" placeholder="${escape_html(placeholder)}" spellcheck="false" />
+    </label>`;
+  const meta = typeof shown === 'number' && typeof total === 'number'
+    ? `Showing ${shown} of ${total} notes.`
+    : '';
+  return `
+    <div class="sc-filters-header">
+      <span class="sc-filters-title">Filters</span>
+      <button class="sc-filters-close clickable-icon" aria-label="Close filters">${close_icon}</button>
+    </div>
+    <div class="sc-filters-meta">${meta} Separate entries with commas. Folder globs: * within a folder, ** across folders.</div>${text_field('include_folders', 'Only folders', 'Projects, Areas/**')}${text_field('exclude_folders', 'Exclude folders', 'Templates, Archive, Daily/*')}${text_field('include_tags', 'Only tags', '#project')}${text_field('exclude_tags', 'Exclude tags', '#template')}
+    <div class="sc-filters-field">
+      <span class="sc-filters-label">Modified</span>
+      <span class="sc-filters-dates">
+        <input type="date" class="sc-filters-input" data-filter="modified_after" value="${escape_html(filters.modified_after)}" aria-label="Modified on or after" />
+        <span>to</span>
+        <input type="date" class="sc-filters-input" data-filter="modified_before" value="${escape_html(filters.modified_before)}" aria-label="Modified on or before" />
+      </span>
+    </div>
+    <label class="sc-filters-field sc-filters-checkbox">
+      <input type="checkbox" class="sc-filters-input" data-filter="hide_unclustered"${filters.hide_unclustered ? ' checked' : ''} />
+      <span>Hide notes in no cluster (at the current threshold)</span>
+    </label>
+    <div class="sc-filters-actions">
+      <button class="sc-filters-clear"${count_active_filters(filters) ? '' : ' disabled'}>Clear filters</button>
+    </div>`;
+}
+
+/**
+ * Reads the filter panel's inputs.
+ * @param {ParentNode} panel_el
+ * @returns {NoteFilters}
+ */
+export function read_filters_form(panel_el) {
+  const values = {};
+  panel_el.querySelectorAll('[data-filter]').forEach((input) => {
+    values[input.dataset.filter] = input.type === 'checkbox' ? input.checked : input.value;
+  });
+  return normalize_filters(values);
+}
+
+function glob_to_regex(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+      // "a/**/b" also matches "a/b"
+      if (glob[i + 1] === '/') {
+        source = `${source.slice(0, -2)}(?:.*/)?`;
+        i++;
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function parse_date(value) {
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(y, m - 1, d).getTime();
+}
+
+function normalize_tag(tag) {
+  return String(tag).trim().replace(/^#/, '').toLowerCase();
+}
@@ -0,0 +1,122 @@
+import test from 'ava';
+import {
+  count_active_filters,
+  filter_snapshot,
+  get_saved_filters,
+  matches_filters,
+  matches_glob,
+  normalize_filters,
+  parse_list,
+} from './filters.js';
+
+// Local midnight, like the dates typed into the filter panel
+const local_time = (y, m, d, h = 0) => new Date(y, m - 1, d, h).getTime();
+
+const note = (path, extra = {}) => ({ path, tags: [], mtime: local_time(2024, 6, 15, 12), ...extra });
+
+test('normalize_filters fills in defaults and cleans lists and dates', (t) => {
+  t.deepEqual(normalize_filters(), {
+    include_folders: [],
+    exclude_folders: [],
+    include_tags: [],
+    exclude_tags: [],
+    modified_after: '',
+    modified_before: '',
+    hide_unclustered: false,
+  });
+  const filters = normalize_filters({
+    include_folders: 'Projects, Areas/**\n',
+    exclude_tags: [' #template ', ''],
+    modified_after: '2024-06-01',
+    modified_before: 'June',
+    hide_unclustered: 1,
+  });
+  t.deepEqual(filters.include_folders, ['Projects', 'Areas/**']);
+  t.deepEqual(filters.exclude_tags, ['#template']);
+  t.is(filters.modified_after, '2024-06-01');
+  t.is(filters.modified_before, '');
+  t.true(filters.hide_unclustered);
+  t.deepEqual(get_saved_filters({ data: {} }), normalize_filters());
+});
+
+test('parse_list splits on commas and newlines', (t) => {
+  t.deepEqual(parse_list('a, b\nc,,'), ['a', 'b', 'c']);
+  t.deepEqual(parse_list(undefined), []);
+});
+
+test('count_active_filters counts the date range once', (t) => {
+  t.is(count_active_filters(normalize_filters()), 0);
+  t.is(count_active_filters(normalize_filters({
+    include_folders: ['A'],
+    exclude_tags: ['#x', '#y'],
+    modified_after: '2024-01-01',
+    modified_before: '2024-12-31',
+    hide_unclustered: true,
+  })), 4);
+});
+
+test('matches_glob covers the folder and everything inside it', (t) => {
+  t.true(matches_glob('Templates/daily.md', 'Templates'));
+  t.true(matches_glob('Templates/sub/daily.md', '/Templates/'));
+  t.true(matches_glob('templates/daily.md', 'Templates'));
+  t.false(matches_glob('TemplatesOld/daily.md', 'Templates'));
+  t.true(matches_glob('Archive 2023/a.md', 'Archive*'));
+  t.false(matches_glob('a.md', ''));
+});
+
+test('matches_glob keeps * and ? within one folder and lets ** span folders', (t) => {
+  t.true(matches_glob('Daily/2024-06-15.md', 'Daily/*'));
+  t.false(matches_glob('Notes/Daily/2024-06-15.md', '*/2024-06-15.md'));
+  t.true(matches_glob('Notes/Daily/2024-06-15.md', '**/2024-06-15.md'));
+  t.true(matches_glob('Areas/a.md', 'Areas/**/a.md'));
+  t.true(matches_glob('Areas/x/y/a.md', 'Areas/**/a.md'));
+  t.true(matches_glob('v1/a.md', 'v?'));
+  t.false(matches_glob('v10/a.md', 'v?'));
+  t.true(matches_glob('a+b/c.md', 'a+b'));
+});
+
+test('matches_filters applies include and exclude folders', (t) => {
+  const filters = normalize_filters({ include_folders: 'Projects, Areas', exclude_folders: 'Projects/Archive' });
+  t.true(matches_filters(note('Projects/a.md'), filters));
+  t.true(matches_filters(note('Areas/Health/b.md'), filters));
+  t.false(matches_filters(note('Projects/Archive/c.md'), filters));
+  t.false(matches_filters(note('Inbox/d.md'), filters));
+  t.true(matches_filters(note('Inbox/d.md'), normalize_filters()));
+});
+
+test('matches_filters matches nested tags with or without #', (t) => {
+  const include = normalize_filters({ include_tags: '#project' });
+  t.true(matches_filters(note('a.md', { tags: ['#Project'] }), include));
+  t.true(matches_filters(note('a.md', { tags: ['#project/alpha'] }), include));
+  t.false(matches_filters(note('a.md', { tags: ['#projects'] }), include));
+  t.false(matches_filters(note('a.md'), include));
+
+  const exclude = normalize_filters({ exclude_tags: 'template' });
+  t.false(matches_filters(note('a.md', { tags: ['#template/daily'] }), exclude));
+  t.true(matches_filters(note('a.md', { tags: ['#other'] }), exclude));
+});
+
+test('matches_filters includes both ends of the modified range', (t) => {
+  const filters = normalize_filters({ modified_after: '2024-06-01', modified_before: '2024-06-30' });
+  t.true(matches_filters(note('a.md', { mtime: local_time(2024, 6, 1) }), filters));
+  t.true(matches_filters(note('a.md', { mtime: local_time(2024, 6, 30, 23) }), filters));
+  t.false(matches_filters(note('a.md', { mtime: local_time(2024, 5, 31, 23) }), filters));
+  t.false(matches_filters(note('a.md', { mtime: local_time(2024, 7, 1) }), filters));
+  t.false(matches_filters(note('a.md', { mtime: undefined }), filters));
+  t.true(matches_filters(note('a.md', { mtime: undefined }), normalize_filters()));
+});
+
+test('filter_snapshot hides notes under the threshold only when asked', (t) => {
+  const snapshot = {
+    clusters: [{ key: 'c1' }],
+    members: [
+      { item: { key: 'a.md' }, clusters: { c1: { score: 0.9 } } },
+      { item: { key: 'b.md' }, clusters: { c1: { score: 0.4 } } },
+      { item: { key: 'c.md' }, clusters: {} },
+    ],
+  };
+  t.is(filter_snapshot(snapshot, normalize_filters(), 0.5), snapshot);
+  const filtered = filter_snapshot(snapshot, normalize_filters({ hide_unclustered: true }), 0.5);
+  t.deepEqual(filtered.members.map((member) => member.item.key), ['a.md']);
+  t.is(filtered.clusters, snapshot.clusters);
+});
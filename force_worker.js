@@ -0,0 +1,131 @@
+/**
+ * @file force_worker.js
+ * @description Web Worker entry that runs the visualizer's force simulation
+ * off the main thread and streams node positions back. esbuild.js bundles it
+ * into the FORCE_WORKER_SOURCE string; simulation.js starts it from a Blob.
+ * Message protocol is documented on WorkerBackend in simulation.js.
+ */
+
+import * as d3 from 'd3';
+import { apply_forces, apply_link_force, create_distance_scale } from './forces.js';
+
+let simulation = null;
+let nodes = [];
+let links = [];
+let distance_scale = null;
+let recentered = false;
+// Graph version from the main thread, echoed on ticks so stale ones can be dropped
+let generation = 0;
+
+// Links reference nodes by index (ids are not unique: a note can be a center of several clusters)
+const link_id = (d) => d.index;
+
+self.onmessage = (event) => {
+  const msg = event.data;
+  if (msg.type === 'init') init(msg);
+  else if (msg.type === 'graph') set_graph(msg);
+  else if (msg.type === 'links') set_links(msg);
+  else if (msg.type === 'fixed') set_fixed(msg);
+  else if (msg.type === 'control') control(msg);
+  else if (msg.type === 'prerun') prerun(msg);
+};
+
+function init(msg) {
+  generation = msg.generation;
+  nodes = to_nodes(msg.nodes);
+  links = to_links(msg.links);
+  distance_scale = create_distance_scale(msg.distance_domain);
+  simulation = apply_forces(d3.forceSimulation(nodes), links, distance_scale, { id: link_id })
+    .stop()
+    .on('tick', () => {
+      position_centers();
+      post_positions();
+    })
+    .on('end', () => self.postMessage({ type: 'end' }));
+  position_centers();
+}
+
+function set_graph(msg) {
+  generation = msg.generation;
+  nodes = to_nodes(msg.nodes);
+  links = to_links(msg.links);
+  simulation.nodes(nodes);
+  apply_link_force(simulation, links, distance_scale, { id: link_id, recenter: recentered });
+  position_centers();
+}
+
+function set_links(msg) {
+  links = to_links(msg.links);
+  if (msg.recenter) recentered = true;
+  apply_link_force(simulation, links, distance_scale, { id: link_id, recenter: !!msg.recenter });
+}
+
+function set_fixed(msg) {
+  const { indices, values } = msg;
+  const count = indices ? indices.length : nodes.length;
+  for (let k = 0; k < count; k++) {
+    const node = nodes[indices ? indices[k] : k];
+    if (!node) continue;
+    const fx = values[2 * k];
+    const fy = values[2 * k + 1];
+    node.fx = Number.isNaN(fx) ? null : fx;
+    node.fy = Number.isNaN(fy) ? null : fy;
+    if (node.fx !== null) {
+      node.x = node.fx;
+      node.y = node.fy;
+    }
+  }
+}
+
+function control(msg) {
+  if (typeof msg.alpha === 'number') simulation.alpha(msg.alpha);
+  if (typeof msg.alpha_target === 'number') simulation.alphaTarget(msg.alpha_target);
+  if (msg.stop) simulation.stop();
+  if (msg.restart) simulation.restart();
+}
+
+function prerun(msg) {
+  const { max_iter = 100, min_alpha = 0.1 } = msg;
+  let i = 0;
+  while (simulation.alpha() > min_alpha && i < max_iter) {
+    simulation.tick();
+    position_centers();
+    i++;
+  }
+  post_positions();
+  self.postMessage({ type: 'prerun', ticks: i, alpha: simulation.alpha() });
+}
+
+// Same rule as ticked() in clusters_visualizer.js: centers ride on their parent cluster
+function position_centers() {
+  nodes.forEach((node) => {
+    if (node.parent < 0) return;
+    const parent = nodes[node.parent];
+    if (!parent || !Number.isFinite(parent.x)) return;
+    node.x = node.fx = parent.x + node.offset_dist * Math.cos(node.offset_angle);
+    node.y = node.fy = parent.y + node.offset_dist * Math.sin(node.offset_angle);
+  });
+}
+
+function post_positions() {
+  const positions = new Float64Array(nodes.length * 2);
+  nodes.forEach((node, i) => {
+    positions[2 * i] = node.x;
+    positions[2 * i + 1] = node.y;
+  });
+  self.postMessage({ type: 'tick', positions, alpha: simulation.alpha(), generation }, [positions.buffer]);
+}
+
+function to_nodes(payload) {
+  return payload.map((n) => ({
+    ...n,
+    x: Number.isFinite(n.x) ? n.x : undefined,
+    y: Number.isFinite(n.y) ? n.y : undefined,
+    fx: Number.isFinite(n.fx) ? n.fx : null,
+    fy: Number.isFinite(n.fy) ? n.fy : null,
+  }));
+}
+
+function to_links(payload) {
+  return payload.map((l) => ({ source: l.source, target: l.target, score: l.score }));
+}
@@ -0,0 +1,83 @@
+/**
+ * @file forces.js
+ * @description Force configuration for the clusters visualizer simulation.
+ * Shared by the main-thread simulation and the Web Worker (force_worker.js)
+ * so both settle to the same layout.
+ */
+
+import * as d3 from 'd3';
+
+/**
+ * Maps link scores to link distances (stronger = shorter).
+ * @param {[number, number]} domain - [min_score, max_score]
+ * @returns {d3.ScalePower<number, number>}
+ */
+export function create_distance_scale(domain) {
+  return d3
+    .scalePow()
+    .exponent(2.5)
+    .domain(domain)
+    .range([400, 40])
+    .clamp(true);
+}
+
+/**
+ * Score domain of `links` used for create_distance_scale().
+ * @param {Object[]} links
+ * @returns {[number, number]}
+ */
+export function get_distance_domain(links) {
+  const all_scores = links
+    .filter((l) => typeof l.score === 'number')
+    .map((l) => l.score);
+  const min_score = d3.min(all_scores) ?? 0.6;
+  const max_score = d3.max(all_scores) ?? 1.0;
+  return [min_score, max_score];
+}
+
+/**
+ * Applies the visualizer's forces to `simulation`.
+ * @param {d3.Simulation} simulation
+ * @param {Object[]} links
+ * @param {Function} distance_scale
+ * @param {Object} [opts]
+ * @param {Function} [opts.id] - link endpoint accessor (defaults to node id)
+ * @returns {d3.Simulation}
+ */
+export function apply_forces(simulation, links, distance_scale, opts = {}) {
+  const { id = (d) => d.id } = opts;
+  return simulation
+    .velocityDecay(0.9)
+    .force('charge', d3.forceManyBody().strength(-400))
+    .force('link', create_link_force(links, distance_scale, id))
+    .force('childToParent', d3.forceManyBody().strength(0));
+}
+
+/**
+ * Replaces the link force; with `recenter` also pulls the network toward the
+ * origin (used after threshold changes).
+ * @param {d3.Simulation} simulation
+ * @param {Object[]} links
+ * @param {Function} distance_scale
+ * @param {Object} [opts]
+ * @param {Function} [opts.id]
+ * @param {boolean} [opts.recenter=false]
+ */
+export function apply_link_force(simulation, links, distance_scale, opts = {}) {
+  const { id = (d) => d.id, recenter = false } = opts;
+  simulation.force('link', create_link_force(links, distance_scale, id));
+  if (recenter) {
+    simulation
+      .force('center', d3.forceCenter(0, 0))
+      .force('radial', d3.forceRadial(100, 0, 0).strength(0.05));
+  }
+}
+
+function create_link_force(links, distance_scale, id) {
+  return d3
+    .forceLink(links)
+    .id(id)
+    .distance((link) =>
+      typeof link.score === 'number' ? distance_scale(link.score) : 200
+    );
+}
@@ -0,0 +1,278 @@
+/**
+ * @file graph_model.js
+ * @description Builds the visualizer's `nodes`/`links` arrays from a cluster
+ * group snapshot and merges a fresh snapshot into existing arrays in place,
+ * so the running simulation keeps positions, velocities and selection.
+ */
+
+import { place_near_strongest_cluster } from './layout_persistence.js';
+import { default_theme, get_node_colors } from './theme.js';
+
+const DEFAULT_LINK_STROKE = '#4c7787';
+
+/**
+ * Node fill colors before the theme and any "color by" mode are applied (see
+ * coloring.js): the theme's fallbacks.
+ * @type {{cluster: string, center: string, member: string}}
+ */
+export const DEFAULT_NODE_COLORS = get_node_colors(default_theme());
+
+/**
+ * Radius of a node before any "size by" mode is applied (see sizing.js):
+ * clusters grow with their number of centers, up to 70.
+ * @param {Object} node - needs `type`, and `cluster.centers` for clusters
+ * @returns {number}
+ */
+export function get_default_radius(node) {
+  if (node.type === 'center') return 4;
+  if (node.type !== 'cluster') return 7;
+  const childCount = Array.isArray(node.cluster?.centers) ? node.cluster.centers.length : 0;
+  const baseRadius = 20;
+  const growthFactor = 3;
+  const maxRadius = 70;
+  return Math.min(baseRadius + childCount * growthFactor, maxRadius);
+}
+
+/**
+ * Builds nodes, links and a node lookup from a snapshot.
+ * @param {{clusters: Object[], members: Object[]}} snapshot
+ * @param {Object} [opts]
+ * @param {number} [opts.threshold=0.6] - Minimum score for a cluster→member link.
+ * @returns {{nodes: Object[], links: Object[], node_map: Object<string, Object>}}
+ */
+export function build_graph(snapshot, opts = {}) {
+  const { clusters = [], members = [] } = snapshot;
+  const nodes = [];
+  const node_map = {};
+  const center_ids = new Set();
+
+  clusters.forEach((cluster) => {
+    const childCount = Array.isArray(cluster.centers) ? cluster.centers.length : 0;
+    const scaledRadius = get_default_radius({ type: 'cluster', cluster });
+
+    const c_node = {
+      id: cluster.key,
+      type: 'cluster',
+      color: DEFAULT_NODE_COLORS.cluster,
+      radius: scaledRadius,
+      cluster: cluster,
+      children: [],
+    };
+
+    nodes.push(c_node);
+    node_map[cluster.key] = c_node;
+
+    if (childCount > 0) {
+      cluster.centers.forEach((item, i) => {
+        const angle = (i / childCount) * 2 * Math.PI;
+        const dist = scaledRadius * 0.7;
+        const childNode = {
+          id: `${item.key}`,
+          type: 'center',
+          color: DEFAULT_NODE_COLORS.center,
+          radius: get_default_radius({ type: 'center' }),
+          parent: c_node,
+          cluster,
+          item,
+          offsetAngle: angle,
+          offsetDist: dist,
+        };
+        nodes.push(childNode);
+        c_node.children.push(childNode);
+        center_ids.add(childNode.id);
+      });
+    }
+  });
+
+  members.forEach((member) => {
+    const member_key = member.item?.key || 'unknown-member';
+    if (node_map[member_key] === undefined && !center_ids.has(member_key)) {
+      node_map[member_key] = {
+        id: member_key,
+        type: 'member',
+        color: DEFAULT_NODE_COLORS.member,
+        radius: get_default_radius({ type: 'member' }),
+        item: member.item,
+      };
+      nodes.push(node_map[member_key]);
+    }
+  });
+
+  const links = build_links(members, node_map, opts.threshold ?? 0.6);
+  return { nodes, links, node_map };
+}
+
+/**
+ * Builds cluster→member links at or above `threshold`.
+ * Alpha/stroke of matching `previous_links` is carried over so fades don't restart.
+ * @param {Object[]} members
+ * @param {Object<string, Object>} node_map
+ * @param {number} threshold
+ * @param {Object[]} [previous_links]
+ * @returns {Object[]}
+ */
+export function build_links(members, node_map, threshold, previous_links = []) {
+  const previous = new Map(previous_links.map((link) => [link_key(link), link]));
+  const links = [];
+  members.forEach((member) => {
+    const member_key = member.item?.key || 'unknown-member';
+    Object.entries(member.clusters || {}).forEach(([cl_id, cl_data]) => {
+      const { score } = cl_data;
+      if (score >= threshold && node_map[cl_id]) {
+        const existingLink = previous.get(`${cl_id}->${member_key}`);
+        links.push({
+          source: cl_id,
+          target: member_key,
+          score,
+          stroke: existingLink?.stroke || DEFAULT_LINK_STROKE,
+          currentAlpha: existingLink?.currentAlpha,
+        });
+      }
+    });
+  });
+  return links;
+}
+
+/**
+ * Merges a freshly built graph into the current one, mutating the current
+ * `nodes`, `links` and `node_map` in place. Surviving nodes keep their object
+ * identity (and so x/y/vx/vy/fx/fy and selection); their data fields are
+ * refreshed from the new snapshot.
+ * @param {{nodes: Object[], links: Object[], node_map: Object}} graph - current graph (mutated)
+ * @param {{nodes: Object[], links: Object[], node_map: Object}} next - output of build_graph
+ * @param {Object<string, Object>} [member_clusters] - member key -> member.clusters, used to place new members
+ * @param {Object} [opts]
+ * @param {Map<string, string>} [opts.renames] - old path -> new path; renamed notes keep their node
+ * @returns {{added: Object[], removed: Object[]}}
+ */
+export function merge_graph(graph, next, member_clusters = {}, opts = {}) {
+  const previous = new Map(graph.nodes.map((node) => [node_identity(node), node]));
+  const previous_by_id = new Map(graph.nodes.map((node) => [node.id, node]));
+  const kept = new Set();
+  const added = [];
+  const renamed_from = new Map([...(opts.renames || [])].map(([from, to]) => [to, from]));
+
+  const find_existing = (next_node) => {
+    const existing = previous.get(node_identity(next_node));
+    if (existing || !renamed_from.size || next_node.type === 'cluster') return existing;
+    const old_id = rename_key(next_node.id, renamed_from);
+    if (old_id === next_node.id) return undefined;
+    return previous.get(node_identity({ ...next_node, id: old_id }));
+  };
+
+  const merged_nodes = next.nodes.map((next_node) => {
+    const found = find_existing(next_node);
+    const existing = found && !kept.has(found) ? found : null;
+    if (!existing) {
+      added.push(next_node);
+      return next_node;
+    }
+    kept.add(existing);
+    Object.assign(existing, next_node, {
+      // keep simulation state of the existing object
+      x: existing.x, y: existing.y,
+      vx: existing.vx, vy: existing.vy,
+      fx: existing.fx, fy: existing.fy,
+    });
+    return existing;
+  });
+
+  // Re-point parents/children at surviving cluster objects
+  const merged_by_identity = new Map(merged_nodes.map((node) => [node_identity(node), node]));
+  merged_nodes.forEach((node) => {
+    if (node.type === 'cluster') {
+      node.children = (node.children || []).map((child) => merged_by_identity.get(node_identity(child)) || child);
+    } else if (node.type === 'center' && node.parent) {
+      node.parent = merged_by_identity.get(node_identity(node.parent)) || node.parent;
+    }
+  });
+
+  Object.keys(graph.node_map).forEach((key) => delete graph.node_map[key]);
+  merged_nodes.forEach((node) => {
+    if (node.type !== 'center') graph.node_map[node.id] = node;
+  });
+
+  // Place new nodes sensibly instead of at the simulation's default spiral
+  added.forEach((node) => {
+    if (node.type === 'cluster') {
+      const former = (node.cluster?.centers || [])
+        .map((item) => previous_by_id.get(item.key))
+        .filter((n) => n && Number.isFinite(n.x));
+      if (former.length) {
+        node.x = former.reduce((sum, n) => sum + n.x, 0) / former.length;
+        node.y = former.reduce((sum, n) => sum + n.y, 0) / former.length;
+      }
+    }
+  });
+  added.forEach((node) => {
+    if (node.type === 'member') {
+      const former = previous_by_id.get(node.id);
+      if (former && Number.isFinite(former.x)) {
+        // e.g. a center that went back to being a plain member
+        node.x = former.x;
+        node.y = former.y;
+      } else {
+        place_near_strongest_cluster(node, member_clusters[node.id], graph.node_map);
+      }
+    }
+  });
+
+  const removed = graph.nodes.filter((node) => !kept.has(node));
+
+  graph.nodes.length = 0;
+  graph.nodes.push(...merged_nodes);
+
+  const previous_links = new Map(graph.links.map((link) => [link_key(link), link]));
+  const merged_links = next.links.map((link) => {
+    const existing = previous_links.get(link_key(link));
+    if (existing) {
+      link.currentAlpha = existing.currentAlpha;
+      link.stroke = existing.stroke;
+    }
+    return link;
+  });
+  graph.links.length = 0;
+  graph.links.push(...merged_links);
+
+  return { added, removed };
+}
+
+/**
+ * Applies path renames to a note key, including notes inside renamed
+ * folders and block keys (`path#heading`).
+ * @param {string} key
+ * @param {Map<string, string>} renames - old path -> new path
+ * @returns {string}
+ */
+export function rename_key(key, renames) {
+  if (!renames?.size || typeof key !== 'string') return key;
+  if (renames.has(key)) return renames.get(key);
+  for (const [from, to] of renames) {
+    if (key.startsWith(`${from}/`) || key.startsWith(`${from}#`)) return to + key.slice(from.length);
+  }
+  return key;
+}
+
+/**
+ * Stable identity for a node across snapshots. Center ids are note keys, so
+ * the same note can be a center of several clusters; include the parent.
+ * @param {Object} node
+ * @returns {string}
+ */
+export function node_identity(node) {
+  if (node.type === 'center') return `center:${node.parent?.id}:${node.id}`;
+  return `${node.type}:${node.id}`;
+}
+
+/**
+ * Id of a link endpoint, whether or not d3.forceLink has resolved it to a node.
+ * @param {string|Object} end
+ * @returns {string}
+ */
+export function link_end_id(end) {
+  return typeof end === 'object' && end !== null ? end.id : end;
+}
+
+function link_key(link) {
+  return `${link_end_id(link.source)}->${link_end_id(link.target)}`;
+}
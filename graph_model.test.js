@@ -0,0 +1,86 @@
+import test from 'ava';
+import { build_graph, merge_graph } from './graph_model.js';
+
+const item = (key) => ({ key });
+
+function create_snapshot(member_keys, cluster_keys = ['c1']) {
+  return {
+    clusters: cluster_keys.map((key) => ({ key, centers: [item(`${key}-center.md`)] })),
+    members: member_keys.map((key) => ({
+      item: item(key),
+      clusters: Object.fromEntries(cluster_keys.map((cl_key) => [cl_key, { score: 0.9 }])),
+    })),
+  };
+}
+
+function place(nodes) {
+  nodes.forEach((node, i) => {
+    node.x = i * 10;
+    node.y = i * 20;
+    node.vx = 1;
+    node.vy = 2;
+  });
+}
+
+test('merge_graph keeps surviving nodes and their positions', (t) => {
+  const graph = build_graph(create_snapshot(['a.md', 'b.md']));
+  place(graph.nodes);
+  const node_a = graph.node_map['a.md'];
+  const cluster = graph.node_map.c1;
+  const before = { x: node_a.x, y: node_a.y, vx: node_a.vx };
+  node_a.fx = 5;
+
+  merge_graph(graph, build_graph(create_snapshot(['a.md', 'b.md'])));
+
+  t.is(graph.node_map['a.md'], node_a);
+  t.is(graph.node_map.c1, cluster);
+  t.is(node_a.x, before.x);
+  t.is(node_a.y, before.y);
+  t.is(node_a.vx, before.vx);
+  t.is(node_a.fx, 5);
+  // Centers are re-pointed at the surviving cluster object
+  t.true(cluster.children.every((child) => child.parent === cluster));
+});
+
+test('merge_graph drops removed nodes and reports additions', (t) => {
+  const graph = build_graph(create_snapshot(['a.md', 'b.md']));
+  place(graph.nodes);
+  const node_b = graph.node_map['b.md'];
+
+  const { added, removed } = merge_graph(graph, build_graph(create_snapshot(['a.md', 'c.md'])));
+
+  t.deepEqual(removed, [node_b]);
+  t.deepEqual(added.map((node) => node.id), ['c.md']);
+  t.is(graph.node_map['b.md'], undefined);
+  t.false(graph.nodes.includes(node_b));
+  t.deepEqual(graph.nodes.map((node) => node.id).sort(), ['a.md', 'c.md', 'c1', 'c1-center.md']);
+  t.true(graph.links.every((link) => link.target !== 'b.md'));
+});
+
+test('merge_graph places new members near their strongest cluster', (t) => {
+  const graph = build_graph(create_snapshot(['a.md']));
+  place(graph.nodes);
+  const cluster = graph.node_map.c1;
+
+  merge_graph(graph, build_graph(create_snapshot(['a.md', 'new.md'])), {
+    'new.md': { c1: { score: 0.9 } },
+  });
+
+  const node = graph.node_map['new.md'];
+  const distance = Math.hypot(node.x - cluster.x, node.y - cluster.y);
+  t.true(distance >= cluster.radius + 30 && distance <= cluster.radius + 60);
+});
+
+test('merge_graph keeps the node of a renamed note', (t) => {
+  const graph = build_graph(create_snapshot(['old.md']));
+  place(graph.nodes);
+  const node = graph.node_map['old.md'];
+
+  merge_graph(graph, build_graph(create_snapshot(['new.md'])), {}, {
+    renames: new Map([['old.md', 'new.md']]),
+  });
+
+  t.is(graph.node_map['new.md'], node);
+  t.is(node.id, 'new.md');
+  t.is(graph.node_map['old.md'], undefined);
+});
@@ -0,0 +1,200 @@
+/**
+ * @file history.js
+ * @description Undo/redo for the visualizer's cluster edits. Each edit stores
+ * the cluster group fields and the group's clusters that the edit changed,
+ * before and after, so undo/redo restore the exact prior definitions and memberships
+ * rather than replaying inverse operations. Anything the edit left alone
+ * (the threshold, other clusters, ...) is not touched by undo/redo.
+ */
+
+/**
+ * Keys of the cluster group data that hold view state (positions, viewport,
+ * filters, ...) rather than cluster definitions; undo/redo leaves them alone.
+ */
+const VIEW_STATE_KEYS = ['layout', 'filters'];
+
+/**
+ * @typedef {Object} ClusterChange
+ * @property {Object<string, {before: *, after: *}>} group - changed cluster group data fields; undefined = field absent
+ * @property {Object<string, {before: Object|null, after: Object|null}>} clusters - null = cluster absent
+ */
+
+/**
+ * @typedef {Object} ClusterEdit
+ * @property {string} label - shown in notices, e.g. "remove cluster(s)"
+ * @property {string} group_key
+ * @property {ClusterChange} change
+ */
+
+/**
+ * Keys of the clusters the cluster group references (`data.clusters`).
+ * @param {Object} cluster_group
+ * @returns {string[]}
+ */
+export function get_group_cluster_keys(cluster_group) {
+  const refs = cluster_group?.data?.clusters;
+  if (Array.isArray(refs)) return refs.map((ref) => (typeof ref === 'string' ? ref : ref?.key)).filter(Boolean);
+  return Object.keys(refs || {});
+}
+
+/**
+ * Copies the data of the cluster group and of the given (non-deleted) clusters.
+ * @param {Object} env
+ * @param {Object} cluster_group
+ * @param {Iterable<string>} [keys] - clusters to copy; the group's clusters by default
+ * @returns {{group: Object, clusters: Object<string, Object>}}
+ */
+export function capture_cluster_state(env, cluster_group, keys = get_group_cluster_keys(cluster_group)) {
+  const clusters = {};
+  for (const key of keys) {
+    const item = env.clusters?.items?.[key];
+    if (!item || item.deleted) continue;
+    clusters[key] = clone(item.data);
+  }
+  return { group: without_view_state(cluster_group.data), clusters };
+}
+
+/**
+ * Changes between two captured states, or null if nothing changed.
+ * @param {{group: Object, clusters: Object}} before
+ * @param {{group: Object, clusters: Object}} after
+ * @returns {ClusterChange|null}
+ */
+export function diff_cluster_states(before, after) {
+  const group = {};
+  const fields = new Set([...Object.keys(before.group), ...Object.keys(after.group)]);
+  fields.forEach((field) => {
+    const b = before.group[field];
+    const a = after.group[field];
+    if (JSON.stringify(b) !== JSON.stringify(a)) group[field] = { before: b, after: a };
+  });
+  const clusters = {};
+  const keys = new Set([...Object.keys(before.clusters), ...Object.keys(after.clusters)]);
+  keys.forEach((key) => {
+    const b = before.clusters[key] ?? null;
+    const a = after.clusters[key] ?? null;
+    if (JSON.stringify(b) !== JSON.stringify(a)) clusters[key] = { before: b, after: a };
+  });
+  if (!Object.keys(group).length && !Object.keys(clusters).length) return null;
+  return { group, clusters };
+}
+
+/**
+ * Runs `action` and records what it changed in `history`. Only the group's
+ * clusters are copied, before and after. A cluster that existed elsewhere and
+ * joins the group is left out: undo drops the group's reference to it but
+ * doesn't delete it.
+ * @param {ClusterEditHistory} history
+ * @param {Object} env
+ * @param {Object} cluster_group
+ * @param {string} label
+ * @param {() => Promise<any>} action
+ * @returns {Promise<any>} result of `action`
+ */
+export async function record_cluster_edit(history, env, cluster_group, label, action) {
+  const items = env.clusters?.items || {};
+  const existing = new Set(Object.keys(items).filter((key) => items[key] && !items[key].deleted));
+  const before_keys = new Set(get_group_cluster_keys(cluster_group));
+  const before = capture_cluster_state(env, cluster_group, before_keys);
+  const result = await action();
+  const after_keys = new Set([...before_keys, ...get_group_cluster_keys(cluster_group)]);
+  const after = capture_cluster_state(
+    env,
+    cluster_group,
+    [...after_keys].filter((key) => before_keys.has(key) || !existing.has(key))
+  );
+  const change = diff_cluster_states(before, after);
+  if (change) history.push({ label, group_key: cluster_group.key, change });
+  return result;
+}
+
+/**
+ * Undo/redo stacks of ClusterEdit entries for one cluster group.
+ */
+export class ClusterEditHistory {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.limit=50] - oldest edits are dropped beyond this
+   */
+  constructor(opts = {}) {
+    this.limit = opts.limit ?? 50;
+    this.undo_stack = [];
+    this.redo_stack = [];
+  }
+
+  get can_undo() { return this.undo_stack.length > 0; }
+  get can_redo() { return this.redo_stack.length > 0; }
+
+  /**
+   * @param {ClusterEdit} edit
+   */
+  push(edit) {
+    this.undo_stack.push(edit);
+    if (this.undo_stack.length > this.limit) this.undo_stack.shift();
+    this.redo_stack.length = 0;
+  }
+
+  /**
+   * Restores the state before the last edit.
+   * @param {Object} env
+   * @returns {Promise<ClusterEdit|null>} the undone edit
+   */
+  async undo(env) {
+    const edit = this.undo_stack.pop();
+    if (!edit) return null;
+    await apply_change(env, edit, 'before');
+    this.redo_stack.push(edit);
+    return edit;
+  }
+
+  /**
+   * Re-applies the last undone edit.
+   * @param {Object} env
+   * @returns {Promise<ClusterEdit|null>} the redone edit
+   */
+  async redo(env) {
+    const edit = this.redo_stack.pop();
+    if (!edit) return null;
+    await apply_change(env, edit, 'after');
+    this.undo_stack.push(edit);
+    return edit;
+  }
+}
+
+async function apply_change(env, edit, side) {
+  const { change } = edit;
+  const cluster_group = env.cluster_groups?.items?.[edit.group_key];
+  const group_fields = Object.entries(change.group || {});
+  if (cluster_group?.data && group_fields.length) {
+    group_fields.forEach(([field, pair]) => {
+      if (pair[side] === undefined) delete cluster_group.data[field];
+      else cluster_group.data[field] = clone(pair[side]);
+    });
+    cluster_group.queue_save();
+  }
+  for (const [key, pair] of Object.entries(change.clusters)) {
+    const data = pair[side];
+    const item = env.clusters.items[key];
+    if (data === null) {
+      if (item && !item.deleted) item.delete();
+      continue;
+    }
+    if (item) {
+      if (item.deleted) item.deleted = false;
+      item.data = clone(data);
+      item.queue_save();
+    } else {
+      await env.clusters.create_or_update(clone(data));
+    }
+  }
+}
+
+function without_view_state(data = {}) {
+  const copy = clone(data);
+  VIEW_STATE_KEYS.forEach((key) => delete copy[key]);
+  return copy;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
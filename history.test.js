@@ -0,0 +1,184 @@
+import test from 'ava';
+import { ClusterEditHistory, capture_cluster_state, record_cluster_edit } from './history.js';
+
+// Minimal stand-ins for the Smart Environment collections the history touches
+function create_cluster(env, data) {
+  const item = {
+    key: data.key,
+    data,
+    deleted: false,
+    saves: 0,
+    queue_save() { this.saves++; },
+    delete() { this.deleted = true; },
+  };
+  env.clusters.items[data.key] = item;
+  return item;
+}
+
+function create_env() {
+  const env = {
+    clusters: {
+      items: {},
+      async create_or_update(data) { return create_cluster(env, data); },
+    },
+    cluster_groups: { items: {} },
+  };
+  create_cluster(env, { key: 'c1', center: { 'a.md': { weight: 1 } } });
+  create_cluster(env, { key: 'c2', center: { 'b.md': { weight: 1 } } });
+  // Belongs to another group
+  create_cluster(env, { key: 'other', center: { 'z.md': { weight: 1 } } });
+  const cluster_group = {
+    key: 'group',
+    data: {
+      key: 'group',
+      name: 'Projects',
+      clusters: { c1: {}, c2: {} },
+      filters: {},
+      layout: { nodes: {} },
+    },
+    queue_save() {},
+  };
+  env.cluster_groups.items.group = cluster_group;
+  return { env, cluster_group };
+}
+
+function add_center(env, key, note) {
+  return async () => {
+    const item = env.clusters.items[key];
+    item.data = { ...item.data, center: { ...item.data.center, [note]: { weight: 1 } } };
+    item.queue_save();
+  };
+}
+
+test('capture_cluster_state copies only the clusters of the group', (t) => {
+  const { env, cluster_group } = create_env();
+  const state = capture_cluster_state(env, cluster_group);
+  t.deepEqual(Object.keys(state.clusters).sort(), ['c1', 'c2']);
+  t.false('layout' in state.group);
+  t.false('filters' in state.group);
+  // Copies, not references
+  state.clusters.c1.center['x.md'] = { weight: 1 };
+  t.false('x.md' in env.clusters.items.c1.data.center);
+});
+
+test('record_cluster_edit records only what the edit changed', async (t) => {
+  const { env, cluster_group } = create_env();
+  const history = new ClusterEditHistory();
+  const result = await record_cluster_edit(history, env, cluster_group, 'add to center', async () => {
+    await add_center(env, 'c1', 'c.md')();
+    return 'done';
+  });
+  t.is(result, 'done');
+  t.true(history.can_undo);
+  const [edit] = history.undo_stack;
+  t.is(edit.label, 'add to center');
+  t.is(edit.group_key, 'group');
+  t.deepEqual(Object.keys(edit.change.clusters), ['c1']);
+  t.deepEqual(edit.change.group, {});
+});
+
+test('record_cluster_edit skips edits that changed nothing', async (t) => {
+  const { env, cluster_group } = create_env();
+  const history = new ClusterEditHistory();
+  await record_cluster_edit(history, env, cluster_group, 'noop', async () => {});
+  t.false(history.can_undo);
+});
+
+test('undo restores the clusters and leaves later settings alone', async (t) => {
+  const { env, cluster_group } = create_env();
+  const history = new ClusterEditHistory();
+  await record_cluster_edit(history, env, cluster_group, 'add to center', add_center(env, 'c1', 'c.md'));
+  // Changed after the edit, outside the history
+  cluster_group.data.threshold = 0.8;
+
+  const edit = await history.undo(env);
+  t.is(edit.label, 'add to center');
+  t.deepEqual(Object.keys(env.clusters.items.c1.data.center), ['a.md']);
+  t.is(cluster_group.data.threshold, 0.8);
+  t.false(history.can_undo);
+  t.true(history.can_redo);
+  t.is(await history.undo(env), null);
+});
+
+test('redo re-applies the undone edit', async (t) => {
+  const { env, cluster_group } = create_env();
+  const history = new ClusterEditHistory();
+  await record_cluster_edit(history, env, cluster_group, 'add to center', add_center(env, 'c1', 'c.md'));
+  await history.undo(env);
+
+  const edit = await history.redo(env);
+  t.is(edit.label, 'add to center');
+  t.deepEqual(Object.keys(env.clusters.items.c1.data.center), ['a.md', 'c.md']);
+  t.true(history.can_undo);
+  t.false(history.can_redo);
+  t.is(await history.redo(env), null);
+});
+
+test('a new edit clears the redo stack', async (t) => {
+  const { env, cluster_group } = create_env();
+  const history = new ClusterEditHistory();
+  await record_cluster_edit(history, env, cluster_group, 'first', add_center(env, 'c1', 'c.md'));
+  await history.undo(env);
+  t.true(history.can_redo);
+
+  await record_cluster_edit(history, env, cluster_group, 'second', add_center(env, 'c2', 'd.md'));
+  t.false(history.can_redo);
+  t.is(await history.redo(env), null);
+  t.is((await history.undo(env)).label, 'second');
+  t.false(history.can_undo);
+});
+
+test('history keeps at most `limit` edits', async (t) => {
+  const { env, cluster_group } = create_env();
+  const history = new ClusterEditHistory({ limit: 2 });
+  for (const note of ['c.md', 'd.md', 'e.md']) {
+    await record_cluster_edit(history, env, cluster_group, note, add_center(env, 'c1', note));
+  }
+  t.deepEqual(history.undo_stack.map((edit) => edit.label), ['d.md', 'e.md']);
+});
+
+test('undo and redo a cluster group rename', async (t) => {
+  const { env, cluster_group } = create_env();
+  const history = new ClusterEditHistory();
+  await record_cluster_edit(history, env, cluster_group, 'rename cluster group', async () => {
+    cluster_group.data.name = 'Archive';
+    cluster_group.queue_save();
+  });
+  t.deepEqual(history.undo_stack[0].change.group, { name: { before: 'Projects', after: 'Archive' } });
+  t.deepEqual(history.undo_stack[0].change.clusters, {});
+
+  await history.undo(env);
+  t.is(cluster_group.data.name, 'Projects');
+  await history.redo(env);
+  t.is(cluster_group.data.name, 'Archive');
+});
+
+test('undo removes a created cluster and redo brings it back', async (t) => {
+  const { env, cluster_group } = create_env();
+  const history = new ClusterEditHistory();
+  await record_cluster_edit(history, env, cluster_group, 'create cluster', async () => {
+    const cluster = await env.clusters.create_or_update({ key: 'c3', center: { 'c.md': { weight: 1 } } });
+    cluster_group.data = { ...cluster_group.data, clusters: { ...cluster_group.data.clusters, [cluster.key]: {} } };
+  });
+
+  await history.undo(env);
+  t.true(env.clusters.items.c3.deleted);
+  t.deepEqual(Object.keys(cluster_group.data.clusters), ['c1', 'c2']);
+
+  await history.redo(env);
+  t.false(env.clusters.items.c3.deleted);
+  t.deepEqual(Object.keys(cluster_group.data.clusters), ['c1', 'c2', 'c3']);
+});
+
+test('undo only unlinks a cluster that existed before joining the group', async (t) => {
+  const { env, cluster_group } = create_env();
+  const history = new ClusterEditHistory();
+  await record_cluster_edit(history, env, cluster_group, 'add cluster', async () => {
+    cluster_group.data = { ...cluster_group.data, clusters: { ...cluster_group.data.clusters, other: {} } };
+  });
+  t.deepEqual(Object.keys(history.undo_stack[0].change.clusters), []);
+
+  await history.undo(env);
+  t.false(env.clusters.items.other.deleted);
+  t.deepEqual(Object.keys(cluster_group.data.clusters), ['c1', 'c2']);
+});
@@ -0,0 +1,48 @@
+/**
+ * @file impact.js
+ * @description Works out what a destructive cluster edit affects, for the
+ * confirmation dialog: which notes lose their last cluster at the current
+ * threshold.
+ */
+
+/**
+ * Notes that are in at least one of `removed_cluster_keys` at `threshold`
+ * and in no other cluster of `cluster_keys` at that threshold.
+ * @param {Object[]} members - snapshot members
+ * @param {Iterable<string>} removed_cluster_keys
+ * @param {Iterable<string>} cluster_keys - clusters of the group
+ * @param {number} threshold
+ * @returns {string[]} note keys
+ */
+export function get_unclustered_by_removal(members, removed_cluster_keys, cluster_keys, threshold) {
+  const removed = new Set(removed_cluster_keys);
+  const remaining = [...cluster_keys].filter((key) => !removed.has(key));
+  return members
+    .filter((member) => {
+      const clusters = member.clusters || {};
+      const loses = [...removed].some((key) => clusters[key]?.score >= threshold);
+      if (!loses) return false;
+      return !remaining.some((key) => clusters[key]?.score >= threshold);
+    })
+    .map((member) => member.item?.key)
+    .filter(Boolean);
+}
+
+/**
+ * Notes of `note_keys` with no cluster other than `cluster_key` at `threshold`
+ * (they become unclustered when ungrouped from it).
+ * @param {Object[]} members - snapshot members
+ * @param {string} cluster_key
+ * @param {Iterable<string>} note_keys
+ * @param {Iterable<string>} cluster_keys - clusters of the group
+ * @param {number} threshold
+ * @returns {string[]} note keys
+ */
+export function get_unclustered_by_ungroup(members, cluster_key, note_keys, cluster_keys, threshold) {
+  const notes = new Set(note_keys);
+  const others = [...cluster_keys].filter((key) => key !== cluster_key);
+  return members
+    .filter((member) => notes.has(member.item?.key))
+    .filter((member) => !others.some((key) => member.clusters?.[key]?.score >= threshold))
+    .map((member) => member.item.key);
+}
@@ -0,0 +1,147 @@
+/**
+ * @file inspector.js
+ * @description Side panel listing what the selected cluster or note is made of:
+ * a cluster's centers and members by score, or every cluster a note belongs to.
+ * Builds plain details objects from the snapshot and renders them to HTML; the
+ * visualizer binds the row clicks.
+ */
+
+import { escape_html } from './escape.js';
+
+/**
+ * @typedef {Object} InspectorRow
+ * @property {string} key - note key (path) or cluster key
+ * @property {'member'|'center'|'cluster'} type
+ * @property {string|null} [cluster_key] - cluster the row belongs to (centers)
+ * @property {number|null} [score]
+ * @property {boolean} [above] - score at or above the threshold
+ */
+
+/**
+ * Details for a selected cluster: centers, then members sorted by score.
+ * @param {Object} cluster - the cluster (node.cluster)
+ * @param {Object[]} members - snapshot members
+ * @param {number} threshold
+ * @returns {{type:'cluster', key:string, name:string, centers:InspectorRow[], members:InspectorRow[], above_count:number, threshold:number}}
+ */
+export function get_cluster_details(cluster, members, threshold) {
+  const centers = (cluster.centers || []).map((item) => ({
+    key: item.key,
+    type: 'center',
+    cluster_key: cluster.key,
+    score: null,
+  }));
+  const rows = [];
+  members.forEach((member) => {
+    const score = member.clusters?.[cluster.key]?.score;
+    if (typeof score !== 'number' || !member.item?.key) return;
+    rows.push({ key: member.item.key, type: 'member', score, above: score >= threshold });
+  });
+  rows.sort((a, b) => b.score - a.score);
+  return {
+    type: 'cluster',
+    key: cluster.key,
+    name: cluster.name || cluster.key,
+    centers,
+    members: rows,
+    above_count: rows.filter((row) => row.above).length,
+    threshold,
+  };
+}
+
+/**
+ * Details for a selected note: clusters it is a center of, and every cluster
+ * it has a score for (strongest first).
+ * @param {string} note_key
+ * @param {Object[]} members - snapshot members
+ * @param {Object[]} clusters - snapshot clusters
+ * @param {number} threshold
+ * @returns {{type:'note', key:string, center_of:InspectorRow[], clusters:InspectorRow[], above_count:number, threshold:number}}
+ */
+export function get_note_details(note_key, members, clusters, threshold) {
+  const center_of = clusters
+    .filter((cluster) => (cluster.centers || []).some((item) => item.key === note_key))
+    .map((cluster) => ({ key: cluster.key, type: 'cluster', name: cluster.name || cluster.key }));
+  const names = new Map(clusters.map((cluster) => [cluster.key, cluster.name || cluster.key]));
+  const member = members.find((m) => m.item?.key === note_key);
+  const rows = Object.entries(member?.clusters || {})
+    .filter(([cl_key, data]) => names.has(cl_key) && typeof data?.score === 'number')
+    .map(([cl_key, data]) => ({
+      key: cl_key,
+      type: 'cluster',
+      name: names.get(cl_key),
+      score: data.score,
+      above: data.score >= threshold,
+    }))
+    .sort((a, b) => b.score - a.score);
+  return {
+    type: 'note',
+    key: note_key,
+    center_of,
+    clusters: rows,
+    above_count: rows.filter((row) => row.above).length,
+    threshold,
+  };
+}
+
+/**
+ * Renders details to the inspector's inner HTML.
+ * @param {Object|null} details - output of get_cluster_details / get_note_details, or null
+ * @param {Object} opts
+ * @param {(row:InspectorRow) => string} opts.get_label
+ * @param {string} [opts.open_icon='↗']
+ * @param {string} [opts.close_icon='×']
+ * @param {number} [opts.selected_count=0] - shown when several nodes are selected
+ * @param {number} [opts.max_rows=200]
+ * @returns {string}
+ */
+export function build_inspector_html(details, opts) {
+  const { get_label, open_icon = '↗', close_icon = '×', selected_count = 0, max_rows = 200 } = opts;
+  const header = (title) => `
+    <div class="sc-inspector-header">
+      <div class="sc-inspector-title">${title}</div>
+      <button class="sc-inspector-close clickable-icon" aria-label="Close the inspector">${close_icon}</button>
+    </div>`;
+  if (!details) {
+    return `${header(`${selected_count} selected`)}
+    <div class="sc-inspector-meta">Select a single cluster or note to inspect it.</div>`;
+  }
+
+  const row_html = (row) => {
+    const is_note = row.type !== 'cluster';
+    const score = typeof row.score === 'number' ? row.score.toFixed(2) : '';
+    return `
+        <li class="sc-inspector-row${row.above === false ? ' is-below-threshold' : ''}"
+          data-key="${escape_html(row.key)}" data-type="${row.type}"${row.cluster_key ? ` data-cluster-key="${escape_html(row.cluster_key)}"` : ''}
+          tabindex="0" aria-label="Select ${escape_html(get_label(row))} on the canvas">
+          <span class="sc-inspector-name">${escape_html(get_label(row))}</span>
+          <span class="sc-inspector-score">${score}</span>${is_note ? `
+          <button class="sc-inspector-open clickable-icon" aria-label="Open note">${open_icon}</button>` : ''}
+        </li>`;
+  };
+  const section = (title, rows) => {
+    if (!rows.length) return '';
+    const shown = rows.slice(0, max_rows).map(row_html).join('');
+    const more = rows.length > max_rows
+      ? `<li class="sc-inspector-more">and ${rows.length - max_rows} more</li>`
+      : '';
+    return `
+    <div class="sc-inspector-section">
+      <div class="sc-inspector-section-title">${title} (${rows.length})</div>
+      <ul class="sc-inspector-list">${shown}${more}
+      </ul>
+    </div>`;
+  };
+
+  const threshold = details.threshold.toFixed(2);
+  if (details.type === 'cluster') {
+    return `${header(escape_html(get_label({ key: details.key, type: 'cluster', name: details.name })))}
+    <div class="sc-inspector-meta">${details.above_count} of ${details.members.length} members at or above ${threshold}</div>
+    ${section('Centers', details.centers)}
+    ${section('Members', details.members)}`;
+  }
+  return `${header(escape_html(get_label({ key: details.key, type: 'member' })))}
+    <div class="sc-inspector-meta">In ${details.above_count} of ${details.clusters.length} clusters at or above ${threshold}</div>
+    ${section('Center of', details.center_of)}
+    ${section('Clusters', details.clusters)}`;
+}
@@ -0,0 +1,142 @@
+/**
+ * @file keyboard_nav.js
+ * @description Keyboard navigation and screen-reader support for the canvas:
+ * arrow-key traversal between connected nodes and the offscreen ARIA tree
+ * that mirrors clusters and their members (and the notes in no cluster).
+ */
+
+import { escape_html } from './escape.js';
+
+/**
+ * Arrow key → unit direction in simulation coordinates (y grows downward).
+ * @type {Object<string, [number, number]>}
+ */
+export const ARROW_DIRECTIONS = {
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+};
+
+/**
+ * Neighbors of each node: cluster ↔ linked members, cluster ↔ its centers,
+ * and centers ↔ sibling centers.
+ * @param {Object[]} nodes
+ * @param {Object[]} links - with source/target resolved to node objects
+ * @returns {Map<Object, Set<Object>>}
+ */
+export function build_adjacency(nodes, links) {
+  const adjacency = new Map(nodes.map((node) => [node, new Set()]));
+  const connect = (a, b) => {
+    if (!a || !b || a === b) return;
+    adjacency.get(a)?.add(b);
+    adjacency.get(b)?.add(a);
+  };
+  links.forEach((link) => {
+    if (typeof link.source === 'object' && typeof link.target === 'object') connect(link.source, link.target);
+  });
+  nodes.forEach((node) => {
+    if (node.type !== 'cluster') return;
+    (node.children || []).forEach((child) => {
+      connect(node, child);
+      node.children.forEach((sibling) => connect(child, sibling));
+    });
+  });
+  return adjacency;
+}
+
+/**
+ * Candidate closest to `from` within a 60° cone around `direction`; the
+ * cost grows with distance and with the angle off the direction.
+ * @param {Object} from
+ * @param {Iterable<Object>} candidates
+ * @param {[number, number]} direction - unit vector
+ * @param {(node:Object) => boolean} [is_visible]
+ * @returns {Object|null}
+ */
+export function pick_directional_neighbor(from, candidates, direction, is_visible = () => true) {
+  const [ux, uy] = direction;
+  let best = null;
+  let best_cost = Infinity;
+  for (const node of candidates) {
+    if (node === from || !is_visible(node)) continue;
+    if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) continue;
+    const dx = node.x - from.x;
+    const dy = node.y - from.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist === 0) continue;
+    const cos = (dx * ux + dy * uy) / dist;
+    if (cos < 0.5) continue;
+    const cost = dist * (1 + 2 * (1 - cos));
+    if (cost < best_cost) {
+      best = node;
+      best_cost = cost;
+    }
+  }
+  return best;
+}
+
+/**
+ * Builds the offscreen ARIA tree: one treeitem per cluster, with its centers
+ * and linked members as a group, then a group of the notes in no cluster. A
+ * note in several clusters is listed under each, so item ids come from
+ * `get_item_id(node, parent)` and must be unique per (cluster, note) pair.
+ * @param {Object[]} nodes
+ * @param {Map<Object, Set<Object>>} adjacency - output of build_adjacency
+ * @param {Object} opts
+ * @param {(node:Object) => string} opts.get_label
+ * @param {(node:Object, parent:Object|null) => string} opts.get_item_id - parent is the cluster
+ *   the item is listed under, null for top-level and unclustered items
+ * @param {(node:Object) => boolean} opts.is_selected
+ * @returns {string} HTML
+ */
+export function build_aria_tree_html(nodes, adjacency, opts) {
+  const { get_label, get_item_id, is_selected } = opts;
+  const item = (node, parent, level, children_html = '') => `
+      <li role="treeitem" id="${get_item_id(node, parent)}" aria-level="${level}" aria-selected="${is_selected(node)}"${children_html ? ' aria-expanded="true"' : ''}>
+        ${escape_html(describe_node(node, adjacency, get_label))}${children_html}
+      </li>`;
+  const clusters = nodes.filter((node) => node.type === 'cluster');
+  const cluster_items = clusters.map((cluster) => {
+    const centers = cluster.children || [];
+    const members = [...(adjacency.get(cluster) || [])].filter((node) => node.type === 'member');
+    const children = [...centers, ...members].map((node) => item(node, cluster, 2)).join('');
+    return item(cluster, null, 1, children ? `<ul role="group">${children}</ul>` : '');
+  });
+  const unclustered = nodes.filter((node) => (
+    node.type === 'member' && ![...(adjacency.get(node) || [])].some((n) => n.type === 'cluster')
+  ));
+  if (unclustered.length) {
+    cluster_items.push(`
+      <li role="treeitem" aria-level="1" aria-selected="false" aria-expanded="true">
+        Notes in no cluster, ${plural(unclustered.length, 'note')}<ul role="group">${unclustered.map((node) => item(node, null, 2)).join('')}</ul>
+      </li>`);
+  }
+  return `<ul role="tree" aria-label="Clusters and their notes">${cluster_items.join('')}</ul>`;
+}
+
+/**
+ * Short spoken description, e.g. "Cluster Research, 3 centers, 12 notes".
+ * @param {Object} node
+ * @param {Map<Object, Set<Object>>} adjacency
+ * @param {(node:Object) => string} get_label
+ * @returns {string}
+ */
+export function describe_node(node, adjacency, get_label) {
+  const neighbors = [...(adjacency.get(node) || [])];
+  const label = get_label(node);
+  if (node.type === 'cluster') {
+    const centers = (node.children || []).length;
+    const members = neighbors.filter((n) => n.type === 'member').length;
+    return `Cluster ${label}, ${plural(centers, 'center')}, ${plural(members, 'note')}`;
+  }
+  if (node.type === 'center') {
+    return `Center ${label} of cluster ${get_label(node.parent)}`;
+  }
+  const clusters = neighbors.filter((n) => n.type === 'cluster').length;
+  return `Note ${label}, in ${plural(clusters, 'cluster')}`;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
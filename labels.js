@@ -0,0 +1,149 @@
+/**
+ * @file labels.js
+ * @description Always-on label placement for the clusters visualizer.
+ * Labels are placed in screen space by priority; any label overlapping an
+ * already placed one is culled, using a uniform grid as spatial index so
+ * placement stays fast with thousands of nodes.
+ */
+
+import { link_end_id } from './graph_model.js';
+
+/**
+ * Label modes offered in the top bar.
+ * @type {{value: string, label: string}[]}
+ */
+export const LABEL_MODES = [
+  { value: 'off', label: 'No labels' },
+  { value: 'clusters', label: 'Cluster labels' },
+  { value: 'all', label: 'All labels' },
+];
+
+/**
+ * Orders nodes by label priority for `mode`: clusters (largest first), then
+ * members by number of links, then centers. Returns [] for 'off'.
+ * @param {Object[]} nodes
+ * @param {Object[]} links
+ * @param {string} mode
+ * @returns {Object[]}
+ */
+export function order_label_candidates(nodes, links, mode) {
+  if (mode === 'off') return [];
+  const clusters = nodes
+    .filter((n) => n.type === 'cluster')
+    .sort((a, b) => (b.radius || 0) - (a.radius || 0));
+  if (mode !== 'all') return clusters;
+
+  const degree = new Map();
+  links.forEach((link) => {
+    const id = link_end_id(link.target);
+    degree.set(id, (degree.get(id) || 0) + 1);
+  });
+  const members = nodes
+    .filter((n) => n.type === 'member')
+    .sort((a, b) => (degree.get(b.id) || 0) - (degree.get(a.id) || 0));
+  const centers = nodes.filter((n) => n.type === 'center');
+  return [...clusters, ...members, ...centers];
+}
+
+/**
+ * Picks the labels to draw this frame.
+ * Clusters are always labelled (when on screen and not colliding); members
+ * only from `member_min_zoom`, centers only from `center_min_zoom`.
+ * @param {Object[]} candidates - output of order_label_candidates
+ * @param {Object} opts
+ * @param {{k:number, applyX:Function, applyY:Function}} opts.transform
+ * @param {number} opts.width - canvas width
+ * @param {number} opts.height - canvas height
+ * @param {(node:Object) => string} opts.get_text
+ * @param {(text:string, node:Object) => number} opts.measure - text width in px
+ * @param {Set<Object>} [opts.skip] - nodes labelled elsewhere (hover, search)
+ * @param {number} [opts.member_min_zoom=0.8]
+ * @param {number} [opts.center_min_zoom=3]
+ * @param {number} [opts.padding=2]
+ * @returns {{node:Object, text:string, x:number, y:number, width:number, height:number}[]}
+ */
+export function place_labels(candidates, opts) {
+  const {
+    transform,
+    width,
+    height,
+    get_text,
+    measure,
+    skip = new Set(),
+    member_min_zoom = 0.8,
+    center_min_zoom = 3,
+    padding = 2,
+  } = opts;
+  const grid = new LabelGrid(64);
+  const placed = [];
+
+  for (const node of candidates) {
+    if (skip.has(node)) continue;
+    if (node.type === 'member' && transform.k < member_min_zoom) continue;
+    if (node.type === 'center' && transform.k < center_min_zoom) continue;
+    if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) continue;
+
+    const sx = transform.applyX(node.x);
+    const sy = transform.applyY(node.y) - (node.radius || 0) * transform.k - 4;
+    if (sx < -200 || sx > width + 200 || sy < -20 || sy > height + 20) continue;
+
+    const text = get_text(node);
+    if (!text) continue;
+    const label_height = node.type === 'cluster' ? 14 : 12;
+    const label_width = measure(text, node);
+    const box = {
+      x0: sx - label_width / 2 - padding,
+      y0: sy - label_height - padding,
+      x1: sx + label_width / 2 + padding,
+      y1: sy + padding,
+    };
+    if (box.x1 < 0 || box.x0 > width || box.y1 < 0 || box.y0 > height) continue;
+    if (grid.collides(box)) continue;
+    grid.insert(box);
+    placed.push({ node, text, x: sx, y: sy, width: label_width, height: label_height });
+  }
+  return placed;
+}
+
+/**
+ * Uniform grid of axis-aligned boxes for overlap tests.
+ */
+export class LabelGrid {
+  /**
+   * @param {number} cell_size - in px
+   */
+  constructor(cell_size) {
+    this.cell_size = cell_size;
+    this.cells = new Map();
+  }
+
+  *cell_keys(box) {
+    const c0 = Math.floor(box.x0 / this.cell_size);
+    const c1 = Math.floor(box.x1 / this.cell_size);
+    const r0 = Math.floor(box.y0 / this.cell_size);
+    const r1 = Math.floor(box.y1 / this.cell_size);
+    for (let c = c0; c <= c1; c++) {
+      for (let r = r0; r <= r1; r++) yield `${c},${r}`;
+    }
+  }
+
+  insert(box) {
+    for (const key of this.cell_keys(box)) {
+      if (!this.cells.has(key)) this.cells.set(key, []);
+      this.cells.get(key).push(box);
+    }
+  }
+
+  collides(box) {
+    for (const key of this.cell_keys(box)) {
+      const bucket = this.cells.get(key);
+      if (!bucket) continue;
+      for (const other of bucket) {
+        if (box.x0 < other.x1 && box.x1 > other.x0 && box.y0 < other.y1 && box.y1 > other.y0) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+}
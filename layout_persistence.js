@@ -0,0 +1,235 @@
+/**
+ * @file layout_persistence.js
+ * @description Saves and restores node positions, pinned state and map settings
+ * on the cluster group (`cluster_group.data.layout`) so the map keeps its
+ * arrangement between renders. Settings and positions are written separately,
+ * and only when they changed; the zoom transform is kept by the view where it
+ * can (see the view's `save_map_transform`), since it changes on every pan.
+ */
+
+/**
+ * @typedef {Object} SavedLayout
+ * @property {Object<string, {x:number, y:number, fixed?:boolean}>} nodes - keyed by node id
+ * @property {{x:number, y:number, k:number}|null} transform
+ * @property {boolean} pinned
+ * @property {string} mode - layout mode ('force', 'radial' or 'grid')
+ * @property {string} label_mode - 'off', 'clusters' or 'all'
+ * @property {boolean} overview - clusters-only overview (members collapsed into counts)
+ * @property {string} cluster_link_basis - 'centers', 'members' or 'off' (see cluster_links.js)
+ * @property {number} cluster_link_threshold
+ * @property {string} color_mode - see COLOR_MODES in coloring.js
+ * @property {boolean} legend - whether the color legend is shown
+ * @property {string} size_mode - see SIZE_MODES in sizing.js
+ * @property {string} size_scale - 'linear', 'sqrt' or 'log'
+ * @property {number} size_min_radius
+ * @property {number} size_max_radius
+ * @property {boolean} unclustered_lane - notes in no cluster gathered below the map
+ * @property {string} unclustered_sort - see UNCLUSTERED_SORTS in unclustered.js
+ */
+
+/**
+ * Reads the saved layout from the cluster group.
+ * @param {Object} cluster_group
+ * @param {Object} [opts]
+ * @param {{x:number, y:number, k:number}|null} [opts.transform] - viewport kept by the view,
+ *   used instead of the one saved on the group
+ * @returns {SavedLayout}
+ */
+export function get_saved_layout(cluster_group, opts = {}) {
+  const layout = cluster_group?.data?.layout || {};
+  const transform = opts.transform ?? layout.transform;
+  return {
+    nodes: layout.nodes || {},
+    transform: is_valid_transform(transform) ? transform : null,
+    pinned: !!layout.pinned,
+    mode: layout.mode || 'force',
+    label_mode: layout.label_mode || 'clusters',
+    overview: !!layout.overview,
+    cluster_link_basis: layout.cluster_link_basis || 'centers',
+    cluster_link_threshold: typeof layout.cluster_link_threshold === 'number' ? layout.cluster_link_threshold : 0.85,
+    color_mode: layout.color_mode || 'default',
+    legend: layout.legend !== false,
+    size_mode: layout.size_mode || 'default',
+    size_scale: layout.size_scale || 'sqrt',
+    size_min_radius: typeof layout.size_min_radius === 'number' ? layout.size_min_radius : 4,
+    size_max_radius: typeof layout.size_max_radius === 'number' ? layout.size_max_radius : 30,
+    unclustered_lane: !!layout.unclustered_lane,
+    unclustered_sort: layout.unclustered_sort || 'score_desc',
+  };
+}
+
+/**
+ * Writes the map settings (layout mode, labels, colors, sizes...) onto the
+ * cluster group and queues a save when any of them changed. Node positions
+ * are left as saved (see save_layout_positions()).
+ * @param {Object} cluster_group
+ * @param {Object} state
+ * @param {boolean} state.pinned
+ * @param {{x:number, y:number, k:number}} [state.transform] - only when the view can't keep
+ *   the viewport itself; otherwise the saved one is dropped
+ * @param {string} [state.mode='force']
+ * @param {string} [state.label_mode='clusters']
+ * @param {boolean} [state.overview=false]
+ * @param {string} [state.cluster_link_basis='centers']
+ * @param {number} [state.cluster_link_threshold=0.85]
+ * @param {string} [state.color_mode='default']
+ * @param {boolean} [state.legend=true]
+ * @param {string} [state.size_mode='default']
+ * @param {string} [state.size_scale='sqrt']
+ * @param {number} [state.size_min_radius=4]
+ * @param {number} [state.size_max_radius=30]
+ * @param {boolean} [state.unclustered_lane=false]
+ * @param {string} [state.unclustered_sort='score_desc']
+ * @returns {boolean} whether anything changed
+ */
+export function save_layout_settings(cluster_group, state) {
+  const {
+    pinned,
+    transform,
+    mode = 'force',
+    label_mode = 'clusters',
+    overview = false,
+    cluster_link_basis = 'centers',
+    cluster_link_threshold = 0.85,
+    color_mode = 'default',
+    legend = true,
+    size_mode = 'default',
+    size_scale = 'sqrt',
+    size_min_radius = 4,
+    size_max_radius = 30,
+    unclustered_lane = false,
+    unclustered_sort = 'score_desc',
+  } = state;
+  if (!cluster_group?.data) return false;
+  const { nodes = {}, ...previous } = cluster_group.data.layout || {};
+  const settings = {
+    ...(transform ? { transform: round_transform(transform) } : {}),
+    pinned: !!pinned,
+    mode,
+    label_mode,
+    overview: !!overview,
+    cluster_link_basis,
+    cluster_link_threshold,
+    color_mode,
+    legend: !!legend,
+    size_mode,
+    size_scale,
+    size_min_radius,
+    size_max_radius,
+    unclustered_lane: !!unclustered_lane,
+    unclustered_sort,
+  };
+  if (JSON.stringify(settings) === JSON.stringify(previous)) return false;
+  cluster_group.data.layout = { nodes, ...settings };
+  cluster_group.queue_save();
+  return true;
+}
+
+/**
+ * Writes node positions (and which nodes are fixed) onto the cluster group
+ * and queues a save when any of them moved. Center nodes are skipped because
+ * their position derives from the parent cluster.
+ * @param {Object} cluster_group
+ * @param {Object[]} nodes
+ * @param {Object} [opts]
+ * @param {boolean} [opts.keep_missing=false] - keep saved positions of nodes not in `nodes` (e.g. hidden by filters)
+ * @returns {boolean} whether anything changed
+ */
+export function save_layout_positions(cluster_group, nodes, opts = {}) {
+  const { keep_missing = false } = opts;
+  if (!cluster_group?.data) return false;
+  const layout = cluster_group.data.layout || {};
+  const saved_nodes = keep_missing ? { ...(layout.nodes || {}) } : {};
+  nodes.forEach((node) => {
+    if (node.type === 'center') return;
+    if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) return;
+    saved_nodes[node.id] = {
+      x: round(node.x),
+      y: round(node.y),
+      ...(node.fx != null ? { fixed: true } : {}),
+    };
+  });
+  if (JSON.stringify(saved_nodes) === JSON.stringify(layout.nodes || {})) return false;
+  cluster_group.data.layout = { ...layout, nodes: saved_nodes };
+  cluster_group.queue_save();
+  return true;
+}
+
+/**
+ * Viewport in the rounded form it is saved in.
+ * @param {{x:number, y:number, k:number}} transform
+ * @returns {{x:number, y:number, k:number}}
+ */
+export function round_transform(transform) {
+  return { x: round(transform.x), y: round(transform.y), k: transform.k };
+}
+
+/**
+ * Applies saved coordinates to nodes. Nodes without a saved position are
+ * placed near their strongest cluster (when that cluster has a position).
+ * @param {Object[]} nodes
+ * @param {SavedLayout} saved
+ * @param {Object<string, Object>} node_map - cluster/member nodes by id
+ * @param {Object<string, Object>} member_clusters - member key -> member.clusters
+ * @returns {Set<Object>} Nodes whose position came from the saved layout.
+ */
+export function apply_saved_positions(nodes, saved, node_map, member_clusters = {}) {
+  const restored = new Set();
+  nodes.forEach((node) => {
+    const pos = saved.nodes[node.id];
+    if (!pos || node.type === 'center') return;
+    node.x = pos.x;
+    node.y = pos.y;
+    if (saved.pinned || pos.fixed) {
+      node.fx = pos.x;
+      node.fy = pos.y;
+    }
+    restored.add(node);
+  });
+  if (!restored.size) return restored;
+
+  nodes.forEach((node) => {
+    if (node.type !== 'member' || restored.has(node)) return;
+    place_near_strongest_cluster(node, member_clusters[node.id], node_map);
+  });
+  return restored;
+}
+
+/**
+ * Places a member node just outside its highest-scoring cluster node.
+ * Leaves the node untouched when no positioned cluster is found.
+ * @param {Object} node
+ * @param {Object} [clusters] - member.clusters ({[cl_id]: {score}})
+ * @param {Object<string, Object>} node_map
+ * @returns {boolean} Whether the node was placed.
+ */
+export function place_near_strongest_cluster(node, clusters, node_map) {
+  const parent = strongest_cluster_node(clusters, node_map);
+  if (!parent || !Number.isFinite(parent.x)) return false;
+  const angle = Math.random() * 2 * Math.PI;
+  const dist = (parent.radius || 20) + 30 + Math.random() * 30;
+  node.x = parent.x + dist * Math.cos(angle);
+  node.y = parent.y + dist * Math.sin(angle);
+  return true;
+}
+
+function strongest_cluster_node(clusters = {}, node_map) {
+  let best = null;
+  let best_score = -Infinity;
+  Object.entries(clusters).forEach(([cl_id, cl_data]) => {
+    if (!node_map[cl_id] || typeof cl_data?.score !== 'number') return;
+    if (cl_data.score > best_score) {
+      best_score = cl_data.score;
+      best = node_map[cl_id];
+    }
+  });
+  return best;
+}
+
+function is_valid_transform(t) {
+  return !!t && [t.x, t.y, t.k].every(Number.isFinite) && t.k > 0;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
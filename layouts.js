@@ -0,0 +1,247 @@
+/**
+ * @file layouts.js
+ * @description Deterministic layouts for the clusters visualizer. Each function
+ * returns target positions (Map<node, {x, y}>) for cluster and member nodes;
+ * center nodes are left out because they follow their parent cluster.
+ * The force layout is the live d3 simulation itself and has no function here.
+ */
+
+import { link_end_id } from './graph_model.js';
+
+/**
+ * Layout modes offered in the top bar.
+ * @type {{value: string, label: string}[]}
+ */
+export const LAYOUT_MODES = [
+  { value: 'force', label: 'Force' },
+  { value: 'radial', label: 'Radial' },
+  { value: 'grid', label: 'Cluster grid' },
+];
+
+/**
+ * Computes target positions for a static layout mode.
+ * @param {string} mode - 'radial' or 'grid'
+ * @param {Object[]} nodes
+ * @param {Object[]} links
+ * @param {Object} [opts]
+ * @returns {Map<Object, {x:number, y:number}>|null} null for 'force' / unknown modes
+ */
+export function compute_layout(mode, nodes, links, opts = {}) {
+  if (mode === 'radial') return compute_radial_layout(nodes, links, opts);
+  if (mode === 'grid') return compute_grid_layout(nodes, links, opts);
+  return null;
+}
+
+/**
+ * Concentric layout: clusters on an inner ring, each member in its strongest
+ * cluster's sector on an outer ring chosen by score (stronger = closer).
+ * Members without links go on the outermost ring.
+ * @param {Object[]} nodes
+ * @param {Object[]} links
+ * @param {Object} [opts]
+ * @param {number} [opts.rings=4] - Number of score rings.
+ * @param {number} [opts.ring_gap=60]
+ * @param {number} [opts.min_arc=18] - Minimum spacing between members on a ring.
+ * @returns {Map<Object, {x:number, y:number}>}
+ */
+export function compute_radial_layout(nodes, links, opts = {}) {
+  const { rings = 4, ring_gap = 60, min_arc = 18 } = opts;
+  const targets = new Map();
+  const clusters = nodes.filter((n) => n.type === 'cluster');
+  const members = nodes.filter((n) => n.type === 'member');
+  const { best, scores } = summarize_links(links);
+
+  const sector = (2 * Math.PI) / Math.max(clusters.length, 1);
+  const max_cluster_radius = Math.max(20, ...clusters.map((c) => c.radius || 20));
+  const inner = clusters.length > 1
+    ? Math.max(150, (clusters.length * (max_cluster_radius * 2 + 20)) / (2 * Math.PI))
+    : 0;
+  const cluster_angle = new Map();
+  clusters.forEach((cluster, i) => {
+    const angle = i * sector - Math.PI / 2;
+    cluster_angle.set(cluster.id, angle);
+    targets.set(cluster, polar(inner, angle));
+  });
+
+  const min_score = scores.length ? scores.reduce((a, b) => Math.min(a, b)) : 0;
+  const max_score = scores.length ? scores.reduce((a, b) => Math.max(a, b)) : 1;
+  const base = inner + max_cluster_radius;
+  const ring_of = (score) => {
+    if (max_score - min_score < 1e-9) return 0;
+    const t = (max_score - score) / (max_score - min_score);
+    return Math.min(rings - 1, Math.floor(t * rings));
+  };
+
+  // Bucket members by (cluster, ring), strongest first
+  const buckets = new Map();
+  const unlinked = [];
+  members.forEach((member) => {
+    const b = best.get(member.id);
+    if (!b || !cluster_angle.has(b.cluster_id)) {
+      unlinked.push(member);
+      return;
+    }
+    const key = `${b.cluster_id}|${ring_of(b.score)}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push({ member, score: b.score });
+  });
+
+  buckets.forEach((entries, key) => {
+    const [cluster_id, ring_str] = split_bucket_key(key);
+    const ring = Number(ring_str);
+    const center_angle = cluster_angle.get(cluster_id);
+    entries.sort((a, b) => b.score - a.score || compare_ids(a.member, b.member));
+    let radius = base + ring_gap * (ring + 1);
+    let capacity = Math.max(1, Math.floor((sector * 0.9 * radius) / min_arc));
+    let row_start = 0;
+    entries.forEach(({ member }, j) => {
+      if (j - row_start >= capacity) {
+        // Sector is full at this radius: continue slightly further out
+        row_start = j;
+        radius += min_arc;
+        capacity = Math.max(1, Math.floor((sector * 0.9 * radius) / min_arc));
+      }
+      const row_count = Math.min(capacity, entries.length - row_start);
+      const step = min_arc / radius;
+      const offset = (j - row_start - (row_count - 1) / 2) * step;
+      targets.set(member, polar(radius, center_angle + offset));
+    });
+  });
+
+  unlinked.sort(compare_ids);
+  let radius = base + ring_gap * (rings + 1);
+  let capacity = Math.max(1, Math.floor((2 * Math.PI * radius) / min_arc));
+  let row_start = 0;
+  unlinked.forEach((member, j) => {
+    if (j - row_start >= capacity) {
+      row_start = j;
+      radius += min_arc;
+      capacity = Math.max(1, Math.floor((2 * Math.PI * radius) / min_arc));
+    }
+    const row_count = Math.min(capacity, unlinked.length - row_start);
+    targets.set(member, polar(radius, ((j - row_start) / row_count) * 2 * Math.PI - Math.PI / 2));
+  });
+
+  return targets;
+}
+
+/**
+ * Packed tile layout: each cluster gets a tile holding its exclusive members
+ * (linked to that cluster only) in a sunflower spiral, strongest nearest the
+ * cluster. Members shared by several clusters and members without links get
+ * their own tiles. Tiles are shelf-packed in a stable order.
+ * @param {Object[]} nodes
+ * @param {Object[]} links
+ * @param {Object} [opts]
+ * @param {number} [opts.spacing=22] - Distance between neighbouring members.
+ * @param {number} [opts.tile_gap=60]
+ * @returns {Map<Object, {x:number, y:number}>}
+ */
+export function compute_grid_layout(nodes, links, opts = {}) {
+  const { spacing = 22, tile_gap = 60 } = opts;
+  const targets = new Map();
+  const clusters = nodes.filter((n) => n.type === 'cluster');
+  const members = nodes.filter((n) => n.type === 'member');
+  const { best, counts } = summarize_links(links);
+
+  const exclusive = new Map(clusters.map((c) => [c.id, []]));
+  const shared = [];
+  const unlinked = [];
+  members.forEach((member) => {
+    const count = counts.get(member.id) || 0;
+    const b = best.get(member.id);
+    if (count === 1 && exclusive.has(b.cluster_id)) exclusive.get(b.cluster_id).push({ member, score: b.score });
+    else if (count > 1) shared.push({ member, score: b.score });
+    else unlinked.push({ member, score: 0 });
+  });
+
+  const tiles = clusters.map((cluster) => ({ hub: cluster, entries: exclusive.get(cluster.id) }));
+  if (shared.length) tiles.push({ hub: null, entries: shared });
+  if (unlinked.length) tiles.push({ hub: null, entries: unlinked });
+
+  // Sunflower placement inside each tile (relative to the tile center)
+  const golden_angle = Math.PI * (3 - Math.sqrt(5));
+  tiles.forEach((tile) => {
+    tile.entries.sort((a, b) => b.score - a.score || compare_ids(a.member, b.member));
+    const hub_radius = tile.hub ? (tile.hub.radius || 20) + spacing : 0;
+    const offset = (hub_radius / spacing) ** 2;
+    tile.offsets = tile.entries.map((_, i) => {
+      const r = spacing * Math.sqrt(i + offset + 0.5);
+      return polar(r, i * golden_angle);
+    });
+    const outer = tile.entries.length
+      ? spacing * Math.sqrt(tile.entries.length + offset + 0.5)
+      : hub_radius;
+    tile.radius = Math.max(outer, tile.hub?.radius || 0) + spacing / 2;
+  });
+
+  // Shelf packing: fill rows up to roughly the square root of the total area
+  const total_area = tiles.reduce((sum, t) => sum + (2 * t.radius + tile_gap) ** 2, 0);
+  const row_limit = Math.max(Math.sqrt(total_area), ...tiles.map((t) => 2 * t.radius + tile_gap));
+  let x = 0;
+  let y = 0;
+  let row_height = 0;
+  let max_x = 0;
+  tiles.forEach((tile) => {
+    const size = 2 * tile.radius + tile_gap;
+    if (x > 0 && x + size > row_limit) {
+      x = 0;
+      y += row_height;
+      row_height = 0;
+    }
+    tile.cx = x + size / 2;
+    tile.cy = y + size / 2;
+    x += size;
+    row_height = Math.max(row_height, size);
+    max_x = Math.max(max_x, x);
+  });
+  const shift_x = max_x / 2;
+  const shift_y = (y + row_height) / 2;
+
+  tiles.forEach((tile) => {
+    const cx = tile.cx - shift_x;
+    const cy = tile.cy - shift_y;
+    if (tile.hub) targets.set(tile.hub, { x: cx, y: cy });
+    tile.entries.forEach(({ member }, i) => {
+      targets.set(member, { x: cx + tile.offsets[i].x, y: cy + tile.offsets[i].y });
+    });
+  });
+
+  return targets;
+}
+
+/**
+ * Per member: strongest linked cluster and number of linked clusters.
+ * @param {Object[]} links
+ * @returns {{best: Map<string, {cluster_id:string, score:number}>, counts: Map<string, number>, scores: number[]}}
+ */
+function summarize_links(links) {
+  const best = new Map();
+  const counts = new Map();
+  const scores = [];
+  links.forEach((link) => {
+    const cluster_id = link_end_id(link.source);
+    const member_id = link_end_id(link.target);
+    const score = typeof link.score === 'number' ? link.score : 0;
+    scores.push(score);
+    counts.set(member_id, (counts.get(member_id) || 0) + 1);
+    const current = best.get(member_id);
+    if (!current || score > current.score) best.set(member_id, { cluster_id, score });
+  });
+  return { best, counts, scores };
+}
+
+function split_bucket_key(key) {
+  const i = key.lastIndexOf('|');
+  return [key.slice(0, i), key.slice(i + 1)];
+}
+
+function compare_ids(a, b) {
+  const a_id = a.member ? a.member.id : a.id;
+  const b_id = b.member ? b.member.id : b.id;
+  return String(a_id).localeCompare(String(b_id));
+}
+
+function polar(r, angle) {
+  return { x: r * Math.cos(angle), y: r * Math.sin(angle) };
+}
@@ -4,16 +4,25 @@
  * Adds a side panel to visualize Smart Clusters and Cluster Groups.
  */
 
-import { Plugin } from "obsidian";
+import { Plugin, debounce } from "obsidian";
 import {SmartEnv} from "smart-environment";
 import ajson_single_file_data_adapter from "../jsbrains/smart-collections/adapters/ajson_single_file.js";
 // import ajson_multi_file_data_adapter from "../jsbrains/smart-collections/adapters/ajson_multi_file.js";
 import { Clusters, Cluster } from "../jsbrains/smart-clusters/index.js";
 import { ClusterGroups, ClusterGroup } from "../jsbrains/smart-cluster-groups/index.js";
+import { SmartChatModel } from "smart-chat-model";
+import * as chat_adapters from "smart-chat-model/adapters.js";
 
 import { ClustersVisualizerView } from "./clusters_visualizer.obsidian.js";
 import { render as render_clusters_visualizer } from "./dist/clusters_visualizer.js";
 import { CenterSelectModal } from "./center_select_modal.js";
+import { DEFAULT_SETTINGS, SmartVisualizerSettingTab } from "./settings_tab.js";
+
+/**
+ * Settings that change how the map is colored.
+ * @type {string[]}
+ */
+const COLOR_SETTING_KEYS = ["color_property", "color_rules", "high_contrast"];
 /**
  * Main plugin class for Smart Visualizer.
  */
@@ -46,11 +55,20 @@ class SmartVisualizerPlugin extends Plugin {
     }
   };
 
+  /**
+   * Plugin settings, see settings_tab.js.
+   * @type {import('./settings_tab.js').SmartVisualizerSettings}
+   */
+  settings = { ...DEFAULT_SETTINGS };
+
   /**
    * Called by Obsidian when the plugin is first loaded.
    * Registers the Smart Visualizer view and commands.
    */
-  onload() {
+  async onload() {
+    await this.load_settings();
+    this.addSettingTab(new SmartVisualizerSettingTab(this.app, this));
+
     // Attach environment config
     SmartEnv.create(this, {
       global_prop: 'smart_vault_env', 
@@ -80,6 +98,52 @@ class SmartVisualizerPlugin extends Plugin {
       },
     });
 
+    // Undo/redo cluster edits in the active visualizer
+    this.addCommand({
+      id: 'undo-cluster-edit',
+      name: 'Undo last cluster edit',
+      checkCallback: (checking) => {
+        const view = this.app.workspace.getActiveViewOfType(ClustersVisualizerView);
+        if (!view?.get_cluster_history().can_undo) return false;
+        if (!checking) view.undo_cluster_edit();
+        return true;
+      },
+    });
+    this.addCommand({
+      id: 'redo-cluster-edit',
+      name: 'Redo last cluster edit',
+      checkCallback: (checking) => {
+        const view = this.app.workspace.getActiveViewOfType(ClustersVisualizerView);
+        if (!view?.get_cluster_history().can_redo) return false;
+        if (!checking) view.redo_cluster_edit();
+        return true;
+      },
+    });
+
+    // Name unnamed clusters in the active visualizer
+    this.addCommand({
+      id: 'auto-name-clusters',
+      name: 'Name unnamed clusters',
+      checkCallback: (checking) => {
+        const view = this.app.workspace.getActiveViewOfType(ClustersVisualizerView);
+        if (!view?.clusters_visualizer_auto_name) return false;
+        if (!checking) view.clusters_visualizer_auto_name();
+        return true;
+      },
+    });
+
+    // Suggest clusters from embeddings in the active visualizer
+    this.addCommand({
+      id: 'suggest-clusters',
+      name: 'Suggest clusters',
+      checkCallback: (checking) => {
+        const view = this.app.workspace.getActiveViewOfType(ClustersVisualizerView);
+        if (!view?.clusters_visualizer_suggest) return false;
+        if (!checking) view.suggest_clusters();
+        return true;
+      },
+    });
+
     this.registerView(ClustersVisualizerView.view_type, (leaf) => new ClustersVisualizerView(leaf, this));
     this.addRibbonIcon('git-fork', 'Open smart connections visualizer', (evt) => {
       this.open_connections_visualizer();
@@ -93,6 +157,53 @@ class SmartVisualizerPlugin extends Plugin {
     ClustersVisualizerView.open(this.app.workspace);
   }
 
+  async load_settings() {
+    this.settings = { ...DEFAULT_SETTINGS, ...(await this.loadData()) };
+    this.color_settings = get_color_settings(this.settings);
+  }
+
+  async save_settings() {
+    await this.saveData(this.settings);
+    this.chat_model = null; // rebuilt with the new settings on next use
+    // Open maps pick up new color settings, once typing in a color field pauses
+    const color_settings = get_color_settings(this.settings);
+    if (color_settings !== this.color_settings) {
+      this.color_settings = color_settings;
+      this.recolor_views();
+    }
+  }
+
+  recolor_views = debounce(() => {
+    this.app.workspace.getLeavesOfType(ClustersVisualizerView.view_type).forEach((leaf) => {
+      leaf.view?.clusters_visualizer_recolor?.();
+    });
+  }, 300, true);
+
+  /**
+   * Sends one user message to the chat model configured in the settings.
+   * @param {string} prompt
+   * @returns {Promise<string>} reply text
+   */
+  async complete_chat(prompt) {
+    const { chat_platform, chat_model, chat_api_key } = this.settings;
+    const adapter = chat_adapters[chat_platform];
+    if (!adapter) throw new Error(`Unknown chat platform "${chat_platform}" in the Smart Visualizer settings`);
+    if (!this.chat_model) {
+      this.chat_model = new SmartChatModel({
+        adapters: { [chat_platform]: adapter },
+        settings: {
+          adapter: chat_platform,
+          [chat_platform]: { model_key: chat_model, api_key: chat_api_key },
+        },
+      });
+    }
+    // Adapters normalize every platform's reply to the OpenAI response shape
+    const response = await this.chat_model.complete({
+      messages: [{ role: "user", content: prompt }],
+    });
+    return response?.choices?.[0]?.message?.content || "";
+  }
+
   /**
    * Called by Obsidian when the plugin is unloaded.
    */
@@ -101,7 +212,6 @@ class SmartVisualizerPlugin extends Plugin {
       this.env?.unload_main("smart_visualizer_plugin");
       this.env._components = {}; // clear component cache
     }
-    console.log("unloaded smart_visualizer_plugin");
   }
 
 
@@ -115,4 +225,8 @@ class SmartVisualizerPlugin extends Plugin {
 
 }
 
+function get_color_settings(settings) {
+  return JSON.stringify(COLOR_SETTING_KEYS.map((key) => settings[key]));
+}
+
 export default SmartVisualizerPlugin;
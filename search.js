@@ -0,0 +1,78 @@
+/**
+ * @file search.js
+ * @description Fuzzy matching of visualizer nodes (member keys, center keys
+ * and cluster names) for the search box.
+ */
+
+/**
+ * Scores `text` against `query` as an in-order, case-insensitive subsequence.
+ * Consecutive characters, word starts and matches in the file name score
+ * higher; shorter texts win ties.
+ * @param {string} query
+ * @param {string} text
+ * @returns {number|null} null when not all query characters are found in order.
+ */
+export function fuzzy_score(query, text) {
+  const q = String(query || '').toLowerCase().replace(/\s+/g, '');
+  const t = String(text || '').toLowerCase();
+  if (!q) return null;
+  const name_start = t.lastIndexOf('/') + 1;
+  const exact_at = t.indexOf(q, name_start);
+  if (exact_at !== -1) {
+    // Substring of the file name: best possible class of match
+    return 1000 - exact_at + name_start - length_penalty(t);
+  }
+
+  let score = 0;
+  let ti = 0;
+  let prev = -2;
+  for (let qi = 0; qi < q.length; qi++) {
+    const ch = q[qi];
+    while (ti < t.length && t[ti] !== ch) ti++;
+    if (ti >= t.length) return null;
+    let bonus = 1;
+    if (ti === prev + 1) bonus += 5;
+    if (ti === 0 || /[\s/_\-.#]/.test(t[ti - 1])) bonus += 3;
+    if (ti >= name_start) bonus += 2;
+    score += bonus;
+    prev = ti;
+    ti++;
+  }
+  return score - length_penalty(t);
+}
+
+/**
+ * Text a node is searched by: clusters by their label, notes by their key.
+ * @param {Object} node
+ * @param {(node:Object) => string} [get_label] - the label shown on the map
+ * @returns {string}
+ */
+export function get_node_search_text(node, get_label) {
+  if (node.type === 'cluster') return get_label?.(node) || node.cluster?.data?.name || node.cluster?.name || node.id;
+  return node.item?.key || node.id;
+}
+
+/**
+ * Finds nodes matching `query`, best match first.
+ * @param {Object[]} nodes
+ * @param {string} query
+ * @param {Object} [opts]
+ * @param {number} [opts.limit=200]
+ * @param {(node:Object) => string} [opts.get_label] - cluster labels, see get_node_search_text()
+ * @returns {Object[]} Matching nodes.
+ */
+export function search_nodes(nodes, query, opts = {}) {
+  const { limit = 200, get_label } = opts;
+  if (!String(query || '').trim()) return [];
+  return nodes
+    .map((node) => ({ node, score: fuzzy_score(query, get_node_search_text(node, get_label)) }))
+    .filter((r) => r.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((r) => r.node);
+}
+
+// Tie-breaker for shorter texts; always under 1, the least a matched character scores
+function length_penalty(text) {
+  return text.length / (text.length + 100);
+}
@@ -0,0 +1,226 @@
+/**
+ * @file settings_tab.js
+ * @description Plugin settings (stored with Obsidian's plugin data) and their settings tab.
+ */
+
+import { PluginSettingTab, Setting } from 'obsidian';
+import { COLOR_RULE_TYPES } from './coloring.js';
+
+/**
+ * @typedef {Object} SmartVisualizerSettings
+ * @property {boolean} confirm_destructive_actions - Ask before removing clusters, ungrouping or deleting groups.
+ * @property {string[]} skipped_confirmations - Kinds of confirmation turned off with "Don't ask again".
+ * @property {boolean} auto_name_clusters - Name clusters created from the map automatically.
+ * @property {'local'|'chat'} cluster_naming - Name from note terms, or ask a chat model.
+ * @property {string} chat_platform - smart-chat-model adapter key, e.g. "openai".
+ * @property {string} chat_model - Model key for the platform.
+ * @property {string} chat_api_key
+ * @property {string} color_property - Frontmatter key used by "Color by property".
+ * @property {import('./coloring.js').ColorRule[]} color_rules - Fixed colors for folders, tags or properties.
+ * @property {boolean} high_contrast - Stronger links, labels and outlines on the map.
+ */
+
+/** @type {SmartVisualizerSettings} */
+export const DEFAULT_SETTINGS = {
+  confirm_destructive_actions: true,
+  skipped_confirmations: [],
+  auto_name_clusters: true,
+  cluster_naming: 'local',
+  chat_platform: 'openai',
+  chat_model: 'gpt-4o-mini',
+  chat_api_key: '',
+  color_property: 'status',
+  color_rules: [],
+  high_contrast: false,
+};
+
+/**
+ * Settings tab for the Smart Visualizer plugin.
+ */
+export class SmartVisualizerSettingTab extends PluginSettingTab {
+  /**
+   * @param {import('obsidian').App} app
+   * @param {Object} plugin - expects `settings` and `save_settings()`
+   */
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+  }
+
+  display() {
+    const { containerEl } = this;
+    containerEl.empty();
+
+    new Setting(containerEl)
+      .setName('Confirm destructive actions')
+      .setDesc('Ask before removing clusters, ungrouping notes from a cluster or deleting a cluster group, with a preview of what is affected.')
+      .addToggle((toggle) => toggle
+        .setValue(this.plugin.settings.confirm_destructive_actions)
+        .onChange(async (value) => {
+          this.plugin.settings.confirm_destructive_actions = value;
+          await this.plugin.save_settings();
+        }));
+
+    const skipped = this.plugin.settings.skipped_confirmations || [];
+    if (skipped.length) {
+      new Setting(containerEl)
+        .setName('Skipped confirmations')
+        .setDesc(`"Don't ask again" is on for ${skipped.length} kind${skipped.length === 1 ? '' : 's'} of confirmation.`)
+        .addButton((button) => button
+          .setButtonText('Ask again')
+          .onClick(async () => {
+            this.plugin.settings.skipped_confirmations = [];
+            await this.plugin.save_settings();
+            this.display();
+          }));
+    }
+
+    this.display_color_settings(containerEl);
+
+    new Setting(containerEl).setName('Cluster names').setHeading();
+
+    new Setting(containerEl)
+      .setName('Name new clusters automatically')
+      .setDesc('Give clusters created or accepted on the map a name based on their notes. You can always rename a cluster from its right-click menu.')
+      .addToggle((toggle) => toggle
+        .setValue(this.plugin.settings.auto_name_clusters)
+        .onChange(async (value) => {
+          this.plugin.settings.auto_name_clusters = value;
+          await this.plugin.save_settings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Naming method')
+      .setDesc('Local naming picks the words from titles, headings and tags that set a cluster apart from the others. A chat model sends note titles and tags to the model below.')
+      .addDropdown((dropdown) => dropdown
+        .addOption('local', 'Local (note terms)')
+        .addOption('chat', 'Chat model')
+        .setValue(this.plugin.settings.cluster_naming)
+        .onChange(async (value) => {
+          this.plugin.settings.cluster_naming = value;
+          await this.plugin.save_settings();
+          this.display();
+        }));
+
+    if (this.plugin.settings.cluster_naming !== 'chat') return;
+
+    new Setting(containerEl)
+      .setName('Chat platform')
+      .setDesc('Adapter key of smart-chat-model, e.g. openai, anthropic, ollama.')
+      .addText((text) => text
+        .setValue(this.plugin.settings.chat_platform)
+        .onChange(async (value) => {
+          this.plugin.settings.chat_platform = value.trim();
+          await this.plugin.save_settings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Chat model')
+      .addText((text) => text
+        .setValue(this.plugin.settings.chat_model)
+        .onChange(async (value) => {
+          this.plugin.settings.chat_model = value.trim();
+          await this.plugin.save_settings();
+        }));
+
+    new Setting(containerEl)
+      .setName('API key')
+      .setDesc('Stored in this plugin\'s data.json. Leave empty for local models.')
+      .addText((text) => {
+        text.inputEl.type = 'password';
+        text
+          .setValue(this.plugin.settings.chat_api_key)
+          .onChange(async (value) => {
+            this.plugin.settings.chat_api_key = value.trim();
+            await this.plugin.save_settings();
+          });
+      });
+  }
+
+  /**
+   * "Color by property" key and the list of color rules.
+   * @param {HTMLElement} containerEl
+   */
+  display_color_settings(containerEl) {
+    new Setting(containerEl).setName('Colors').setHeading();
+
+    new Setting(containerEl)
+      .setName('High contrast')
+      .setDesc('Brighter links and labels, thicker outlines, and dimmed notes that stay visible. Map colors otherwise follow the current theme.')
+      .addToggle((toggle) => toggle
+        .setValue(this.plugin.settings.high_contrast)
+        .onChange(async (value) => {
+          this.plugin.settings.high_contrast = value;
+          await this.plugin.save_settings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Property to color by')
+      .setDesc('Frontmatter key used when the map is set to "Color by property".')
+      .addText((text) => text
+        .setPlaceholder('status')
+        .setValue(this.plugin.settings.color_property)
+        .onChange(async (value) => {
+          this.plugin.settings.color_property = value.trim();
+          await this.plugin.save_settings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Color rules')
+      .setDesc('Notes matching a rule get its color in every "color by" mode. The first matching rule wins.')
+      .addButton((button) => button
+        .setButtonText('Add rule')
+        .onClick(async () => {
+          this.plugin.settings.color_rules = [
+            ...(this.plugin.settings.color_rules || []),
+            { type: 'folder', value: '', color: '#e15759' },
+          ];
+          await this.plugin.save_settings();
+          this.display();
+        }));
+
+    (this.plugin.settings.color_rules || []).forEach((rule, i) => {
+      const rules = this.plugin.settings.color_rules;
+      new Setting(containerEl)
+        .setClass('sc-color-rule')
+        .addDropdown((dropdown) => {
+          COLOR_RULE_TYPES.forEach(({ value, label }) => dropdown.addOption(value, label));
+          dropdown.setValue(rule.type).onChange(async (value) => {
+            rule.type = value;
+            await this.plugin.save_settings();
+          });
+        })
+        .addText((text) => text
+          .setPlaceholder(rule.type === 'property' ? 'status=done' : rule.type === 'tag' ? '#project' : 'Projects/Active')
+          .setValue(rule.value)
+          .onChange(async (value) => {
+            rule.value = value.trim();
+            await this.plugin.save_settings();
+          }))
+        .addColorPicker((picker) => picker
+          .setValue(rule.color)
+          .onChange(async (value) => {
+            rule.color = value;
+            await this.plugin.save_settings();
+          }))
+        .addExtraButton((button) => button
+          .setIcon('arrow-up')
+          .setTooltip('Move up')
+          .setDisabled(i === 0)
+          .onClick(async () => {
+            if (i === 0) return;
+            [rules[i - 1], rules[i]] = [rules[i], rules[i - 1]];
+            await this.plugin.save_settings();
+            this.display();
+          }))
+        .addExtraButton((button) => button
+          .setIcon('trash-2')
+          .setTooltip('Remove rule')
+          .onClick(async () => {
+            rules.splice(i, 1);
+            await this.plugin.save_settings();
+            this.display();
+          }));
+    });
+  }
+}
@@ -0,0 +1,333 @@
+/**
+ * @file simulation.js
+ * @description Force simulation used by the clusters visualizer. Runs the d3
+ * simulation in a Web Worker (force_worker.js) when workers are available and
+ * falls back to a main-thread d3 simulation otherwise, behind one small
+ * d3-like API (`on`, `alpha`, `alphaTarget`, `restart`, `stop`).
+ */
+
+import * as d3 from 'd3';
+import {
+  apply_forces,
+  apply_link_force,
+  create_distance_scale,
+} from './forces.js';
+
+/* global FORCE_WORKER_SOURCE */
+
+/**
+ * Creates the visualizer simulation for `nodes`/`links`.
+ * Node objects are updated in place as the simulation runs; nodes with
+ * `fx`/`fy` set on the main thread are treated as fixed (call `sync_fixed()`
+ * after changing them).
+ * @param {Object[]} nodes
+ * @param {Object[]} links
+ * @param {Object} opts
+ * @param {[number, number]} opts.distance_domain - see get_distance_domain()
+ * @param {boolean} [opts.use_worker=true]
+ * @returns {ForceSimulation}
+ */
+export function create_simulation(nodes, links, opts) {
+  return new ForceSimulation(nodes, links, opts);
+}
+
+/**
+ * Facade over a worker or local backend. If the worker fails at runtime the
+ * facade swaps in a LocalBackend and carries on from the current positions.
+ */
+export class ForceSimulation {
+  constructor(nodes, links, opts) {
+    this.opts = opts;
+    this.nodes = nodes;
+    this.links = links;
+    this.handlers = {};
+    const worker = opts.use_worker === false ? null : create_force_worker();
+    this.backend = worker
+      ? new WorkerBackend(worker, this, () => this.fall_back())
+      : new LocalBackend(this);
+  }
+
+  get is_worker() { return this.backend instanceof WorkerBackend; }
+
+  on(name, handler) {
+    this.handlers[name] = handler;
+    return this;
+  }
+
+  emit(name) {
+    this.handlers[name]?.();
+  }
+
+  alpha(value) {
+    if (value === undefined) return this.backend.get_alpha();
+    this.backend.control({ alpha: value });
+    return this;
+  }
+
+  alphaTarget(value) {
+    this.backend.control({ alpha_target: value });
+    return this;
+  }
+
+  restart() {
+    this.backend.control({ restart: true });
+    return this;
+  }
+
+  stop() {
+    this.backend.control({ stop: true });
+    return this;
+  }
+
+  /**
+   * Replaces nodes and links (same array objects may be passed after in-place edits).
+   */
+  set_graph(nodes, links) {
+    this.nodes = nodes;
+    this.links = links;
+    this.backend.set_graph(nodes, links);
+    return this;
+  }
+
+  /**
+   * Replaces the link force. `recenter` adds the centering forces used after threshold changes.
+   */
+  set_links(links, { recenter = false } = {}) {
+    this.links = links;
+    this.backend.set_links(links, { recenter });
+    return this;
+  }
+
+  /**
+   * Pushes main-thread `fx`/`fy` of `changed` nodes (default: all) to the backend.
+   * @param {Iterable<Object>} [changed]
+   */
+  sync_fixed(changed) {
+    this.backend.sync_fixed(changed);
+    return this;
+  }
+
+  /**
+   * Ticks without rendering until alpha drops below `min_alpha` or `max_iter` ticks.
+   * @returns {Promise<number>} ticks run
+   */
+  prerun(max_iter = 100, min_alpha = 0.1) {
+    return this.backend.prerun(max_iter, min_alpha);
+  }
+
+  dispose() {
+    this.backend.dispose();
+  }
+
+  fall_back() {
+    console.warn('clusters visualizer: force worker failed, running simulation on the main thread');
+    const previous = this.backend;
+    this.backend = new LocalBackend(this);
+    previous.dispose();
+    previous.resolve_pending(0);
+    this.backend.control({ alpha: 0.3, restart: true });
+  }
+}
+
+/**
+ * d3.forceSimulation on the main thread.
+ */
+class LocalBackend {
+  constructor(owner) {
+    this.owner = owner;
+    this.distance_scale = create_distance_scale(owner.opts.distance_domain);
+    this.simulation = apply_forces(d3.forceSimulation(owner.nodes), owner.links, this.distance_scale)
+      .stop()
+      .on('tick', () => owner.emit('tick'))
+      .on('end', () => owner.emit('end'));
+    this.recentered = false;
+  }
+  get_alpha() { return this.simulation.alpha(); }
+  control({ alpha, alpha_target, stop, restart }) {
+    if (typeof alpha === 'number') this.simulation.alpha(alpha);
+    if (typeof alpha_target === 'number') this.simulation.alphaTarget(alpha_target);
+    if (stop) this.simulation.stop();
+    if (restart) this.simulation.restart();
+  }
+  set_graph(nodes, links) {
+    this.simulation.nodes(nodes);
+    apply_link_force(this.simulation, links, this.distance_scale, { recenter: this.recentered });
+  }
+  set_links(links, { recenter }) {
+    if (recenter) this.recentered = true;
+    apply_link_force(this.simulation, links, this.distance_scale, { recenter });
+  }
+  sync_fixed() { /* nodes are shared with the simulation */ }
+  prerun(max_iter, min_alpha) {
+    let i = 0;
+    while (this.simulation.alpha() > min_alpha && i < max_iter) {
+      this.simulation.tick();
+      i++;
+    }
+    return Promise.resolve(i);
+  }
+  resolve_pending() {}
+  dispose() { this.simulation.stop(); }
+}
+
+/**
+ * Simulation in a Web Worker.
+ *
+ * main → worker:
+ * - `init` / `graph` {nodes, links, distance_domain, generation}: nodes as plain objects,
+ *   links by node index; `generation` counts graph changes
+ * - `links` {links, recenter}
+ * - `fixed` {indices|null, values: Float64Array} fx/fy pairs, NaN = free
+ * - `control` {alpha?, alpha_target?, stop?, restart?}
+ * - `prerun` {max_iter, min_alpha}
+ *
+ * worker → main:
+ * - `tick` {positions: Float64Array, alpha, generation}
+ * - `prerun` {ticks, alpha}
+ * - `end`
+ *
+ * Ticks carry the generation of the graph they were computed for; ticks still
+ * in flight from before a `graph` message are dropped.
+ */
+class WorkerBackend {
+  constructor(worker, owner, on_error) {
+    this.worker = worker;
+    this.owner = owner;
+    this.alpha = 1;
+    this.generation = 0;
+    this.pending_preruns = [];
+    this.worker.onmessage = (event) => this.on_message(event.data);
+    this.worker.onerror = (event) => {
+      event.preventDefault?.();
+      on_error();
+    };
+    this.post({
+      type: 'init',
+      ...this.serialize(owner.nodes, owner.links),
+      distance_domain: owner.opts.distance_domain,
+      generation: this.generation,
+    });
+  }
+  get_alpha() { return this.alpha; }
+  control(msg) {
+    if (typeof msg.alpha === 'number') this.alpha = msg.alpha;
+    this.post({ type: 'control', ...msg });
+  }
+  set_graph(nodes, links) {
+    this.generation++;
+    this.post({ type: 'graph', ...this.serialize(nodes, links), generation: this.generation });
+  }
+  set_links(links, { recenter }) {
+    this.post({ type: 'links', links: this.serialize_links(links), recenter });
+  }
+  sync_fixed(changed) {
+    const list = changed ? Array.from(changed) : null;
+    const count = list ? list.length : this.owner.nodes.length;
+    const indices = list ? new Int32Array(count) : null;
+    const values = new Float64Array(count * 2);
+    for (let k = 0; k < count; k++) {
+      const node = list ? list[k] : this.owner.nodes[k];
+      if (indices) indices[k] = this.index.get(node) ?? -1;
+      values[2 * k] = node.fx ?? NaN;
+      values[2 * k + 1] = node.fy ?? NaN;
+    }
+    const transfer = indices ? [values.buffer, indices.buffer] : [values.buffer];
+    this.post({ type: 'fixed', indices, values }, transfer);
+  }
+  prerun(max_iter, min_alpha) {
+    return new Promise((resolve) => {
+      this.pending_preruns.push(resolve);
+      this.post({ type: 'prerun', max_iter, min_alpha });
+    });
+  }
+  on_message(msg) {
+    if (msg.type === 'tick') {
+      if (msg.generation !== this.generation) return; // computed for a previous graph
+      this.apply_positions(msg.positions);
+      this.alpha = msg.alpha;
+      this.owner.emit('tick');
+    } else if (msg.type === 'prerun') {
+      this.alpha = msg.alpha;
+      this.pending_preruns.shift()?.(msg.ticks);
+    } else if (msg.type === 'end') {
+      this.owner.emit('end');
+    }
+  }
+  apply_positions(positions) {
+    const nodes = this.owner.nodes;
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i];
+      if (node.fx != null) {
+        // main thread owns fixed nodes (as d3 does on tick)
+        node.x = node.fx;
+        node.y = node.fy;
+        continue;
+      }
+      const x = positions[2 * i];
+      const y = positions[2 * i + 1];
+      if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+      node.x = x;
+      node.y = y;
+    }
+  }
+  /**
+   * Plain copies of nodes, plus links resolved to node indices. Main-thread
+   * link objects are resolved to node objects too, as d3.forceLink would.
+   */
+  serialize(nodes, links) {
+    this.index = new Map(nodes.map((node, i) => [node, i]));
+    const payload_nodes = nodes.map((node) => ({
+      id: node.id,
+      type: node.type,
+      x: node.x,
+      y: node.y,
+      fx: node.fx ?? NaN,
+      fy: node.fy ?? NaN,
+      parent: node.type === 'center' ? (this.index.get(node.parent) ?? -1) : -1,
+      offset_angle: node.offsetAngle || 0,
+      offset_dist: node.offsetDist || 0,
+    }));
+    return { nodes: payload_nodes, links: this.serialize_links(links) };
+  }
+  serialize_links(links) {
+    // Last node wins for duplicate ids, matching d3.forceLink's id lookup
+    const by_id = new Map(this.owner.nodes.map((node) => [node.id, node]));
+    const payload = [];
+    links.forEach((link) => {
+      const source = typeof link.source === 'object' ? by_id.get(link.source.id) : by_id.get(link.source);
+      const target = typeof link.target === 'object' ? by_id.get(link.target.id) : by_id.get(link.target);
+      if (!source || !target) return;
+      link.source = source;
+      link.target = target;
+      payload.push({ source: this.index.get(source), target: this.index.get(target), score: link.score });
+    });
+    return payload;
+  }
+  post(msg, transfer = []) {
+    this.worker.postMessage(msg, transfer);
+  }
+  resolve_pending(ticks) {
+    this.pending_preruns.splice(0).forEach((resolve) => resolve(ticks));
+  }
+  dispose() {
+    this.worker.terminate();
+    if (this.worker.blob_url) URL.revokeObjectURL(this.worker.blob_url);
+  }
+}
+
+/**
+ * Starts force_worker.js from the source inlined at build time.
+ * @returns {Worker|null} null when workers are unavailable (fallback to main thread)
+ */
+function create_force_worker() {
+  if (typeof Worker === 'undefined' || typeof FORCE_WORKER_SOURCE !== 'string') return null;
+  try {
+    const blob_url = URL.createObjectURL(new Blob([FORCE_WORKER_SOURCE], { type: 'text/javascript' }));
+    const worker = new Worker(blob_url);
+    worker.blob_url = blob_url;
+    return worker;
+  } catch (err) {
+    console.warn('clusters visualizer: could not start force worker', err);
+    return null;
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * @file sizing.js
+ * @description "Size by" modes for the map: node radius from a note metric
+ * (word count, backlinks, number of clusters, best cluster score) or, for
+ * clusters, their member count, on a linear, square-root or log scale
+ * between a minimum and maximum radius.
+ */
+
+import { get_default_radius } from './graph_model.js';
+
+/**
+ * Size modes offered in the top bar. `applies_to` is the node type that is
+ * resized; every other node keeps its default radius.
+ * @type {{value: string, label: string, applies_to?: 'member'|'cluster'}[]}
+ */
+export const SIZE_MODES = [
+  { value: 'default', label: 'Default sizes' },
+  { value: 'word_count', label: 'Size by word count', applies_to: 'member' },
+  { value: 'backlinks', label: 'Size by backlinks', applies_to: 'member' },
+  { value: 'cluster_count', label: 'Size by cluster count', applies_to: 'member' },
+  { value: 'max_score', label: 'Size by best score', applies_to: 'member' },
+  { value: 'member_count', label: 'Size clusters by notes', applies_to: 'cluster' },
+];
+
+/**
+ * Scales mapping a metric onto the radius range.
+ * @type {{value: string, label: string}[]}
+ */
+export const SIZE_SCALES = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'sqrt', label: 'Square root' },
+  { value: 'log', label: 'Log' },
+];
+
+/**
+ * Bounds of the min/max radius controls.
+ * @type {{min: number, max: number}}
+ */
+export const RADIUS_LIMITS = { min: 2, max: 80 };
+
+const SCALE_FUNCTIONS = {
+  linear: (v) => v,
+  sqrt: Math.sqrt,
+  log: Math.log1p,
+};
+
+/**
+ * Per-member metric from snapshot memberships.
+ * - 'cluster_count': clusters with a score at or above `threshold`
+ * - 'max_score': best score across all clusters
+ * @param {Object[]} members - snapshot members
+ * @param {'cluster_count'|'max_score'} mode
+ * @param {number} threshold
+ * @returns {Map<string, number>} member key → value
+ */
+export function get_membership_metrics(members, mode, threshold) {
+  const values = new Map();
+  members.forEach((member) => {
+    const scores = Object.values(member.clusters || {})
+      .map((data) => data?.score)
+      .filter((score) => typeof score === 'number');
+    const value = mode === 'max_score'
+      ? (scores.length ? Math.max(...scores) : 0)
+      : scores.filter((score) => score >= threshold).length;
+    values.set(member.item?.key, value);
+  });
+  return values;
+}
+
+/**
+ * Radius of every node for `mode`. Nodes the mode applies to are mapped from
+ * their metric onto [min_radius, max_radius]; nodes without a value get
+ * `min_radius`, and all other nodes their default radius.
+ * @param {Object[]} nodes
+ * @param {Object} opts
+ * @param {string} opts.mode - see SIZE_MODES
+ * @param {Map<string, number>} [opts.metrics] - node id → metric value
+ * @param {'linear'|'sqrt'|'log'} [opts.scale='sqrt']
+ * @param {number} [opts.min_radius=4]
+ * @param {number} [opts.max_radius=30]
+ * @returns {Map<Object, number>}
+ */
+export function compute_node_sizes(nodes, opts) {
+  const { mode, metrics = new Map(), scale = 'sqrt' } = opts;
+  const min_radius = clamp_radius(opts.min_radius ?? 4);
+  const max_radius = Math.max(min_radius, clamp_radius(opts.max_radius ?? 30));
+  const applies_to = SIZE_MODES.find((m) => m.value === mode)?.applies_to;
+  const sizes = new Map();
+  const sized = applies_to ? nodes.filter((node) => node.type === applies_to) : [];
+
+  const values = sized
+    .map((node) => metrics.get(node.id))
+    .filter((value) => Number.isFinite(value));
+  const lo = values.length ? Math.min(...values) : 0;
+  const hi = values.length ? Math.max(...values) : 0;
+  const fn = SCALE_FUNCTIONS[scale] || SCALE_FUNCTIONS.sqrt;
+  // Shift to start at 0 so sqrt/log behave for any range, e.g. scores of 0.6–0.9
+  const span = fn(hi - lo);
+  const to_radius = (value) => {
+    const t = span > 0 ? fn(value - lo) / span : 0.5;
+    return min_radius + t * (max_radius - min_radius);
+  };
+
+  sized.forEach((node) => {
+    const value = metrics.get(node.id);
+    sizes.set(node, Number.isFinite(value) ? to_radius(value) : min_radius);
+  });
+  nodes.forEach((node) => {
+    if (!sizes.has(node)) sizes.set(node, get_default_radius(node));
+  });
+  return sizes;
+}
+
+function clamp_radius(value) {
+  const radius = Number(value);
+  if (!Number.isFinite(radius)) return RADIUS_LIMITS.min;
+  return Math.min(RADIUS_LIMITS.max, Math.max(RADIUS_LIMITS.min, radius));
+}
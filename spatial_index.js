@@ -0,0 +1,98 @@
+/**
+ * @file spatial_index.js
+ * @description Quadtree over node positions for hit-testing (hover, click,
+ * drag, zoom filtering) and box selection without scanning every node.
+ * The index is a snapshot: rebuild it after nodes move.
+ */
+
+import * as d3 from 'd3';
+
+/**
+ * @typedef {Object} SpatialIndex
+ * @property {d3.Quadtree<Object>} tree
+ * @property {number} max_radius - largest node radius, bounds point queries
+ * @property {Map<Object, number>} order - draw order (later = on top)
+ */
+
+/**
+ * Builds a spatial index of `nodes` at their current positions.
+ * Nodes without finite coordinates are left out.
+ * @param {Object[]} nodes
+ * @returns {SpatialIndex}
+ */
+export function create_spatial_index(nodes) {
+  const order = new Map();
+  let max_radius = 0;
+  const positioned = [];
+  nodes.forEach((node, i) => {
+    if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) return;
+    order.set(node, i);
+    if ((node.radius || 0) > max_radius) max_radius = node.radius || 0;
+    positioned.push(node);
+  });
+  const tree = d3.quadtree()
+    .x((d) => d.x)
+    .y((d) => d.y)
+    .addAll(positioned);
+  return { tree, max_radius, order };
+}
+
+/**
+ * Topmost node whose circle contains (sx, sy), in simulation coordinates.
+ * Center nodes are ignored below `expand_threshold` zoom, matching the renderer.
+ * @param {SpatialIndex} index
+ * @param {number} sx
+ * @param {number} sy
+ * @param {number} current_zoom
+ * @param {number} [expand_threshold=3.0]
+ * @returns {Object|null}
+ */
+export function find_node_at(index, sx, sy, current_zoom, expand_threshold = 3.0) {
+  const { tree, max_radius, order } = index;
+  let best = null;
+  let best_order = -1;
+  visit_box(tree, sx - max_radius, sy - max_radius, sx + max_radius, sy + max_radius, (node) => {
+    if (node.type === 'center' && current_zoom < expand_threshold) return;
+    const dx = sx - node.x;
+    const dy = sy - node.y;
+    if (dx * dx + dy * dy > node.radius * node.radius) return;
+    const node_order = order.get(node);
+    if (node_order > best_order) {
+      best = node;
+      best_order = node_order;
+    }
+  });
+  return best;
+}
+
+/**
+ * Nodes whose position lies inside the box (inclusive).
+ * @param {SpatialIndex} index
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @returns {Object[]}
+ */
+export function find_nodes_in_box(index, x0, y0, x1, y1) {
+  const min_x = Math.min(x0, x1);
+  const max_x = Math.max(x0, x1);
+  const min_y = Math.min(y0, y1);
+  const max_y = Math.max(y0, y1);
+  const found = [];
+  visit_box(index.tree, min_x, min_y, max_x, max_y, (node) => found.push(node));
+  return found;
+}
+
+function visit_box(tree, x0, y0, x1, y1, callback) {
+  tree.visit((quad, qx0, qy0, qx1, qy1) => {
+    if (!quad.length) {
+      let leaf = quad;
+      do {
+        const node = leaf.data;
+        if (node.x >= x0 && node.x <= x1 && node.y >= y0 && node.y <= y1) callback(node);
+      } while ((leaf = leaf.next));
+    }
+    return qx0 > x1 || qx1 < x0 || qy0 > y1 || qy1 < y0;
+  });
+}
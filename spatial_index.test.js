@@ -0,0 +1,117 @@
+import test from 'ava';
+import { create_spatial_index, find_node_at, find_nodes_in_box } from './spatial_index.js';
+
+const NODE_COUNT = 12000;
+
+// Deterministic pseudo-random numbers so failures reproduce
+function create_random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+}
+
+function create_nodes(count, seed = 1) {
+  const random = create_random(seed);
+  const types = ['member', 'member', 'member', 'cluster', 'center'];
+  return Array.from({ length: count }, (_, i) => ({
+    id: `node-${i}`,
+    type: types[i % types.length],
+    x: (random() - 0.5) * 4000,
+    y: (random() - 0.5) * 4000,
+    radius: 3 + random() * 12,
+  }));
+}
+
+function scan_node_at(nodes, sx, sy, zoom, expand_threshold = 3.0) {
+  let best = null;
+  nodes.forEach((node) => {
+    if (node.type === 'center' && zoom < expand_threshold) return;
+    const dx = sx - node.x;
+    const dy = sy - node.y;
+    if (dx * dx + dy * dy <= node.radius * node.radius) best = node;
+  });
+  return best;
+}
+
+function scan_nodes_in_box(nodes, x0, y0, x1, y1) {
+  return nodes.filter((node) => node.x >= x0 && node.x <= x1 && node.y >= y0 && node.y <= y1);
+}
+
+const nodes = create_nodes(NODE_COUNT);
+const index = create_spatial_index(nodes);
+const random = create_random(42);
+
+// Query points: half on nodes (hits, often overlapping), half anywhere
+const points = Array.from({ length: 2000 }, (_, i) => {
+  if (i % 2) return [(random() - 0.5) * 4200, (random() - 0.5) * 4200];
+  const node = nodes[Math.floor(random() * nodes.length)];
+  return [node.x + (random() - 0.5) * node.radius, node.y + (random() - 0.5) * node.radius];
+});
+
+const boxes = Array.from({ length: 500 }, () => {
+  const x = (random() - 0.5) * 4000;
+  const y = (random() - 0.5) * 4000;
+  const size = 20 + random() * 400;
+  // Corners in either order
+  return random() < 0.5 ? [x, y, x + size, y + size] : [x + size, y + size, x, y];
+});
+
+test('find_node_at returns the topmost node under the point', (t) => {
+  [1, 5].forEach((zoom) => {
+    points.forEach(([sx, sy]) => {
+      t.is(find_node_at(index, sx, sy, zoom), scan_node_at(nodes, sx, sy, zoom));
+    });
+  });
+});
+
+test('find_node_at skips center nodes below the expand threshold', (t) => {
+  const center = nodes.find((node) => node.type === 'center');
+  const small_index = create_spatial_index([center]);
+  t.is(find_node_at(small_index, center.x, center.y, 1), null);
+  t.is(find_node_at(small_index, center.x, center.y, 3), center);
+});
+
+test('find_nodes_in_box returns exactly the nodes inside the box', (t) => {
+  boxes.forEach(([x0, y0, x1, y1]) => {
+    const found = new Set(find_nodes_in_box(index, x0, y0, x1, y1));
+    const expected = scan_nodes_in_box(nodes, Math.min(x0, x1), Math.min(y0, y1), Math.max(x0, x1), Math.max(y0, y1));
+    t.is(found.size, expected.length);
+    t.true(expected.every((node) => found.has(node)));
+  });
+});
+
+test('nodes without coordinates are left out of the index', (t) => {
+  const positioned = { id: 'a', type: 'member', x: 0, y: 0, radius: 5 };
+  const unplaced = { id: 'b', type: 'member', x: undefined, y: NaN, radius: 5 };
+  const small_index = create_spatial_index([positioned, unplaced]);
+  t.deepEqual(find_nodes_in_box(small_index, -10, -10, 10, 10), [positioned]);
+});
+
+// Timings are only logged: wall-clock bounds flake on slow or shared machines
+test(`timings on ${NODE_COUNT} nodes`, (t) => {
+  const time = (fn) => {
+    const start = performance.now();
+    fn();
+    return performance.now() - start;
+  };
+  const run_index = () => {
+    points.forEach(([sx, sy]) => find_node_at(index, sx, sy, 5));
+    boxes.forEach(([x0, y0, x1, y1]) => find_nodes_in_box(index, x0, y0, x1, y1));
+  };
+  const run_scan = () => {
+    points.forEach(([sx, sy]) => scan_node_at(nodes, sx, sy, 5));
+    boxes.forEach(([x0, y0, x1, y1]) => scan_nodes_in_box(nodes, Math.min(x0, x1), Math.min(y0, y1), Math.max(x0, x1), Math.max(y0, y1)));
+  };
+  // Warm up both paths before timing
+  run_index();
+  run_scan();
+  const index_ms = time(run_index);
+  const scan_ms = time(run_scan);
+  const more_nodes = create_nodes(NODE_COUNT, 7);
+  const build_ms = time(() => create_spatial_index(more_nodes));
+  t.log(`index: ${index_ms.toFixed(1)} ms, scan: ${scan_ms.toFixed(1)} ms for ${points.length + boxes.length} queries`);
+  t.log(`build: ${build_ms.toFixed(1)} ms`);
+  t.pass();
+});
@@ -0,0 +1,108 @@
+/**
+ * @file suggest_clusters_modal.js
+ * @description Modal with the options for "Suggest clusters": clustering method and its parameters.
+ */
+
+import { Modal, Setting } from 'obsidian';
+import { SUGGESTION_METHODS } from './cluster_suggestions.js';
+
+/**
+ * Options modal for cluster suggestions.
+ * Use `prompt()` to open it and await the chosen options.
+ */
+export class SuggestClustersModal extends Modal {
+  /**
+   * @param {import('obsidian').App} app
+   * @param {Object} [opts]
+   * @param {number} [opts.item_count] - Embedded notes that will be clustered.
+   * @param {Object} [opts.values] - Initial values (see suggest_clusters() in cluster_suggestions.js).
+   */
+  constructor(app, opts = {}) {
+    super(app);
+    this.opts = opts;
+    this.values = { method: 'kmeans', k: 8, min_similarity: 0.8, min_points: 4, ...opts.values };
+    this.result = null;
+  }
+
+  /**
+   * Opens the modal.
+   * @returns {Promise<Object|null>} Options for suggest_clusters(), or null when cancelled.
+   */
+  prompt() {
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+      this.open();
+    });
+  }
+
+  onOpen() {
+    const { item_count } = this.opts;
+    this.titleEl.setText('Suggest clusters');
+    if (typeof item_count === 'number') {
+      this.contentEl.createEl('p', {
+        text: `Groups ${item_count} embedded note${item_count === 1 ? '' : 's'} by similarity. Suggestions are previewed on the map before anything is added.`,
+      });
+    }
+
+    new Setting(this.contentEl)
+      .setName('Method')
+      .addDropdown((dropdown) => {
+        SUGGESTION_METHODS.forEach(({ value, label }) => dropdown.addOption(value, label));
+        dropdown.setValue(this.values.method).onChange((value) => {
+          this.values.method = value;
+          this.update_visibility();
+        });
+      });
+
+    this.k_setting = new Setting(this.contentEl)
+      .setName('Number of clusters')
+      .addSlider((slider) => slider
+        .setLimits(2, 40, 1)
+        .setValue(this.values.k)
+        .setDynamicTooltip()
+        .onChange((value) => { this.values.k = value; }));
+
+    this.similarity_setting = new Setting(this.contentEl)
+      .setName('Minimum similarity')
+      .setDesc('Notes at least this similar count as neighbors. Higher gives smaller, tighter clusters.')
+      .addSlider((slider) => slider
+        .setLimits(0.5, 0.99, 0.01)
+        .setValue(this.values.min_similarity)
+        .setDynamicTooltip()
+        .onChange((value) => { this.values.min_similarity = value; }));
+
+    this.points_setting = new Setting(this.contentEl)
+      .setName('Minimum neighbors')
+      .setDesc('Neighbors a note needs to start a cluster. Notes without enough stay unsuggested.')
+      .addSlider((slider) => slider
+        .setLimits(2, 20, 1)
+        .setValue(this.values.min_points)
+        .setDynamicTooltip()
+        .onChange((value) => { this.values.min_points = value; }));
+
+    this.update_visibility();
+
+    const buttons_el = this.contentEl.createDiv('modal-button-container');
+    const submit_btn = buttons_el.createEl('button', { text: 'Suggest', cls: 'mod-cta' });
+    submit_btn.addEventListener('click', () => {
+      this.result = { ...this.values };
+      this.close();
+    });
+    const cancel_btn = buttons_el.createEl('button', { text: 'Cancel' });
+    cancel_btn.addEventListener('click', () => this.close());
+    submit_btn.focus();
+  }
+
+  update_visibility() {
+    const density = this.values.method === 'density';
+    this.k_setting.settingEl.toggle(!density);
+    this.similarity_setting.settingEl.toggle(density);
+    this.points_setting.settingEl.toggle(density);
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    this.resolve?.(this.result);
+    this.resolve = null;
+  }
+}
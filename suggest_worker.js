@@ -0,0 +1,33 @@
+/**
+ * @file suggest_worker.js
+ * @description Web Worker entry that runs suggest_clusters() off the main
+ * thread. esbuild.js bundles it into the SUGGEST_WORKER_SOURCE string;
+ * run_suggest_clusters() in cluster_suggestions.js starts one per run.
+ *
+ * main → worker: `suggest` {keys, vectors: Float32Array (keys.length × dim), dim, opts}
+ * worker → main: `progress` {done: 0–1}, then `result` {suggestions} or `error` {message}
+ */
+
+import { suggest_clusters } from './cluster_suggestions.js';
+
+self.onmessage = async (event) => {
+  const msg = event.data;
+  if (msg.type !== 'suggest') return;
+  const { keys, vectors, dim, opts } = msg;
+  const items = keys.map((key, i) => ({ key, vec: vectors.subarray(i * dim, (i + 1) * dim) }));
+  let last_percent = -1;
+  try {
+    const suggestions = await suggest_clusters(items, {
+      ...opts,
+      on_progress: (done) => {
+        const percent = Math.floor(done * 100);
+        if (percent === last_percent) return;
+        last_percent = percent;
+        self.postMessage({ type: 'progress', done });
+      },
+    });
+    self.postMessage({ type: 'result', suggestions });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err) });
+  }
+};
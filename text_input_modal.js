@@ -0,0 +1,74 @@
+/**
+ * @file text_input_modal.js
+ * @description Small Modal that asks for a single line of text (e.g. a new name) and resolves with it.
+ */
+
+import { Modal } from 'obsidian';
+
+/**
+ * Modal with one text input plus submit/cancel buttons.
+ * Use `prompt()` to open it and await the entered value.
+ */
+export class TextInputModal extends Modal {
+  /**
+   * @param {import('obsidian').App} app
+   * @param {Object} [opts]
+   * @param {string} [opts.title]
+   * @param {string} [opts.value] - Initial input value.
+   * @param {string} [opts.placeholder]
+   * @param {string} [opts.submit_text]
+   */
+  constructor(app, opts = {}) {
+    super(app);
+    this.opts = opts;
+    this.result = null;
+  }
+
+  /**
+   * Opens the modal.
+   * @returns {Promise<string|null>} Trimmed value, or null when cancelled/empty.
+   */
+  prompt() {
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+      this.open();
+    });
+  }
+
+  onOpen() {
+    const { title = 'Enter a value', value = '', placeholder = '', submit_text = 'Save' } = this.opts;
+    this.titleEl.setText(title);
+    this.input_el = this.contentEl.createEl('input', {
+      type: 'text',
+      cls: 'sc-text-input-modal-input',
+      attr: { placeholder },
+    });
+    this.input_el.value = value;
+    this.input_el.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.submit();
+      }
+    });
+
+    const buttons_el = this.contentEl.createDiv('modal-button-container');
+    const submit_btn = buttons_el.createEl('button', { text: submit_text, cls: 'mod-cta' });
+    submit_btn.addEventListener('click', () => this.submit());
+    const cancel_btn = buttons_el.createEl('button', { text: 'Cancel' });
+    cancel_btn.addEventListener('click', () => this.close());
+
+    this.input_el.focus();
+    this.input_el.select();
+  }
+
+  submit() {
+    this.result = this.input_el.value.trim() || null;
+    this.close();
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    this.resolve?.(this.result);
+    this.resolve = null;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * @file theme.js
+ * @description Canvas colors resolved from Obsidian's CSS variables, so the map
+ * follows light/dark and community themes. Resolve again after Obsidian's
+ * `css-change` event.
+ */
+
+/**
+ * Canvas color role → CSS variable and fallback (used before the canvas is
+ * attached, or when a theme leaves the variable empty).
+ * @type {Object<string, {variable: string, fallback: string}>}
+ */
+export const THEME_VARIABLES = {
+  background: { variable: '--background-primary', fallback: '#1e1e1e' },
+  link: { variable: '--graph-line', fallback: '#4c7787' },
+  cluster_link: { variable: '--color-purple', fallback: '#926ec9' },
+  label: { variable: '--text-muted', fallback: '#cccccc' },
+  label_strong: { variable: '--text-normal', fallback: '#e6e6e6' },
+  on_node: { variable: '--text-on-accent', fallback: '#ffffff' },
+  selection: { variable: '--interactive-accent', fallback: '#ff9800' },
+  selection_box: { variable: '--text-accent', fallback: '#009688' },
+  search: { variable: '--color-yellow', fallback: '#ffd54f' },
+  follow: { variable: '--color-green', fallback: '#66bb6a' },
+  focus: { variable: '--color-cyan', fallback: '#4fc3f7' },
+  suggestion: { variable: '--color-pink', fallback: '#ba68c8' },
+  muted: { variable: '--text-faint', fallback: '#969696' },
+  node_cluster: { variable: '--color-purple', fallback: '#926ec9' },
+  node_center: { variable: '--color-pink', fallback: '#d092c9' },
+  node_member: { variable: '--graph-node', fallback: '#7c8594' },
+};
+
+// High contrast: links and labels use the strongest text color
+const HIGH_CONTRAST_VARIABLES = {
+  link: { variable: '--text-muted', fallback: '#b0b0b0' },
+  label: { variable: '--text-normal', fallback: '#e6e6e6' },
+  label_strong: { variable: '--text-normal', fallback: '#ffffff' },
+};
+
+/**
+ * @typedef {Object} CanvasTheme
+ * @property {Object<string, [number, number, number]>} colors - role → RGB
+ * @property {boolean} high_contrast
+ * @property {number} line_scale - multiplier for outline/ring widths
+ * @property {number} min_alpha - lowest alpha for dimmed nodes and links
+ */
+
+/**
+ * Resolves every role of THEME_VARIABLES against `el`. Detached elements get
+ * the fallbacks.
+ * @param {HTMLElement} el - e.g. the canvas
+ * @param {Object} [opts]
+ * @param {boolean} [opts.high_contrast=false]
+ * @returns {CanvasTheme}
+ */
+export function resolve_theme(el, opts = {}) {
+  const { high_contrast = false } = opts;
+  const variables = high_contrast ? { ...THEME_VARIABLES, ...HIGH_CONTRAST_VARIABLES } : THEME_VARIABLES;
+  const colors = {};
+  Object.entries(variables).forEach(([role, { variable, fallback }]) => {
+    colors[role] = resolve_css_color(el, variable) || parse_color(fallback);
+  });
+  return {
+    colors,
+    high_contrast,
+    line_scale: high_contrast ? 1.6 : 1,
+    min_alpha: high_contrast ? 0.25 : 0,
+  };
+}
+
+/**
+ * Theme with the fallback colors only.
+ * @param {Object} [opts] - see resolve_theme()
+ * @returns {CanvasTheme}
+ */
+export function default_theme(opts = {}) {
+  return resolve_theme(null, opts);
+}
+
+/**
+ * Node fills per node type, before any "color by" mode is applied.
+ * @param {CanvasTheme} theme
+ * @returns {{cluster: string, center: string, member: string}} hex colors
+ */
+export function get_node_colors(theme) {
+  const { colors } = theme;
+  return {
+    cluster: to_hex(colors.node_cluster),
+    center: to_hex(colors.node_center),
+    member: to_hex(colors.node_member),
+  };
+}
+
+/**
+ * `rgba()` string for a theme color.
+ * @param {[number, number, number]} rgb
+ * @param {number} [alpha=1]
+ * @returns {string}
+ */
+export function rgba(rgb, alpha = 1) {
+  return `rgba(${rgb[0]},${rgb[1]},${rgb[2]},${alpha})`;
+}
+
+/**
+ * Hex string for a theme color (for APIs that want opaque colors).
+ * @param {[number, number, number]} rgb
+ * @returns {string}
+ */
+export function to_hex(rgb) {
+  return `#${rgb.map((v) => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Lets the browser resolve var()/calc()/hsl() by applying the variable to a probe's color
+function resolve_css_color(el, variable) {
+  if (!el?.isConnected || typeof getComputedStyle !== 'function') return null;
+  if (!getComputedStyle(el).getPropertyValue(variable).trim()) return null;
+  const probe = el.ownerDocument.createElement('span');
+  probe.style.display = 'none';
+  probe.style.color = `var(${variable})`;
+  (el.parentElement || el).appendChild(probe);
+  const color = getComputedStyle(probe).color;
+  probe.remove();
+  return parse_color(color);
+}
+
+function parse_color(value) {
+  const str = String(value || '').trim();
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(str);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map((ch) => ch + ch).join('') : hex[1];
+    return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+  }
+  const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(str);
+  if (rgb) return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3])];
+  return null;
+}
@@ -0,0 +1,160 @@
+/**
+ * @file unclustered.js
+ * @description Notes under the threshold for every cluster of the group:
+ * finding them with their nearest cluster, ordering them, laying them out
+ * in a lane below the map and the review panel listing them.
+ */
+
+import { escape_html } from './escape.js';
+
+/**
+ * Orders offered in the unclustered panel.
+ * @type {{value: string, label: string}[]}
+ */
+export const UNCLUSTERED_SORTS = [
+  { value: 'score_desc', label: 'Closest to a cluster first' },
+  { value: 'score_asc', label: 'Farthest from any cluster first' },
+  { value: 'name', label: 'Name' },
+];
+
+/**
+ * Rows listed in the review panel; bulk actions only touch these.
+ * @type {number}
+ */
+export const UNCLUSTERED_MAX_ROWS = 200;
+
+/**
+ * @typedef {Object} UnclusteredNote
+ * @property {string} key - note key
+ * @property {Object} item - smart source
+ * @property {string|null} nearest - key of the best-scoring cluster, if any
+ * @property {number} score - best score (0 without any)
+ */
+
+/**
+ * Members scoring under `threshold` for every cluster in `cluster_keys`,
+ * with the cluster they come closest to.
+ * @param {Object[]} members - snapshot members
+ * @param {number} threshold
+ * @param {Iterable<string>} cluster_keys - clusters of the group
+ * @returns {UnclusteredNote[]}
+ */
+export function find_unclustered(members, threshold, cluster_keys) {
+  const keys = [...cluster_keys];
+  const unclustered = [];
+  members.forEach((member) => {
+    if (!member.item?.key) return;
+    let nearest = null;
+    let score = 0;
+    keys.forEach((key) => {
+      const value = member.clusters?.[key]?.score;
+      if (typeof value === 'number' && (nearest === null || value > score)) {
+        nearest = key;
+        score = value;
+      }
+    });
+    if (nearest !== null && score >= threshold) return;
+    unclustered.push({ key: member.item.key, item: member.item, nearest, score });
+  });
+  return unclustered;
+}
+
+/**
+ * Sorted copy of `notes`.
+ * @param {UnclusteredNote[]} notes
+ * @param {string} sort - see UNCLUSTERED_SORTS
+ * @param {(key:string) => string} get_label
+ * @returns {UnclusteredNote[]}
+ */
+export function sort_unclustered(notes, sort, get_label) {
+  const by_name = (a, b) => get_label(a.key).localeCompare(get_label(b.key));
+  const sorted = [...notes];
+  if (sort === 'name') return sorted.sort(by_name);
+  if (sort === 'score_asc') return sorted.sort((a, b) => a.score - b.score || by_name(a, b));
+  return sorted.sort((a, b) => b.score - a.score || by_name(a, b));
+}
+
+/**
+ * Grid positions for the lane nodes, in order, in a band below `bounds`.
+ * @param {Object[]} lane_nodes - in display order
+ * @param {{x0:number, y0:number, x1:number, y1:number}|null} bounds - rest of the map
+ * @param {Object} [opts]
+ * @param {number} [opts.gap=80] - space between the map and the lane
+ * @param {number} [opts.header=28] - room for the lane title
+ * @param {number} [opts.min_width=320]
+ * @returns {{targets: Map<Object, {x:number, y:number}>, rect: {x:number, y:number, width:number, height:number}|null}}
+ */
+export function compute_lane_positions(lane_nodes, bounds, opts = {}) {
+  const { gap = 80, header = 28, min_width = 320 } = opts;
+  const targets = new Map();
+  if (!lane_nodes.length) return { targets, rect: null };
+  const { x0, x1, y1 } = bounds || { x0: 0, y0: 0, x1: 0, y1: 0 };
+  const spacing = Math.max(28, ...lane_nodes.map((node) => 2 * (node.radius || 7) + 10));
+  const width = Math.max(min_width, x1 - x0);
+  const left = (x0 + x1) / 2 - width / 2;
+  const top = y1 + gap;
+  const columns = Math.max(1, Math.floor(width / spacing));
+  lane_nodes.forEach((node, i) => {
+    targets.set(node, {
+      x: left + spacing / 2 + (i % columns) * spacing,
+      y: top + header + spacing / 2 + Math.floor(i / columns) * spacing,
+    });
+  });
+  const rows = Math.ceil(lane_nodes.length / columns);
+  return { targets, rect: { x: left, y: top, width, height: header + rows * spacing } };
+}
+
+/**
+ * Review panel markup.
+ * @param {UnclusteredNote[]} notes - already sorted
+ * @param {Object} opts
+ * @param {string} opts.sort
+ * @param {(key:string) => string} opts.get_label
+ * @param {(key:string) => string} opts.get_cluster_label
+ * @param {Set<string>} [opts.selected] - selected note keys
+ * @param {number} [opts.max_rows=UNCLUSTERED_MAX_ROWS]
+ * @param {string} [opts.close_icon='×']
+ * @returns {string} HTML
+ */
+export function build_unclustered_html(notes, opts) {
+  const {
+    sort,
+    get_label,
+    get_cluster_label,
+    selected = new Set(),
+    max_rows = UNCLUSTERED_MAX_ROWS,
+    close_icon = '×',
+  } = opts;
+  const sort_options = UNCLUSTERED_SORTS
+    .map(({ value, label }) => `
+        <option value="${value}"${value === sort ? ' selected' : ''}>${label}</option>`)
+    .join('');
+  const rows = notes.slice(0, max_rows).map((note) => {
+    const nearest = note.nearest ? get_cluster_label(note.nearest) : '';
+    return `
+      <li class="sc-unclustered-row" data-note-key="${escape_html(note.key)}" tabindex="0" aria-label="Show ${escape_html(get_label(note.key))} on the canvas">
+        <input type="checkbox" class="sc-unclustered-check" aria-label="Select"${selected.has(note.key) ? ' checked' : ''} />
+        <span class="sc-unclustered-name">${escape_html(get_label(note.key))}</span>
+        <span class="sc-unclustered-score">${note.score.toFixed(2)}</span>
+        ${nearest ? `<button class="sc-unclustered-add" aria-label="Nearest cluster: ${escape_html(nearest)}. Review adding the note to its center" title="Nearest cluster: ${escape_html(nearest)}. Click to review adding the note to its center">→ ${escape_html(nearest)}</button>` : ''}
+      </li>`;
+  }).join('');
+  const more = notes.length - max_rows;
+  const addable = notes.slice(0, max_rows).filter((note) => note.nearest).length;
+  const selected_count = notes.filter((note) => selected.has(note.key)).length;
+  return `
+    <div class="sc-unclustered-header">
+      <span class="sc-unclustered-title">Unclustered (${notes.length})</span>
+      <button class="sc-unclustered-close clickable-icon" aria-label="Hide unclustered notes lane">${close_icon}</button>
+    </div>
+    <div class="sc-unclustered-meta">Notes under the threshold for every cluster, with the cluster they are closest to and their score.</div>
+    <select class="sc-unclustered-sort dropdown" aria-label="Sort unclustered notes">${sort_options}
+    </select>
+    <ul class="sc-unclustered-list">${rows}${more > 0 ? `
+      <li class="sc-unclustered-more">and ${more} more</li>` : ''}
+    </ul>
+    <div class="sc-unclustered-actions">
+      <button class="sc-unclustered-add-all"${addable ? '' : ' disabled'} aria-label="Review adding the ${addable} listed notes to the centers of their nearest clusters">Add ${addable} listed to nearest…</button>
+      <button class="sc-unclustered-create mod-cta"${selected_count ? '' : ' disabled'}>Create cluster from ${selected_count} selected</button>
+    </div>`;
+}